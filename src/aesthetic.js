@@ -173,6 +173,16 @@ export class Aesthetic extends Subscribable {
     this.updateScale(this.values);
   }
 
+  /**
+   * Get the settings that can be edited in the toolbar, such as the palette and title, which can be
+   * saved and given to updateState later
+   * @returns {Object} Copies of the editable state properties
+   */
+  getEditableState() {
+    const keys = ['title', 'inputUnits', 'colorPalette', 'colorPositions', 'transformMin', 'transformMax', 'nullValue', 'maxCategories', 'outputRange'];
+    return Object.fromEntries(keys.map(key => [key, structuredClone(this.state[key])]));
+  }
+
   /**
    * Create settings widget(s) for this aesthetic
    * @param {Object} options - Configuration options
@@ -67,7 +67,7 @@ export function exportTree(treeView, exportState, filename, root = document) {
 /**
  * Download a file
  */
-function downloadFile(content, filename, mimeType) {
+export function downloadFile(content, filename, mimeType) {
   const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
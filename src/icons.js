@@ -48,6 +48,30 @@ const ICONS = {
   edit: [
     "m 12,8 -8,8 -1,5 5,-1 8,-8 z",
     "M 21,7 18,10 14,6 17,3 Z"
+  ],
+  highlight: [
+    "M 3,21 H 21",
+    "m 8,14 9,-9 3,3 -9,9 z",
+    "M 8,14 5,17 7,19 11,17"
+  ],
+  reroot: [
+    "m 14,4 h -4 v 6 h 4",
+    "m 9.5,7 h -3 v 8 H 14",
+    "m 17,4 c 0,0 9,8 0,16",
+    "M 21,20 H 17 V 16",
+    "M 5.26,11 H 2.74 v 9 H 14"
+  ],
+  scissors: [
+    "M 6,3 A 3,3 0 1 1 6,9 A 3,3 0 1 1 6,3",
+    "M 6,15 A 3,3 0 1 1 6,21 A 3,3 0 1 1 6,15",
+    "M 8.5,7.5 20,18",
+    "M 8.5,16.5 20,6"
+  ],
+  extract: [
+    "M 2,12 H 6",
+    "M 10,6 H 6 v 12 h 4",
+    "M 13,12 H 22",
+    "m 19,9 3,3 -3,3"
   ]
 };
 
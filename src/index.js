@@ -5,6 +5,56 @@ import { TextSizeEstimator } from './textAspectRatioPrediction.js';
 import { createToolbar } from './toolbar.js';
 import { injectStyles, ContainerResizeHandler } from './utils.js';
 
+const SESSION_FORMAT = 'heat-tree-session';
+const SESSION_VERSION = 1;
+
+const METADATA_ITEM_KEYS = ['name', 'data', 'sep', 'columnTypes', 'idMatching'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check if a value is a table given as an object of column arrays, like `{id: ['A', 'B'], value: [1, 2]}`
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isColumnObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.values(value).every(Array.isArray);
+}
+
+/**
+ * Check if a metadata item is a table given with its name or options, like `{name, data, sep}`,
+ * rather than the table itself. `data` must look like a table: text with more than one line, an
+ * array of rows, or an object of column arrays, so rows with columns called `name` and `data` are
+ * not mistaken for tables.
+ * @param {*} item - Item of the metadata of a tree
+ * @returns {boolean}
+ */
+function isMetadataTableItem(item) {
+  if (!isPlainObject(item) || !Object.keys(item).every(key => METADATA_ITEM_KEYS.includes(key))) {
+    return false;
+  }
+  const { data } = item;
+  return (typeof data === 'string' && /[\r\n]/.test(data)) || Array.isArray(data) || isColumnObject(data);
+}
+
+/**
+ * Get the list of tables in the metadata of a tree, which can be one table or an array of them. An
+ * array of plain objects that are neither tables with options nor objects of column arrays is one
+ * table of rows, not a list of tables.
+ * @param {*} metadata - Metadata of a tree, as given to heatTree
+ * @returns {Array} Tables, as text, JavaScript data, or items with names and options
+ */
+function getMetadataItems(metadata) {
+  if (!Array.isArray(metadata)) {
+    return [metadata];
+  }
+  const isRow = item => isPlainObject(item) && !isMetadataTableItem(item) && !isColumnObject(item);
+  if (metadata.length > 0 && metadata.every(isRow)) {
+    return [metadata];
+  }
+  return metadata;
+}
+
 /**
  * Create a heat tree visualization
  * @param {string|HTMLElement} containerOrSelector - CSS selector for container element or the element itself
@@ -43,6 +93,12 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
   // Create TreeData instances for each tree
   const treeDataInstances = new Map();
   const treeConfigAesthetics = new Map();
+  const treeConfigHeatmaps = new Map();
+  const treeConfigAggregations = new Map();
+  const treeConfigCompositions = new Map();
+  const treeConfigHighlights = new Map();
+  const treeConfigCladeStrips = new Map();
+  const treeConfigFilters = new Map();
 
   treesInput.forEach((treeConfig, index) => {
     if (!treeConfig.tree) {
@@ -54,27 +110,28 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
     // Process metadata tables - can be array of objects with name and data, or just data objects
     let metadataTables = [];
     let metadataNames = [];
+    let metadataOptions = [];
 
     if (treeConfig.metadata) {
-      const metadataArray = Array.isArray(treeConfig.metadata) ? treeConfig.metadata : [treeConfig.metadata];
-
-      metadataArray.forEach((metadataItem, metaIndex) => {
-        if (metadataItem.name && metadataItem.data) {
-          // Named metadata table
+      getMetadataItems(treeConfig.metadata).forEach((metadataItem, metaIndex) => {
+        if (isMetadataTableItem(metadataItem)) {
+          // Table given with its name or options
           metadataTables.push(metadataItem.data);
-          metadataNames.push(metadataItem.name);
+          metadataNames.push(metadataItem.name || `Metadata ${metaIndex + 1}`);
+          metadataOptions.push({ sep: metadataItem.sep, columnTypes: metadataItem.columnTypes, idMatching: metadataItem.idMatching });
         } else {
           // Unnamed metadata table - use as-is
           metadataTables.push(metadataItem);
           metadataNames.push(`Metadata ${metaIndex + 1}`);
+          metadataOptions.push({});
         }
       });
     }
 
-    // Parse trees - may return multiple from NEXUS
-    const parsedTrees = TreeData.parseTrees(treeConfig.tree, sourceName);
+    // Parse trees - may return multiple from NEXUS or phyloXML
+    const parsedTrees = TreeData.parseTrees(treeConfig.tree, sourceName, { underscoresToSpaces: treeConfig.underscoresToSpaces });
 
-    parsedTrees.forEach(({ name: parsedName, treeData: parsedTreeData }, treeIndex) => {
+    parsedTrees.forEach(({ name: parsedName, treeData: parsedTreeData, metadataTables: fileTables }, treeIndex) => {
       // Ensure unique name
       let uniqueName = parsedName;
       let counter = 1;
@@ -83,8 +140,13 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
         counter++;
       }
 
-      // Create TreeData with the parsed tree object
-      const treeData = new TreeData(parsedTreeData, metadataTables, metadataNames);
+      // Create TreeData with the parsed tree object and any tables stored in the tree file
+      const treeData = new TreeData(
+        parsedTreeData,
+        [...metadataTables, ...fileTables.map(table => table.data)],
+        [...metadataNames, ...fileTables.map(table => table.name)],
+        metadataOptions
+      );
 
       // Process aesthetics if provided
       let treeAesthetics;
@@ -103,14 +165,51 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
         treeAesthetics = undefined;
       }
 
+      // Process heatmap columns if provided
+      const treeHeatmap = (treeConfig.heatmap || []).map(col => {
+        for (const [assignedColId, originalName] of treeData.columnName.entries()) {
+          if (originalName === col) {
+            return assignedColId;
+          }
+        }
+        return undefined;
+      }).filter(colId => colId !== undefined);
+
+      // Process the composition chart column if provided
+      let treeComposition = null;
+      for (const [assignedColId, originalName] of treeData.columnName.entries()) {
+        if (treeConfig.composition && originalName === treeConfig.composition) {
+          treeComposition = assignedColId;
+        }
+      }
+
+      // Process clade strips, given as a column name or a list of tip groups
+      let treeCladeStrips = null;
+      if (Array.isArray(treeConfig.cladeStrips)) {
+        treeCladeStrips = treeConfig.cladeStrips;
+      } else if (treeConfig.cladeStrips) {
+        for (const [assignedColId, originalName] of treeData.columnName.entries()) {
+          if (originalName === treeConfig.cladeStrips) {
+            treeCladeStrips = assignedColId;
+          }
+        }
+      }
+
       treeDataInstances.set(uniqueName, treeData);
       treeConfigAesthetics.set(uniqueName, treeAesthetics);
+      treeConfigHeatmaps.set(uniqueName, treeHeatmap);
+      treeConfigAggregations.set(uniqueName, treeConfig.aggregations || {});
+      treeConfigCompositions.set(uniqueName, treeComposition);
+      treeConfigHighlights.set(uniqueName, treeConfig.highlights || []);
+      treeConfigCladeStrips.set(uniqueName, treeCladeStrips);
+      treeConfigFilters.set(uniqueName, treeConfig.filter || null);
     });
   });
 
   // Cache for TreeState and TreeView instances
   const treeStateCache = new Map();
   const treeViewCache = new Map();
+  const savedTransforms = new Map(); // Zoom and pan loaded by setState for trees not shown yet
 
   // Get container element (accepts CSS selector string or HTMLElement)
   let container;
@@ -151,6 +250,23 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
   widgetDiv.appendChild(toolbarDiv);
   widgetDiv.appendChild(treeDiv);
 
+  // Undo and redo changes to the current tree with Ctrl+Z and Ctrl+Shift+Z (Cmd on macOS). The widget
+  // can be focused, so it gets key presses once it is clicked, but text fields keep their own undo.
+  widgetDiv.tabIndex = -1;
+  widgetDiv.addEventListener('keydown', (e) => {
+    if (!currentTreeState || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    const isTextField = e.target.tagName === 'TEXTAREA' ||
+      (e.target.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(e.target.type));
+    if (isTextField) return;
+
+    e.preventDefault();
+    if (e.shiftKey) {
+      currentTreeState.redo();
+    } else {
+      currentTreeState.undo();
+    }
+  });
+
   // Append widget to shadow root or container directly
   if (shadowRoot) {
     shadowRoot.appendChild(widgetDiv);
@@ -182,17 +298,21 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
   /**
    * Add a new tree to the visualization
    * @param {string} treeName - Name for the new tree
-   * @param {string} treeString - Newick or NEXUS string for the tree(s)
-   * @param {Array} metadataTables - Optional array of metadata table strings
+   * @param {string} treeString - Newick, NEXUS, phyloXML, or taxonomy table string for the tree(s)
+   * @param {Array} metadataTables - Optional array of metadata tables, as strings or data accepted by TreeData.addTable
    * @param {Array} metadataNames - Optional array of metadata table names
+   * @param {Array<Object>} metadataOptions - Optional array of options for each metadata table
+   *   (`sep`, `columnTypes` and `idMatching`), as given for metadata tables in the trees input
+   * @param {Object} treeOptions - Optional options for reading the tree, as for TreeData.parseTrees
+   *   (`underscoresToSpaces`)
    * @returns {Array<string>} Array of unique names of trees added
    */
-  function addNewTree(treeName, treeString, metadataTables = [], metadataNames = []) {
-    // Parse trees - may return multiple from NEXUS
-    const parsedTrees = TreeData.parseTrees(treeString, treeName);
+  function addNewTree(treeName, treeString, metadataTables = [], metadataNames = [], metadataOptions = [], treeOptions = {}) {
+    // Parse trees - may return multiple from NEXUS or phyloXML
+    const parsedTrees = TreeData.parseTrees(treeString, treeName, treeOptions);
     const addedNames = [];
 
-    parsedTrees.forEach(({ name: parsedName, treeData: parsedTreeData }) => {
+    parsedTrees.forEach(({ name: parsedName, treeData: parsedTreeData, metadataTables: fileTables }) => {
       // Ensure unique name
       let uniqueName = parsedName;
       let counter = 1;
@@ -201,8 +321,13 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
         counter++;
       }
 
-      // Create TreeData with the parsed tree object
-      const treeData = new TreeData(parsedTreeData, metadataTables, metadataNames);
+      // Create TreeData with the parsed tree object and any tables stored in the tree file
+      const treeData = new TreeData(
+        parsedTreeData,
+        [...metadataTables, ...fileTables.map(table => table.data)],
+        [...metadataNames, ...fileTables.map(table => table.name)],
+        metadataOptions
+      );
       treeDataInstances.set(uniqueName, treeData);
       addedNames.push(uniqueName);
     });
@@ -210,6 +335,85 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
     return addedNames;
   }
 
+  /**
+   * Add a tree made by editing another one, such as with TreeData.prune, and switch to it
+   * @param {string} sourceName - Name of the tree it was made from
+   * @param {TreeData} treeData - The new tree
+   * @param {string} edit - Short description of the edit added to the name of the new tree
+   * @returns {string|undefined} Unique name of the new tree, or undefined if no tree is given
+   */
+  function addEditedTree(sourceName, treeData, edit) {
+    if (!treeData) return;
+
+    let uniqueName = `${sourceName} (${edit})`;
+    let counter = 1;
+    while (treeDataInstances.has(uniqueName)) {
+      uniqueName = `${sourceName} (${edit} ${counter})`;
+      counter++;
+    }
+    treeDataInstances.set(uniqueName, treeData);
+    switchToTree(uniqueName);
+    return uniqueName;
+  }
+
+  /**
+   * Add a copy of a tree without some tips or clades, keeping the original
+   * @param {Array<string|Object>} tips - Names of tips, or nodes whose clades are removed
+   * @param {string} [treeName] - Name of the tree to prune. Defaults to the current tree.
+   * @returns {string|undefined} Name of the new tree
+   */
+  function pruneTips(tips, treeName = currentTreeName) {
+    return addEditedTree(treeName, treeDataInstances.get(treeName)?.prune(tips), 'pruned');
+  }
+
+  /**
+   * Add a new tree made from a clade, keeping the original
+   * @param {Object|Array<string>} node - Root node of the clade, or names of tips whose most recent
+   *   common ancestor is the root
+   * @param {string} [treeName] - Name of the tree the clade is in. Defaults to the current tree.
+   * @returns {string|undefined} Name of the new tree
+   */
+  function extractSubtree(node, treeName = currentTreeName) {
+    return addEditedTree(treeName, treeDataInstances.get(treeName)?.extractSubtree(node), 'subtree');
+  }
+
+  /**
+   * Add a copy of a tree with branches below a support threshold collapsed into polytomies, keeping the original
+   * @param {number} threshold - Smallest support value to keep a branch
+   * @param {string} [columnId] - Column with support values, as for TreeData.collapseLowSupport
+   * @param {string} [treeName] - Name of the tree to edit. Defaults to the current tree.
+   * @returns {string|undefined} Name of the new tree
+   */
+  function collapseLowSupport(threshold, columnId = null, treeName = currentTreeName) {
+    return addEditedTree(treeName, treeDataInstances.get(treeName)?.collapseLowSupport(threshold, columnId), `support ≥ ${threshold}`);
+  }
+
+  /**
+   * Get the TreeState of a tree, creating it with the settings given for the tree if needed
+   * @param {string} treeName - Name of the tree
+   * @returns {TreeState}
+   */
+  function getTreeState(treeName) {
+    if (!treeStateCache.has(treeName)) {
+      const treeState = new TreeState({
+        treeData: treeDataInstances.get(treeName),
+        aesthetics: treeConfigAesthetics.get(treeName),
+        heatmapColumns: treeConfigHeatmaps.get(treeName) || [],
+        aestheticAggregations: treeConfigAggregations.get(treeName) || {},
+        compositionColumn: treeConfigCompositions.get(treeName) || null,
+        cladeStrips: treeConfigCladeStrips.get(treeName) || null,
+        filter: treeConfigFilters.get(treeName) || null,
+        ...options
+      }, textSizeEstimator);
+      for (const highlight of treeConfigHighlights.get(treeName) || []) {
+        treeState.addHighlightByTips(highlight.tips || [], { label: highlight.label, color: highlight.color });
+      }
+      treeState.clearHistory(); // The initial settings are not changes that can be undone
+      treeStateCache.set(treeName, treeState);
+    }
+    return treeStateCache.get(treeName);
+  }
+
   /**
    * Switch to a different tree
    * @param {string} treeName - Name of the tree to switch to
@@ -230,20 +434,13 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
       treeSvg.removeChild(treeSvg.firstChild);
     }
 
-    // Get or create TreeState for this tree
-    if (!treeStateCache.has(treeName)) {
-      const treeState = new TreeState({
-        treeData: treeDataInstances.get(treeName),
-        aesthetics: treeConfigAesthetics.get(treeName),
-        ...options
-      }, textSizeEstimator);
-      treeStateCache.set(treeName, treeState);
-    }
-
     // Get or create TreeView for this tree
     if (!treeViewCache.has(treeName)) {
-      const treeState = treeStateCache.get(treeName);
-      const treeView = new TreeView(treeState, treeSvg, options);
+      const treeState = getTreeState(treeName);
+      const treeView = new TreeView(treeState, treeSvg, {
+        ...options,
+        addEditedTree: (treeData, edit) => addEditedTree(treeName, treeData, edit)
+      });
       treeViewCache.set(treeName, treeView);
     } else {
       // Reattach existing TreeView to the SVG
@@ -255,6 +452,7 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
     currentTreeName = treeName;
     currentTreeState = treeStateCache.get(treeName);
     currentTreeView = treeViewCache.get(treeName);
+    applySavedTransform(treeName);
 
     // Refresh toolbar if the refresh function is available
     if (refreshToolbar) {
@@ -262,6 +460,100 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
     }
   }
 
+  /**
+   * Zoom and pan a tree as saved by getState, once it is shown
+   * @param {string} treeName - Name of the tree
+   */
+  function applySavedTransform(treeName) {
+    if (treeName === currentTreeName && savedTransforms.has(treeName)) {
+      currentTreeView.setTransform(savedTransforms.get(treeName));
+      savedTransforms.delete(treeName);
+    }
+  }
+
+  /**
+   * Get everything changed in the widget since it was made, such as collapsed clades, aesthetics,
+   * palettes and zoom, as a JSON-safe session that can be saved and given to setState later
+   * @returns {Object} Session with the format, version, current tree and the state of each tree shown so far
+   */
+  function getState() {
+    const trees = {};
+    for (const [treeName, treeState] of treeStateCache) {
+      trees[treeName] = treeState.getState();
+      const treeView = treeViewCache.get(treeName);
+      if (savedTransforms.has(treeName)) {
+        trees[treeName].transform = savedTransforms.get(treeName);
+      } else if (treeView) {
+        trees[treeName].transform = treeView.getTransform();
+      }
+    }
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      currentTree: currentTreeName,
+      trees
+    };
+  }
+
+  /**
+   * Restore a session returned by getState. Trees are matched by name and those not loaded are
+   * skipped with a warning. Trees made in the widget, such as by pruneTips or extractSubtree, are
+   * not saved in the session, so they are only found in the widget that made them. Each tree can be
+   * undone to how it was before.
+   * @param {Object|string} session - Session, or the JSON text of one
+   * @throws {Error} If the session is not valid JSON, is not a heat tree session of a supported
+   *   version, has the state of a tree that is not valid, or has none of the trees loaded. Nothing
+   *   is changed if an error is thrown.
+   */
+  function setState(session) {
+    if (typeof session === 'string') {
+      session = JSON.parse(session);
+    }
+    if (!session || session.format !== SESSION_FORMAT || !Number.isInteger(session.version) || !session.trees || typeof session.trees !== 'object') {
+      throw new Error('Not a heat tree session');
+    }
+    if (session.version > SESSION_VERSION) {
+      throw new Error(`Session version ${session.version} is not supported, the newest supported version is ${SESSION_VERSION}`);
+    }
+
+    // Check every tree before loading any, so an invalid session does not leave some trees changed
+    const entries = Object.entries(session.trees);
+    for (const [treeName, treeState] of entries) {
+      try {
+        TreeState.checkState(treeState);
+      } catch (error) {
+        throw new Error(`${error.message} for tree "${treeName}"`);
+      }
+      const transform = treeState.transform;
+      if (transform !== undefined && !(transform && [transform.x, transform.y, transform.k].every(Number.isFinite) && transform.k > 0)) {
+        throw new Error(`Invalid zoom transform for tree "${treeName}"`);
+      }
+    }
+    const missingNames = entries.map(([treeName]) => treeName).filter(treeName => !treeDataInstances.has(treeName));
+    if (entries.length > 0 && missingNames.length === entries.length) {
+      throw new Error(`None of the trees in the session are loaded: ${missingNames.join(', ')}`);
+    }
+    if (missingNames.length > 0) {
+      console.warn(`Trees not found: ${missingNames.join(', ')}`);
+    }
+
+    for (const [treeName, treeState] of entries) {
+      if (!treeDataInstances.has(treeName)) continue;
+      getTreeState(treeName).setState(treeState);
+      if (treeState.transform) {
+        savedTransforms.set(treeName, treeState.transform);
+      }
+    }
+
+    if (treeDataInstances.has(session.currentTree)) {
+      switchToTree(session.currentTree);
+    }
+    applySavedTransform(currentTreeName);
+    if (refreshToolbar) {
+      refreshToolbar();
+    }
+  }
+
   // Create toolbar with tree switching capability
   refreshToolbar = createToolbar(
     toolbarDiv,
@@ -270,6 +562,8 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
     () => currentTreeView,
     switchToTree,
     addNewTree,
+    (treeData, edit) => addEditedTree(currentTreeName, treeData, edit),
+    { getState, setState },
     options,
     root
   );
@@ -290,6 +584,11 @@ export function heatTree(containerOrSelector, treesInput = [], options = {}) {
     getCurrentTreeName: () => currentTreeName,
     switchToTree,
     addNewTree,
+    pruneTips,
+    extractSubtree,
+    collapseLowSupport,
+    getState,
+    setState,
     container: widgetDiv,
     shadowRoot
   };
@@ -1,4 +1,4 @@
-import { niceNumber, columnToHeader, generateNiceTicks, formatTickLabel, interpolateViridisSubset } from "./utils.js";
+import { niceNumber, columnToHeader, generateNiceTicks, formatTickLabel, interpolateViridisSubset, nodeShapePath } from "./utils.js";
 import { TextSizeEstimator } from './textAspectRatioPrediction.js';
 import { interpolateViridis } from "d3";
 
@@ -240,6 +240,23 @@ export class TextSizeLegend extends LegendBase {
     this.tickHeight = 5;
     this.verticalSpacing = 5;
     this.showTitle = true;
+    this.rampFill = "#f0f0f0";
+    this.rampStroke = "#ccc";
+  }
+
+  /**
+   * Get the height of the ramp at the smallest and largest sizes
+   * @returns {Array<number>} Minimum and maximum heights in pixels
+   */
+  getRampHeights() {
+    const minSize = this.state.aesthetic.state.outputRange[0];
+    const maxSize = this.state.aesthetic.state.outputRange[1];
+
+    // The 0.7 is because the full font height is not the height of most letters
+    return [
+      minSize * this.state.treeState.labelSizeToPxFactor * 0.7,
+      maxSize * this.state.treeState.labelSizeToPxFactor * 0.7
+    ];
   }
 
   /**
@@ -249,15 +266,12 @@ export class TextSizeLegend extends LegendBase {
     // Get the data range from the scale
     const minValue = this.state.aesthetic.scale.dataMin;
     const maxValue = this.state.aesthetic.scale.dataMax;
-    const minSize = this.state.aesthetic.state.outputRange[0];
-    const maxSize = this.state.aesthetic.state.outputRange[1];
 
     // Generate nice tick values
     const ticks = generateNiceTicks(minValue, maxValue, 5);
 
     // Calculate dimensions
-    const maxLetterFont = maxSize * this.state.treeState.labelSizeToPxFactor * 0.7; // The 0.7 is because the full font height is not the height of most letters
-    const minLetterFont = minSize * this.state.treeState.labelSizeToPxFactor * 0.7;
+    const [minLetterFont, maxLetterFont] = this.getRampHeights();
     const titleSize = this.textSizeEstimator.getTextSize(this.state.aesthetic.state.title, this.state.titleFontSize);
 
     // Calculate width based on number of ticks
@@ -388,8 +402,8 @@ export class TextSizeLegend extends LegendBase {
 
     this.group.append("polygon")
       .attr("points", polygonPoints)
-      .attr("fill", "#f0f0f0")
-      .attr("stroke", "#ccc")
+      .attr("fill", this.rampFill)
+      .attr("stroke", this.rampStroke)
       .attr("stroke-width", 1);
 
     // Render tick marks
@@ -428,6 +442,27 @@ export class TextSizeLegend extends LegendBase {
   }
 }
 
+/**
+ * Legend for branch width mappings
+ * Same layout as the text size legend, with a ramp as thick as the branches it represents
+ */
+export class BranchWidthLegend extends TextSizeLegend {
+  constructor(options = {}) {
+    super(options);
+    this.rampFill = "#000";
+    this.rampStroke = "none";
+  }
+
+  /**
+   * Get the height of the ramp at the thinnest and widest branches
+   * @returns {Array<number>} Minimum and maximum heights in pixels
+   */
+  getRampHeights() {
+    const branchWidthFactor = this.state.treeState.labelSizeToPxFactor * this.state.treeState.state.branchThicknessProp;
+    return this.state.aesthetic.state.outputRange.map(size => size * branchWidthFactor);
+  }
+}
+
 /**
  * Legend for text color mappings
  * Shows how categorical or continuous input values map to text color in labels
@@ -716,15 +751,8 @@ export class TextColorLegend extends LegendBase {
     // Render each category item
     this.coordinates.items.forEach(item => {
 
-      // Color square
-      this.group.append("rect")
-        .attr("x", item.squareX)
-        .attr("y", item.squareY)
-        .attr("width", this.squareSize)
-        .attr("height", this.squareSize)
-        .attr("fill", item.color)
-        .attr("stroke", "#000")
-        .attr("stroke-width", 1);
+      // Color swatch
+      this.renderSwatch(item);
 
       // Category label
       this.group.append("text")
@@ -737,6 +765,21 @@ export class TextColorLegend extends LegendBase {
     });
   }
 
+  /**
+   * Render the color swatch for a categorical legend item
+   * @param {Object} item - Legend item coordinates
+   */
+  renderSwatch(item) {
+    this.group.append("rect")
+      .attr("x", item.squareX)
+      .attr("y", item.squareY)
+      .attr("width", this.squareSize)
+      .attr("height", this.squareSize)
+      .attr("fill", item.color)
+      .attr("stroke", "#000")
+      .attr("stroke-width", 1);
+  }
+
   /**
    * Render continuous color legend
    */
@@ -823,6 +866,167 @@ export class TextColorLegend extends LegendBase {
   }
 }
 
+/**
+ * Legend for branch color mappings
+ * Same layout as the text color legend, but categories are shown as branch segments
+ */
+export class BranchColorLegend extends TextColorLegend {
+  constructor(options = {}) {
+    super(options);
+    this.lineWidth = 4;
+  }
+
+  /**
+   * Render a short branch segment for a categorical legend item
+   * @param {Object} item - Legend item coordinates
+   */
+  renderSwatch(item) {
+    this.group.append("line")
+      .attr("x1", item.squareX + this.lineWidth / 2)
+      .attr("y1", item.labelY)
+      .attr("x2", item.squareX + this.squareSize - this.lineWidth / 2)
+      .attr("y2", item.labelY)
+      .attr("stroke", item.color)
+      .attr("stroke-width", this.lineWidth)
+      .attr("stroke-linecap", "round");
+  }
+}
+
+/**
+ * Legend for node shape color mappings
+ * Same layout as the text color legend, but categories are shown as circles
+ */
+export class NodeShapeColorLegend extends TextColorLegend {
+  /**
+   * Render a colored circle for a categorical legend item
+   * @param {Object} item - Legend item coordinates
+   */
+  renderSwatch(item) {
+    this.group.append("path")
+      .attr("transform", `translate(${item.squareX + this.squareSize / 2}, ${item.labelY})`)
+      .attr("d", nodeShapePath('circle', this.squareSize))
+      .attr("fill", item.color);
+  }
+}
+
+/**
+ * Legend for node shape size mappings
+ * Same layout as the text size legend, with a ramp as tall as the node shapes it represents
+ */
+export class NodeShapeSizeLegend extends TextSizeLegend {
+  /**
+   * Get the height of the ramp at the smallest and largest shapes
+   * @returns {Array<number>} Minimum and maximum heights in pixels
+   */
+  getRampHeights() {
+    const shapeSizeFactor = this.state.treeState.labelSizeToPxFactor * this.state.treeState.state.nodeShapeSizeScale;
+    return this.state.aesthetic.state.outputRange.map(size => size * shapeSizeFactor);
+  }
+}
+
+/**
+ * Legend for node shape mappings
+ * Shows which shape is used for each category
+ */
+export class NodeShapeLegend extends LegendBase {
+  constructor(options = {}) {
+    super(options);
+    this.verticalSpacing = 5;
+    this.showTitle = true;
+    this.shapeSize = 12;
+    this.itemLabelGap = 5;
+    this.itemGap = 15;
+  }
+
+  /**
+   * Calculate the size and location of legend elements
+   */
+  updateCoordinates() {
+    const aesthetic = this.state.aesthetic;
+    const maxWidth = this.state.maxX - this.state.x;
+
+    let titleHeightOffset = 0;
+    if (this.showTitle) {
+      titleHeightOffset = this.state.titleFontSize + this.verticalSpacing;
+    }
+
+    this.coordinates = {
+      width: 0,
+      height: titleHeightOffset,
+      title: {
+        x: 0,
+        y: this.state.titleFontSize,
+        text: aesthetic.state.title
+      },
+      items: []
+    };
+
+    // Categories are either mapped to shapes or are already shape names
+    const categories = aesthetic.scale.categoryMap ?
+      [...aesthetic.scale.categoryMap.keys()] :
+      [...new Set(aesthetic.values.filter(value => value !== undefined && value !== null && value !== ''))];
+
+    let currentX = 0;
+    let currentY = titleHeightOffset + this.verticalSpacing + this.shapeSize / 2;
+    categories.forEach(category => {
+      const labelSize = this.textSizeEstimator.getTextSize(String(category), this.state.labelFontSize);
+      const itemWidth = this.shapeSize + this.itemLabelGap + labelSize.widthPx;
+
+      // Check if we need to wrap to next row
+      if (currentX > 0 && currentX + itemWidth > maxWidth) {
+        currentX = 0;
+        currentY += this.shapeSize + this.verticalSpacing;
+      }
+
+      this.coordinates.items.push({
+        shape: aesthetic.getValue(category),
+        label: String(category),
+        shapeX: currentX + this.shapeSize / 2,
+        shapeY: currentY,
+        labelX: currentX + this.shapeSize + this.itemLabelGap,
+        labelY: currentY
+      });
+
+      currentX += itemWidth + this.itemGap;
+      this.coordinates.width = Math.max(this.coordinates.width, currentX - this.itemGap);
+    });
+
+    this.coordinates.height = currentY + this.shapeSize / 2;
+  }
+
+  /**
+   * Render the legend in the specified SVG element
+   * @param {Selection} svg - D3 selection of the SVG element
+   */
+  render(svg) {
+    super.render(svg);
+
+    // Render title
+    if (this.showTitle) {
+      this.renderTitle(this.coordinates.title.text)
+        .attr("x", this.coordinates.title.x)
+        .attr("y", this.coordinates.title.y);
+    }
+
+    this.coordinates.items.forEach(item => {
+      // Shape
+      this.group.append("path")
+        .attr("transform", `translate(${item.shapeX}, ${item.shapeY})`)
+        .attr("d", nodeShapePath(item.shape, this.shapeSize))
+        .attr("fill", "#000");
+
+      // Category label
+      this.group.append("text")
+        .attr("x", item.labelX)
+        .attr("y", item.labelY)
+        .attr("text-anchor", "start")
+        .attr("dominant-baseline", "central")
+        .style("font-size", `${this.state.labelFontSize}px`)
+        .text(item.label);
+    });
+  }
+}
+
 /**
  * Initialize the zoom indicator legend element
  * @param {Selection} legendDiv - D3 selection of the legend container
@@ -2,7 +2,7 @@ import { parseNewick } from "./parsers.js";
 
 /**
  * Check if string is NEXUS format
- * @param {string} str 
+ * @param {string} str
  * @returns {boolean}
  */
 export function isNexusFormat(str) {
@@ -10,89 +10,433 @@ export function isNexusFormat(str) {
   return /^#NEXUS$/i.test(firstLine);
 }
 
+const NEXUS_PUNCTUATION = new Set([';', '=', ',']);
+
 /**
- * Recursively replace node names in parsed tree object
- * @param {Object} node - Tree node from parseNewick
- * @param {Map<number, string>} translateMap - Number to name mapping
+ * Split NEXUS file content into tokens, keeping track of where each token starts and ends.
+ * Token types are the punctuation characters ';', '=' and ',', 'word' and 'comment'.
+ * Quoted words can contain any character, with a doubled quote standing for a single quote.
+ * @param {string} nexusStr
+ * @returns {Array<{type: string, value: string, quoted: boolean, start: number, end: number, line: number, column: number}>}
  */
-function applyTranslate(node, translateMap) {
-  if (node.name) {
-    // Check if name is a number that exists in translate map
-    const num = parseInt(node.name, 10);
-    if (!isNaN(num) && translateMap.has(num)) {
-      node.name = translateMap.get(num);
+function tokenizeNexus(nexusStr) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  function advance() {
+    if (nexusStr[index] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
     }
+    index++;
+  }
+
+  function error(message, token) {
+    return new Error(`${message} at line ${token.line}, column ${token.column}`);
   }
 
+  while (index < nexusStr.length) {
+    const char = nexusStr[index];
+    const token = { type: null, value: '', quoted: false, start: index, end: index, line, column };
+
+    if (/\s/.test(char)) {
+      advance();
+      continue;
+    }
+
+    if (NEXUS_PUNCTUATION.has(char)) {
+      token.type = char;
+      token.value = char;
+      advance();
+    } else if (char === '[') {
+      // Unlike Newick comments, NEXUS comments can be nested
+      token.type = 'comment';
+      let depth = 1;
+      advance();
+      while (index < nexusStr.length) {
+        if (nexusStr[index] === '[') depth++;
+        if (nexusStr[index] === ']') depth--;
+        if (depth === 0) break;
+        token.value += nexusStr[index];
+        advance();
+      }
+      if (depth > 0) {
+        throw error('Unterminated comment', token);
+      }
+      advance(); // skip ']'
+    } else if (char === "'" || char === '"') {
+      token.type = 'word';
+      token.quoted = true;
+      advance();
+      while (true) {
+        if (index >= nexusStr.length) {
+          throw error('Unterminated quoted word', token);
+        }
+        if (nexusStr[index] === char) {
+          if (nexusStr[index + 1] === char) {
+            token.value += char;
+            advance();
+            advance();
+          } else {
+            advance();
+            break;
+          }
+        } else {
+          token.value += nexusStr[index];
+          advance();
+        }
+      }
+    } else {
+      token.type = 'word';
+      while (index < nexusStr.length && !/[\s;=,[\]'"]/.test(nexusStr[index])) {
+        token.value += nexusStr[index];
+        advance();
+      }
+    }
+
+    token.end = index;
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Group tokens into blocks of commands. Commands are the tokens before each ';'.
+ * @param {Array<Object>} tokens - Tokens from tokenizeNexus
+ * @returns {Array<{name: string, commands: Array<{name: string, tokens: Array<Object>, end: number}>}>}
+ */
+function groupNexusBlocks(tokens) {
+  const blocks = [];
+  let currentBlock = null;
+  let commandTokens = [];
+
+  for (const token of tokens) {
+    // The #NEXUS header is not ended by a ';'
+    if (token.type === 'word' && !token.quoted && token.value.toUpperCase() === '#NEXUS') {
+      continue;
+    }
+    if (token.type !== ';') {
+      commandTokens.push(token);
+      continue;
+    }
+
+    const words = commandTokens.filter(x => x.type !== 'comment');
+    const command = {
+      name: words.length > 0 && !words[0].quoted ? words[0].value.toUpperCase() : '',
+      tokens: commandTokens,
+      end: token.start
+    };
+    commandTokens = [];
+
+    if (command.name === 'BEGIN') {
+      currentBlock = { name: (words[1]?.value || '').toUpperCase(), commands: [] };
+      blocks.push(currentBlock);
+    } else if (command.name === 'END' || command.name === 'ENDBLOCK') {
+      currentBlock = null;
+    } else if (currentBlock) {
+      currentBlock.commands.push(command);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Get the value of a `key=value` option in a command, such as NCHAR in DIMENSIONS
+ * @param {Object} command
+ * @param {string} key - Option name, case-insensitive
+ * @returns {string|undefined}
+ */
+function commandOption(command, key) {
+  const words = command.tokens.filter(x => x.type !== 'comment');
+  for (let i = 1; i < words.length - 2; i++) {
+    if (words[i].value.toUpperCase() === key && words[i + 1].type === '=') {
+      return words[i + 2].value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the taxon name in a word token
+ * @param {Object} token - Word token from tokenizeNexus
+ * @param {Object} options - Options given to parseNexus
+ * @returns {string}
+ */
+function taxonName(token, options) {
+  return token.quoted || !options.underscoresToSpaces ? token.value : token.value.replace(/_/g, ' ');
+}
+
+/**
+ * Recursively replace tip names in parsed tree object.
+ * Internal node names are left alone, since they are usually support values rather than taxa.
+ * @param {Object} node - Tree node from parseNewick
+ * @param {Map<string, string>} translateMap - Label to name mapping
+ */
+function applyTranslate(node, translateMap) {
   if (node.children) {
     node.children.forEach(child => applyTranslate(child, translateMap));
+  } else if (node.name && translateMap.has(node.name)) {
+    node.name = translateMap.get(node.name);
   }
 }
 
 /**
  * Parse a single TREES block
- * @param {string} blockContent - Content between BEGIN TREES and END
- * @returns {Array<{treeName: string|null, treeData: Object}>} 
+ * @param {Object} block - Block from groupNexusBlocks
+ * @param {string} nexusStr - Full NEXUS file content
+ * @param {Array<string>} taxLabels - Taxon names from a TAXA block, used when there is no TRANSLATE command
+ * @param {Object} options - Options given to parseNexus
+ * @returns {Array<{treeName: string|null, treeData: Object}>}
  */
-function parseTreesBlock(blockContent) {
+function parseTreesBlock(block, nexusStr, taxLabels, options) {
   const trees = [];
-  const translateMap = new Map();
-
-  // Parse TRANSLATE command
-  const translateMatch = blockContent.match(/translate\s+([^;]+);/i);
-  if (translateMatch) {
-    const translateContent = translateMatch[1];
-    // Parse "number name," pairs
-    const pairs = translateContent.split(/,\s*/);
-    pairs.forEach(pair => {
-      const match = pair.trim().match(/^(\d+)\s+(.+)$/);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        const name = match[2].trim();
-        translateMap.set(num, name);
+
+  // Without a TRANSLATE command, numbers refer to the order of taxa in the TAXA block
+  const translateMap = new Map(taxLabels.map((name, index) => [String(index + 1), name]));
+
+  for (const command of block.commands) {
+    if (command.name === 'TRANSLATE') {
+      // "label name" pairs separated by commas
+      translateMap.clear();
+      let pair = [];
+      for (const token of command.tokens.slice(1)) {
+        if (token.type === 'word') {
+          pair.push(taxonName(token, options));
+        } else if (token.type === ',') {
+          if (pair.length >= 2) translateMap.set(pair[0], pair[1]);
+          pair = [];
+        }
       }
-    });
+      if (pair.length >= 2) translateMap.set(pair[0], pair[1]);
+    } else if (command.name === 'TREE' || command.name === 'UTREE') {
+      const equalsIndex = command.tokens.findIndex(x => x.type === '=');
+      if (equalsIndex === -1) {
+        console.warn(`Skipping NEXUS tree without '=' at line ${command.tokens[0].line}`);
+        continue;
+      }
+
+      // The tree name is the last word before '=', skipping the '*' marking the default tree
+      const nameToken = command.tokens.slice(1, equalsIndex)
+        .filter(x => x.type === 'word' && !(x.value === '*' && !x.quoted))
+        .pop();
+      let treeName = nameToken ? nameToken.value.replace(/^\*/, '') || null : null;
+      if (treeName && treeName.toLowerCase() == 'untitled') {
+        treeName = null;
+      }
+
+      // Parse the Newick to get tree object, including any [&R] or [&U] comment after the '='
+      const newickStr = nexusStr.slice(command.tokens[equalsIndex].end, command.end);
+      let treeData;
+      try {
+        treeData = parseNewick(newickStr, options);
+      } catch (error) {
+        // Convert the position in the tree to a position in the file
+        const equalsToken = command.tokens[equalsIndex];
+        const message = error.message.replace(/at line (\d+), column (\d+)$/, (match, line, column) => {
+          const fileLine = equalsToken.line + Number(line) - 1;
+          const fileColumn = Number(line) === 1 ? equalsToken.column + Number(column) : Number(column);
+          return `at line ${fileLine}, column ${fileColumn}`;
+        });
+        throw new Error(`Could not parse NEXUS tree ${treeName || trees.length + 1}: ${message}`);
+      }
+      if (command.name === 'UTREE' && treeData.rooted === undefined) {
+        treeData.rooted = false;
+      }
+
+      // Apply TRANSLATE to rename nodes
+      applyTranslate(treeData, translateMap);
+
+      trees.push({ treeName, treeData });
+    }
   }
 
-  // Parse TREE commands
-  const treeRegex = /tree\s*\*?\s*(?:(\S+))?\s*=\s*(?:\[\S+\])?\s*([^;]+);/gi;
-  let match;
+  return trees;
+}
+
+/**
+ * Get the taxon names listed in a TAXA block
+ * @param {Object} block - Block from groupNexusBlocks
+ * @param {Object} options - Options given to parseNexus
+ * @returns {Array<string>}
+ */
+function parseTaxaBlock(block, options) {
+  const command = block.commands.find(x => x.name === 'TAXLABELS');
+  if (!command) return [];
+  return command.tokens.slice(1).filter(x => x.type === 'word').map(x => taxonName(x, options));
+}
+
+const MOLECULAR_DATATYPES = new Set(['DNA', 'RNA', 'NUCLEOTIDE', 'PROTEIN']);
+
+/**
+ * Convert a DATA or CHARACTERS block to a tab-separated table with one row per taxon and one column
+ * per character. States are replaced by their labels from CHARSTATELABELS or STATELABELS when present.
+ * Molecular sequence matrices are skipped, since a column per site is not useful as metadata.
+ * @param {Object} block - Block from groupNexusBlocks
+ * @param {Object} options - Options given to parseNexus
+ * @returns {string|null} Table as a TSV string, or null if the block has no usable matrix
+ */
+function parseCharactersBlock(block, options) {
+  const findCommand = name => block.commands.find(x => x.name === name);
+  const matrixCommand = findCommand('MATRIX');
+  if (!matrixCommand) return null;
+
+  const format = findCommand('FORMAT') || { tokens: [] };
+  const datatype = (commandOption(format, 'DATATYPE') || 'STANDARD').toUpperCase();
+  if (MOLECULAR_DATATYPES.has(datatype)) {
+    console.warn(`Skipping NEXUS ${datatype} matrix, since only standard and continuous characters are used as metadata`);
+    return null;
+  }
+  const isContinuous = datatype === 'CONTINUOUS';
+  const missing = commandOption(format, 'MISSING') || '?';
+  const gap = commandOption(format, 'GAP') || '-';
+  const matchChar = commandOption(format, 'MATCHCHAR');
+  const symbols = (commandOption(format, 'SYMBOLS') || '0123456789').replace(/\s/g, '');
+  const interleaved = format.tokens.some(x => x.type === 'word' && x.value.toUpperCase() === 'INTERLEAVE');
+  const nchar = parseInt(commandOption(findCommand('DIMENSIONS') || { tokens: [] }, 'NCHAR'), 10);
 
-  while ((match = treeRegex.exec(blockContent)) !== null) {
-    let treeName = match[1].replace(/['"]+/g, '') || null;
-    if (treeName.toLowerCase() == 'untitled') {
-      treeName = null;
+  // Character names and state labels
+  const charNames = [];
+  const stateLabels = [];
+  const charLabels = findCommand('CHARLABELS');
+  if (charLabels) {
+    charLabels.tokens.slice(1).filter(x => x.type === 'word').forEach((x, i) => { charNames[i] = x.value; });
+  }
+  const charStateLabels = findCommand('CHARSTATELABELS');
+  if (charStateLabels) {
+    // "number name / state state ..." entries separated by commas
+    let entry = [];
+    const addEntry = () => {
+      const charIndex = parseInt(entry[0]?.value, 10) - 1;
+      if (!isNaN(charIndex)) {
+        const slashIndex = entry.findIndex(x => x.value === '/' && !x.quoted);
+        const nameTokens = slashIndex === -1 ? entry.slice(1) : entry.slice(1, slashIndex);
+        if (nameTokens.length > 0) charNames[charIndex] = nameTokens.map(x => x.value).join(' ');
+        if (slashIndex !== -1) stateLabels[charIndex] = entry.slice(slashIndex + 1).map(x => x.value);
+      }
+      entry = [];
+    };
+    for (const token of charStateLabels.tokens.slice(1)) {
+      if (token.type === 'word') {
+        // Slashes are not separate tokens, so split words like "habitat/land"
+        token.value.split(/(\/)/).filter(x => x).forEach(value => entry.push({ value, quoted: token.quoted }));
+      } else if (token.type === ',') {
+        addEntry();
+      }
     }
-    const newickStr = match[2].trim();
+    addEntry();
+  }
 
-    // Parse the Newick to get tree object
-    const treeData = parseNewick(newickStr);
+  // Collect the states for each taxon, in order. Interleaved matrices have one line per taxon per
+  // chunk. Otherwise, rows end after NCHAR states, or at the end of the line if NCHAR is not known.
+  const rows = new Map();
+  const words = matrixCommand.tokens.slice(1).filter(x => x.type === 'word');
+  const byLine = interleaved || isNaN(nchar);
+  let currentTaxon = null;
+  let currentLine = null;
+  for (const token of words) {
+    const rowFull = currentTaxon !== null && !byLine && rows.get(currentTaxon).states.length >= nchar;
+    const newLine = byLine && token.line !== currentLine;
+    if (currentTaxon === null || rowFull || newLine) {
+      currentTaxon = taxonName(token, options);
+      currentLine = token.line;
+      if (!rows.has(currentTaxon)) rows.set(currentTaxon, { states: [], pending: '' });
+      continue;
+    }
+    const row = rows.get(currentTaxon);
+    if (isContinuous) {
+      row.states.push(token.value);
+    } else {
+      // Each character is one symbol, or a group of symbols in parentheses or braces, which can
+      // be split across words
+      row.pending += token.value;
+      let i = 0;
+      while (i < row.pending.length) {
+        const char = row.pending[i];
+        if (char === '(' || char === '{') {
+          const close = row.pending.indexOf(char === '(' ? ')' : '}', i);
+          if (close === -1) break;
+          row.states.push(row.pending.slice(i + 1, close).split(''));
+          i = close + 1;
+        } else {
+          row.states.push([char]);
+          i++;
+        }
+      }
+      row.pending = row.pending.slice(i);
+    }
+  }
 
-    // Apply TRANSLATE to rename nodes
-    applyTranslate(treeData, translateMap);
+  if (rows.size === 0) return null;
 
-    trees.push({ treeName, treeData });
+  // Convert states to labels
+  const taxa = Array.from(rows.keys());
+  const firstRow = rows.get(taxa[0]).states;
+  const charCount = Math.max(...taxa.map(taxon => rows.get(taxon).states.length));
+  const header = ['taxon'];
+  for (let i = 0; i < charCount; i++) {
+    header.push(charNames[i] || `character_${i + 1}`);
+  }
+  const clean = value => value.replace(/[\t\r\n]+/g, ' ');
+  const lines = [header.map(clean).join('\t')];
+  for (const taxon of taxa) {
+    const values = rows.get(taxon).states.map((state, i) => {
+      if (isContinuous) {
+        return state === missing ? '' : state;
+      }
+      if (matchChar && state.length === 1 && state[0] === matchChar) {
+        state = firstRow[i];
+      }
+      const labels = state
+        .filter(symbol => symbol !== missing && symbol !== gap)
+        .map(symbol => stateLabels[i]?.[symbols.indexOf(symbol)] ?? symbol);
+      return labels.join('/');
+    });
+    lines.push([taxon, ...values].map(clean).join('\t'));
   }
 
-  return trees;
+  return lines.join('\n');
 }
 
 /**
  * Parse NEXUS file content
- * @param {string} nexusStr 
- * @returns {Array<{treeName: string|null, treeData: Object}>}
+ * @param {string} nexusStr
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.underscoresToSpaces=false] - Replace underscores in unquoted taxon names and tree
+ *   labels with spaces, as described by the NEXUS and Newick specifications
+ * @returns {Array<{treeName: string|null, treeData: Object, metadataTables: Array<{name: string, data: string}>}>}
+ *   Trees in the file. Character matrices in DATA and CHARACTERS blocks are returned as tab-separated
+ *   tables with each tree.
  */
-export function parseNexus(nexusStr) {
+export function parseNexus(nexusStr, options = {}) {
+  const blocks = groupNexusBlocks(tokenizeNexus(nexusStr));
+
+  let taxLabels = [];
   const trees = [];
+  const metadataTables = [];
 
-  // Find all TREES blocks (case-insensitive)
-  const treesBlockRegex = /begin\s+trees\s*;([^]*?)end\s*;/gi;
-  let blockMatch;
+  for (const block of blocks) {
+    if (block.name === 'TAXA') {
+      taxLabels = parseTaxaBlock(block, options);
+    } else if (block.name === 'TREES') {
+      trees.push(...parseTreesBlock(block, nexusStr, taxLabels, options));
+    } else if (block.name === 'DATA' || block.name === 'CHARACTERS') {
+      const table = parseCharactersBlock(block, options);
+      if (table) {
+        metadataTables.push({ name: 'Character matrix', data: table });
+      }
+    }
+  }
 
-  while ((blockMatch = treesBlockRegex.exec(nexusStr)) !== null) {
-    const blockTrees = parseTreesBlock(blockMatch[1]);
-    trees.push(...blockTrees);
+  // Give each table a unique name if there is more than one
+  if (metadataTables.length > 1) {
+    metadataTables.forEach((table, index) => { table.name = `Character matrix ${index + 1}`; });
   }
 
-  return trees;
+  return trees.map(tree => ({ ...tree, metadataTables }));
 }
@@ -4,125 +4,841 @@ import {
 import { interpolateViridisSubset } from "./utils.js"
 
 export { isNexusFormat } from "./nexusParser.js";
+export { isPhyloXmlFormat } from "./phyloxmlParser.js";
+export { isTaxonomyTableFormat } from "./taxonomyParser.js";
+
+const NEWICK_PUNCTUATION = new Set(['(', ')', ',', ':', ';']);
+
+/**
+ * Split a Newick formatted string into tokens, keeping track of where each token starts.
+ * Token types are the punctuation characters themselves, 'label' and 'comment'.
+ * @param {string} newickStr - The Newick formatted string.
+ * @returns {Array<{type: string, value: string, quoted: boolean, line: number, column: number}>} Tokens in order.
+ */
+function tokenizeNewick(newickStr) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  function advance() {
+    if (newickStr[index] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    index++;
+  }
+
+  while (index < newickStr.length) {
+    const char = newickStr[index];
+    const token = { type: null, value: '', quoted: false, line, column };
+
+    if (/\s/.test(char)) {
+      advance();
+      continue;
+    }
+
+    if (NEWICK_PUNCTUATION.has(char)) {
+      token.type = char;
+      token.value = char;
+      advance();
+    } else if (char === '[') {
+      // Comments can not be nested, so they end at the first ']'
+      token.type = 'comment';
+      advance();
+      while (index < newickStr.length && newickStr[index] !== ']') {
+        token.value += newickStr[index];
+        advance();
+      }
+      if (index >= newickStr.length) {
+        throw newickError('Unterminated comment', token);
+      }
+      advance(); // skip ']'
+    } else if (char === "'") {
+      // Quoted labels can contain any character, with '' standing for a single quote
+      token.type = 'label';
+      token.quoted = true;
+      advance();
+      while (true) {
+        if (index >= newickStr.length) {
+          throw newickError('Unterminated quoted label', token);
+        }
+        if (newickStr[index] === "'") {
+          if (newickStr[index + 1] === "'") {
+            token.value += "'";
+            advance();
+            advance();
+          } else {
+            advance();
+            break;
+          }
+        } else {
+          token.value += newickStr[index];
+          advance();
+        }
+      }
+    } else if (char === ']') {
+      throw newickError("Unexpected ']' outside of a comment", token);
+    } else {
+      // Unquoted labels run until the next punctuation, comment, or quote. Blanks inside them are
+      // not allowed by the format, but are common enough that they are kept as single spaces.
+      token.type = 'label';
+      while (index < newickStr.length) {
+        const nextChar = newickStr[index];
+        if (NEWICK_PUNCTUATION.has(nextChar) || nextChar === '[' || nextChar === ']' || nextChar === "'") break;
+        token.value += nextChar;
+        advance();
+      }
+      token.value = token.value.trim().replace(/\s+/g, ' ');
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Create an error pointing to where a token starts in a Newick string.
+ * @param {string} message - Description of the problem.
+ * @param {Object} token - Token the problem was found at, or undefined at the end of the input.
+ * @param {Object} [end] - Position of the end of the input, used when token is undefined.
+ * @returns {Error} Error with the line and column in its message.
+ */
+function newickError(message, token, end) {
+  const position = token || end;
+  return new Error(`${message} at line ${position.line}, column ${position.column}`);
+}
+
+/**
+ * Describe a token for use in error messages.
+ * @param {Object} token - Token to describe, or undefined at the end of the input.
+ * @returns {string} Description of the token.
+ */
+function describeToken(token) {
+  if (!token) return 'end of input';
+  if (token.type === 'label') return `label '${token.value}'`;
+  return `'${token.value}'`;
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside braces or double quotes.
+ * @param {string} str - String to split.
+ * @param {string} sep - Single character separator.
+ * @returns {Array<string>} Parts of the string.
+ */
+function splitOutsideBraces(str, sep) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let inQuotes = false;
+  for (const char of str) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === '{') {
+      depth++;
+    } else if (!inQuotes && char === '}') {
+      depth = Math.max(0, depth - 1);
+    } else if (!inQuotes && depth === 0 && char === sep) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse the key/value pairs in a Newick comment written by tools like BEAST and MrBayes
+ * (`[&height=1.2,posterior=0.98]`) or in the NHX format (`[&&NHX:S=human:B=100]`).
+ * Values are kept as strings. Ranges like `{0.1,0.5}` are kept as written.
+ * @param {string} comment - Text between the square brackets.
+ * @returns {Object|null} Annotation values keyed by name, or null if the comment is not an annotation.
+ */
+export function parseNewickAnnotation(comment) {
+  let pairs;
+  if (/^&&NHX/i.test(comment)) {
+    pairs = comment.slice(5).split(':');
+  } else if (comment.startsWith('&')) {
+    pairs = splitOutsideBraces(comment.slice(1), ',');
+  } else {
+    return null;
+  }
+
+  const annotations = {};
+  for (const pair of pairs) {
+    const sepIndex = pair.indexOf('=');
+    if (sepIndex <= 0) continue; // Flags like [&R] have no value
+    const key = pair.slice(0, sepIndex).trim().replace(/^!/, ''); // FigTree prefixes some keys with '!'
+    const value = pair.slice(sepIndex + 1).trim().replace(/^"(.*)"$/, '$1');
+    if (key) {
+      annotations[key] = value;
+    }
+  }
+  return annotations;
+}
 
 /**
  * Parse a Newick formatted string.
+ * Supports quoted labels (with '' as an escaped quote), square bracket comments, whitespace and
+ * newlines between tokens, and branch lengths in scientific notation. Annotations in comments (see
+ * parseNewickAnnotation) are stored in the `annotations` object of the node they follow. A [&R] or
+ * [&U] comment before the tree sets `rooted` on the root to true or false. Other comments are ignored.
  * @param {string} newickStr - The Newick formatted string.
+ * @param {Object} [options] - Parsing options.
+ * @param {boolean} [options.underscoresToSpaces=false] - Replace underscores in unquoted labels with
+ *   spaces, as described by the Newick specification. Off by default, since metadata tables usually
+ *   refer to nodes by their names as written in the tree file.
  * @returns {object} Parsed tree object.
  */
-export function parseNewick(newickStr) {
-  newickStr = newickStr.trim();
-  if (newickStr[newickStr.length - 1] === ';') {
-    newickStr = newickStr.slice(0, -1);
-  }
+export function parseNewick(newickStr, options = {}) {
+  const { underscoresToSpaces = false } = options;
+  const tokens = tokenizeNewick(newickStr);
+  const lines = newickStr.split('\n');
+  const end = { line: lines.length, column: lines[lines.length - 1].length + 1 };
   let index = 0;
+  let pendingComments = [];
+
+  // Get the next token that is not a comment, saving any skipped comments for the current node
+  function peek() {
+    while (tokens[index]?.type === 'comment') {
+      pendingComments.push(tokens[index++].value);
+    }
+    return tokens[index];
+  }
+
+  // Add the annotations in comments skipped so far to a node
+  function takeComments(node) {
+    for (const comment of pendingComments) {
+      const annotations = parseNewickAnnotation(comment);
+      if (annotations && Object.keys(annotations).length > 0) {
+        node.annotations = { ...node.annotations, ...annotations };
+      }
+    }
+    pendingComments = [];
+  }
+
+  function expect(type) {
+    const token = peek();
+    if (!token || token.type !== type) {
+      throw newickError(`Expected '${type}' but found ${describeToken(token)}`, token, end);
+    }
+    index++;
+    return token;
+  }
 
   function parseTree() {
     let node = {};
-    if (newickStr[index] === '(') {
+    if (peek()?.type === '(') {
+      takeComments(node);
       index++; // skip '('
       node.children = [];
       while (true) {
-        let child = parseTree();
-        node.children.push(child);
-        if (newickStr[index] === ',') {
+        node.children.push(parseTree());
+        if (peek()?.type === ',') {
           index++;
-        } else if (newickStr[index] === ')') {
-          index++;
-          break;
         } else {
+          expect(')');
           break;
         }
       }
     }
-    let label = '';
-    while (index < newickStr.length && newickStr[index] !== ',' && newickStr[index] !== ')') {
-      label += newickStr[index++];
+
+    if (peek()?.type === 'label') {
+      const label = tokens[index++];
+      const name = label.quoted || !underscoresToSpaces ? label.value : label.value.replace(/_/g, ' ');
+      if (name) {
+        node.name = name;
+      }
     }
-    label = label.trim();
-    if (label) {
-      let parts = label.split(":");
-      node.name = parts[0] || "";
-      if (parts.length > 1) {
-        node.length = parseFloat(parts[1]);
+
+    if (peek()?.type === ':') {
+      index++; // skip ':'
+      const lengthToken = peek();
+      if (!lengthToken || lengthToken.type !== 'label' || lengthToken.quoted) {
+        throw newickError(`Expected a branch length but found ${describeToken(lengthToken)}`, lengthToken, end);
       }
+      const length = Number(lengthToken.value);
+      if (lengthToken.value === '' || isNaN(length)) {
+        throw newickError(`Invalid branch length '${lengthToken.value}'`, lengthToken);
+      }
+      node.length = length;
+      index++;
     }
+
+    // Comments before the next ',', ')' or ';' also belong to this node
+    peek();
+    takeComments(node);
+
     return node;
   }
 
+  // A [&R] or [&U] comment before the tree says if it is rooted
+  peek();
+  const rootingFlag = pendingComments.map(comment => comment.trim().toUpperCase()).find(comment => comment === '&R' || comment === '&U');
+
   const result = parseTree();
-  if (index !== newickStr.length) {
-    throw new Error(`Unexpected character at position ${index}: '${newickStr[index]}'`);
+  if (rootingFlag) {
+    result.rooted = rootingFlag === '&R';
+  }
+  if (peek()?.type === ';') {
+    index++;
+  }
+  if (peek() !== undefined) {
+    throw newickError(`Unexpected ${describeToken(peek())}`, peek());
   }
   return result;
 }
 
+const FILTER_KEYWORDS = new Map([
+  ['and', 'and'], ['or', 'or'], ['not', 'not'], ['contains', 'operator'], ['true', 'value'], ['false', 'value']
+]);
+const FILTER_SYMBOLS = new Map([
+  ['==', 'operator'], ['!=', 'operator'], ['<=', 'operator'], ['>=', 'operator'], ['<', 'operator'], ['>', 'operator'],
+  ['=', 'operator'], ['&&', 'and'], ['||', 'or'], ['!', 'not'], ['(', '('], [')', ')']
+]);
 
-export function parseTable(tsvStr, valid_ids, sep = '\t') {
+/**
+ * Split a filter expression into tokens, keeping track of where each token starts.
+ * Token types are 'column', 'value', 'operator', 'and', 'or', 'not', '(' and ')'.
+ * @param {string} expression - The filter expression.
+ * @returns {Array<{type: string, value: *, position: number}>} Tokens in order.
+ */
+function tokenizeFilterExpression(expression) {
+  const tokens = [];
+  let index = 0;
 
-  let metadataMap = new Map();
-  let columnTypes = new Map(); // Track whether each column is continuous or categorical
-  let validIdCounts = []; // how many valid ids are present in each column
-  let idColumns = [];
+  while (index < expression.length) {
+    const char = expression[index];
+    const token = { type: null, value: '', position: index + 1 };
+    const rest = expression.slice(index);
+    let match;
 
-  const lines = tsvStr.trim().split('\n');
-  if (lines.length == 0) {
-    console.error('Empty metadata table');
-  } else {
-    const headers = lines[0].split(sep);
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      // Quoted text is a value, except in backquotes, which name columns with spaces or symbols
+      token.type = char === '`' ? 'column' : 'value';
+      index++;
+      while (true) {
+        if (index >= expression.length) {
+          throw filterError('Unterminated quote', token);
+        }
+        if (expression[index] === char) {
+          index++;
+          break;
+        }
+        if (expression[index] === '\\' && index + 1 < expression.length) {
+          index++;
+        }
+        token.value += expression[index];
+        index++;
+      }
+    } else if ((match = rest.match(/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?(?![\w.])/i))) {
+      token.type = 'value';
+      token.value = Number(match[0]);
+      index += match[0].length;
+    } else if ((match = rest.match(/^[A-Za-z_][\w.]*/))) {
+      const keyword = match[0].toLowerCase();
+      if (FILTER_KEYWORDS.has(keyword)) {
+        token.type = FILTER_KEYWORDS.get(keyword);
+        token.value = token.type === 'value' ? keyword === 'true' : keyword;
+      } else {
+        token.type = 'column';
+        token.value = match[0];
+      }
+      index += match[0].length;
+    } else if ((match = rest.match(/^(==|!=|<=|>=|&&|\|\||[=<>!()])/))) {
+      token.type = FILTER_SYMBOLS.get(match[0]);
+      token.value = match[0] === '=' ? '==' : match[0];
+      index += match[0].length;
+    } else {
+      throw filterError(`Unexpected character '${char}'`, token);
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Create an error pointing to where a token starts in a filter expression.
+ * @param {string} message - Description of the problem.
+ * @param {Object} token - Token the problem was found at, or undefined at the end of the input.
+ * @returns {Error} Error with the position in its message.
+ */
+function filterError(message, token) {
+  return new Error(token ? `${message} at position ${token.position}` : `${message} at end of filter`);
+}
+
+/**
+ * Compare a metadata value to a value in a filter expression. Missing values fail every comparison.
+ * Values are compared as numbers if both are numbers and as case-sensitive text otherwise, except
+ * for `contains`, which checks for text anywhere in the value, ignoring case.
+ * @param {*} value - Metadata value.
+ * @param {string} operator - One of '==', '!=', '<', '<=', '>', '>=' or 'contains'.
+ * @param {*} target - Value to compare to.
+ * @returns {boolean}
+ */
+function compareFilterValues(value, operator, target) {
+  if (value === undefined || value === null || value === '' || target === undefined || target === null) {
+    return false;
+  }
+  if (operator === 'contains') {
+    return String(value).toLowerCase().includes(String(target).toLowerCase());
+  }
+  const isNumber = x => typeof x === 'number' || (typeof x === 'string' && x.trim() !== '' && !isNaN(Number(x)));
+  const [a, b] = isNumber(value) && isNumber(target) ? [Number(value), Number(target)] : [String(value), String(target)];
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+  }
+  return false;
+}
+
+/**
+ * Parse an expression used to filter tips by their metadata, such as
+ * `source == "farm" and abundance > 100`. Comparisons (`==`, `!=`, `<`, `<=`, `>`, `>=` and
+ * `contains`) have a column name on one side and a quoted text, number, `true` or `false` on the
+ * other, and can be combined with `and`, `or`, `not` and parentheses. Column names with spaces or
+ * symbols can be written in backquotes.
+ * @param {string} expression - The filter expression.
+ * @returns {{columns: Array<string>, test: function(function(string): *): boolean}} Names of the
+ *   columns used and a function that checks if a tip passes, given a function returning its value in a column.
+ * @throws {Error} If the expression is not valid.
+ */
+export function parseFilterExpression(expression) {
+  const tokens = tokenizeFilterExpression(expression);
+  const columns = new Set();
+  let index = 0;
+
+  function describe(token) {
+    if (!token) return 'end of filter';
+    if (token.type === 'column') return `column '${token.value}'`;
+    if (token.type === 'value') return typeof token.value === 'string' ? `"${token.value}"` : `${token.value}`;
+    return `'${token.value}'`;
+  }
 
-    // Initialize column type detection
-    const columnValues = new Map();
-    headers.forEach(col => columnValues.set(col, []));
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (tokens[index]?.type === 'or') {
+      index++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : getValue => terms.some(term => term(getValue));
+  }
 
-    // Parse metadata rows
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(sep);
-      const metadata = {};
+  function parseAnd() {
+    const terms = [parseNot()];
+    while (tokens[index]?.type === 'and') {
+      index++;
+      terms.push(parseNot());
+    }
+    return terms.length === 1 ? terms[0] : getValue => terms.every(term => term(getValue));
+  }
+
+  function parseNot() {
+    if (tokens[index]?.type === 'not') {
+      index++;
+      const term = parseNot();
+      return getValue => !term(getValue);
+    }
+    return parsePrimary();
+  }
 
-      for (let j = 0; j < headers.length; j++) {
-        const colName = headers[j];
-        const value = values[j] === '' ? undefined : values[j];
-        metadata[colName] = value;
-        columnValues.get(colName).push(value);
+  function parsePrimary() {
+    if (tokens[index]?.type === '(') {
+      index++;
+      const term = parseOr();
+      if (tokens[index]?.type !== ')') {
+        throw filterError(`Expected ')' but found ${describe(tokens[index])}`, tokens[index]);
       }
+      index++;
+      return term;
+    }
+    return parseComparison();
+  }
 
-      // Store with row index as key
-      metadataMap.set(i - 1, metadata);
+  function parseComparison() {
+    const left = tokens[index];
+    const operator = tokens[index + 1];
+    const right = tokens[index + 2];
+    if (!left || (left.type !== 'column' && left.type !== 'value')) {
+      throw filterError(`Expected a comparison but found ${describe(left)}`, left);
+    }
+    if (!operator || operator.type !== 'operator') {
+      throw filterError(`Expected a comparison operator but found ${describe(operator)}`, operator);
+    }
+    if (!right || (right.type !== 'column' && right.type !== 'value')) {
+      throw filterError(`Expected a value but found ${describe(right)}`, right);
     }
+    if ((left.type === 'column') === (right.type === 'column')) {
+      throw filterError('Comparisons need a column on one side and a value on the other', left);
+    }
+    index += 3;
 
-    headers.forEach(col => {
-      const values = columnValues.get(col);
+    // Write comparisons with the column first, so `100 < abundance` is `abundance > 100`
+    const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+    const [column, target] = left.type === 'column' ? [left.value, right.value] : [right.value, left.value];
+    const op = left.type === 'column' ? operator.value : (flipped[operator.value] || operator.value);
+    if (op === 'contains' && left.type !== 'column') {
+      throw filterError("'contains' needs the column on its left", operator);
+    }
+    columns.add(column);
+    return getValue => compareFilterValues(getValue(column), op, target);
+  }
 
-      // Determine column types (continuous vs categorical)
-      const numericValues = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
-      const isContinuous = numericValues.length > 0 &&
-        numericValues.length === values.filter(v => v !== undefined).length;
-      columnTypes.set(col, isContinuous ? 'continuous' : 'categorical');
+  if (tokens.length === 0) {
+    throw new Error('Filter is empty');
+  }
+  const test = parseOr();
+  if (index < tokens.length) {
+    throw filterError(`Unexpected ${describe(tokens[index])}`, tokens[index]);
+  }
+  return { columns: [...columns], test };
+}
 
-      // Count how many values in this column match tree node names
-      let matchCount = 0;
-      for (const value of values) {
-        if (value && valid_ids.has(value)) {
-          matchCount++;
+
+/**
+ * Decide if a column of values is continuous or categorical.
+ * Columns are continuous if all of their defined values are numbers.
+ * @param {Array<string|undefined>} values - Values in the column, with undefined for missing values.
+ * @returns {string} 'continuous' or 'categorical'.
+ */
+export function inferColumnType(values) {
+  const numericValues = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+  const isContinuous = numericValues.length > 0 &&
+    numericValues.length === values.filter(v => v !== undefined).length;
+  return isContinuous ? 'continuous' : 'categorical';
+}
+
+const SNIFFED_SEPARATORS = ['\t', ',', ';', '|'];
+
+/**
+ * Split delimited text into records of fields, following RFC 4180. Fields can be quoted with double
+ * quotes, in which case they can contain separators and newlines, and `""` is an escaped quote.
+ * A leading byte order mark is removed, line endings can be `\n`, `\r\n` or `\r`, and blank lines
+ * are skipped.
+ * @param {string} str - Delimited text.
+ * @param {string} sep - Field separator.
+ * @returns {Array<Array<string>>} Records, each an array of field values.
+ */
+export function parseDelimited(str, sep) {
+  if (str.charCodeAt(0) === 0xFEFF) {
+    str = str.slice(1);
+  }
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false; // Whether the current field was quoted, so an empty line is not a blank line
+  let i = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '' || quoted) {
+      records.push(record);
+    }
+    record = [];
+    quoted = false;
+  };
+
+  while (i < str.length) {
+    const char = str[i];
+    if (char === '"' && field === '') {
+      // Quoted field, which ends at the next quote that is not doubled
+      quoted = true;
+      i++;
+      while (i < str.length) {
+        if (str[i] === '"') {
+          if (str[i + 1] === '"') {
+            field += '"';
+            i += 2;
+          } else {
+            i++;
+            break;
+          }
+        } else {
+          field += str[i++];
         }
       }
-      if (matchCount > 0) {
-        validIdCounts.push({ col, matchCount });
+    } else if (str.startsWith(sep, i)) {
+      endField();
+      i += sep.length;
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      i += char === '\r' && str[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += char;
+      i++;
+    }
+  }
+  if (field !== '' || record.length > 0 || quoted) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Guess the field separator of delimited text. Each candidate separator is used to split the first
+ * lines of the text, and the one that gives the same number of fields (more than one) on every line
+ * is chosen, preferring tabs, then commas, semicolons, and pipes.
+ * @param {string} str - Delimited text.
+ * @returns {string} The separator, or a tab if none could be found.
+ */
+export function detectSeparator(str) {
+  const sample = str.slice(0, 20000);
+  let best = null;
+  for (const sep of SNIFFED_SEPARATORS) {
+    const records = parseDelimited(sample, sep).slice(0, 20);
+    // The last record may have been cut off by the sample
+    if (records.length > 1 && sample.length < str.length) {
+      records.pop();
+    }
+    const fieldCounts = new Set(records.map(record => record.length));
+    const fieldCount = records.length > 0 ? records[0].length : 0;
+    if (fieldCount < 2) {
+      continue;
+    }
+    if (fieldCounts.size === 1) {
+      return sep;
+    }
+    if (!best) {
+      best = sep;
+    }
+  }
+  return best ?? '\t';
+}
+
+
+/**
+ * Decide if a column of values from JavaScript objects is continuous or categorical.
+ * Unlike inferColumnType, strings are not converted to numbers, so only columns whose defined values
+ * are all numbers are continuous.
+ * @param {Array<*>} values - Values in the column, with undefined for missing values.
+ * @returns {string} 'continuous' or 'categorical'.
+ */
+export function inferValueColumnType(values) {
+  const definedValues = values.filter(v => v !== undefined);
+  const isContinuous = definedValues.length > 0 && definedValues.every(v => typeof v === 'number');
+  return isContinuous ? 'continuous' : 'categorical';
+}
+
+/**
+ * Make a function that converts IDs to the form used to match metadata rows to tree nodes, so that
+ * IDs written differently in the tree and the table can still be matched. Rules are applied in the
+ * order listed below. Without rules, IDs are only converted to strings.
+ * @param {Object} [rules={}] - Normalization rules.
+ * @param {RegExp|string} [rules.pattern] - Regular expression used to extract the part of the ID to
+ *   match by: its first capture group, or the whole match if it has no groups. IDs it does not
+ *   match are used as they are. For example, `'^(.+?)(\\.\\d+)?$'` ignores accession versions like ".1".
+ * @param {boolean} [rules.underscoresToSpaces=false] - Treat underscores and runs of whitespace as a
+ *   single space, ignoring leading and trailing ones.
+ * @param {boolean} [rules.ignoreCase=false] - Ignore differences in case.
+ * @returns {function(*): string} Function returning the normalized ID.
+ */
+export function createIdNormalizer(rules = {}) {
+  let pattern = rules.pattern ?? null;
+  if (typeof pattern === 'string') {
+    try {
+      pattern = new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ID pattern ${rules.pattern}: ${error.message}`);
+    }
+  }
+
+  return value => {
+    let id = String(value);
+    if (pattern) {
+      const match = id.match(pattern);
+      if (match) {
+        id = match[1] ?? match[0];
+      }
+    }
+    if (rules.underscoresToSpaces) {
+      id = id.replace(/[\s_]+/g, ' ').trim();
+    }
+    if (rules.ignoreCase) {
+      id = id.toLowerCase();
+    }
+    return id;
+  };
+}
+
+/**
+ * Find the columns of a table that contain node IDs
+ * @param {Array<string>} headers - Column names.
+ * @param {Array<Object>} rows - Rows of the table, keyed by column name.
+ * @param {Set<string>} valid_ids - Normalized node names.
+ * @param {function(*): string} [normalizeId=String] - Function used to normalize the values in the table.
+ * @returns {Array<string>} Columns containing at least one node ID, sorted by the number of IDs they contain.
+ */
+export function findIdColumns(headers, rows, valid_ids, normalizeId = String) {
+  let validIdCounts = []; // how many valid ids are present in each column
+  headers.forEach(col => {
+    // Count how many values in this column match tree node names
+    let matchCount = 0;
+    for (const row of rows) {
+      const value = row[col];
+      if (value !== undefined && valid_ids.has(normalizeId(value))) {
+        matchCount++;
       }
+    }
+    if (matchCount > 0) {
+      validIdCounts.push({ col, matchCount });
+    }
+  });
+
+  // Sort by match count descending
+  validIdCounts = validIdCounts.sort((a, b) => b.matchCount - a.matchCount);
+  return validIdCounts.map(x => x.col);
+}
+
+/**
+ * Get the type of each column of a table and the columns that contain node IDs
+ * @param {Array<string>} headers - Column names.
+ * @param {Array<Object>} rows - Rows of the table, keyed by column name.
+ * @param {Set<string>} valid_ids - Normalized node names used to find which columns contain node IDs.
+ * @param {Object} options - Options given to parseTable or parseTableData.
+ * @param {Function} inferType - Function used to infer the type of a column from its values.
+ * @returns {{columnTypes: Map<string, string>, idColumns: Array<string>}}
+ */
+function describeColumns(headers, rows, valid_ids, options, inferType) {
+  const { columnTypes = {}, normalizeId = String } = options;
+  const inferredTypes = new Map(); // Track whether each column is continuous or categorical
+
+  for (const col of Object.keys(columnTypes)) {
+    if (!headers.includes(col)) {
+      console.warn(`Column ${col} given a type but not found in metadata table`);
+    }
+  }
+
+  // Determine column types (continuous vs categorical)
+  headers.forEach(col => {
+    const type = columnTypes[col];
+    if (type === 'continuous' || type === 'categorical') {
+      inferredTypes.set(col, type);
+    } else {
+      if (type !== undefined) {
+        console.warn(`Unknown column type ${type} for column ${col}, must be 'continuous' or 'categorical'`);
+      }
+      inferredTypes.set(col, inferType(rows.map(row => row[col])));
+    }
+  });
+
+  return { columnTypes: inferredTypes, idColumns: findIdColumns(headers, rows, valid_ids, normalizeId) };
+}
+
+/**
+ * Parse a delimited metadata table. Column types are inferred with inferColumnType unless given.
+ * @param {string} tableStr - Delimited text with a header line.
+ * @param {Set<string>} valid_ids - Node names used to find which columns contain node IDs,
+ *   normalized with options.normalizeId if given.
+ * @param {string|null} [sep=null] - Field separator. Detected with detectSeparator if not given.
+ * @param {Object} [options={}] - Parsing options.
+ * @param {Object} [options.columnTypes={}] - Column types to use instead of the inferred ones, keyed
+ *   by column name, e.g. `{sample_code: 'categorical'}`.
+ * @param {function(*): string} [options.normalizeId] - Function from createIdNormalizer used to
+ *   compare values to valid_ids.
+ * @returns {{metadataMap: Map<number, Object>, columnTypes: Map<string, string>, idColumns: Array<string>}}
+ *   Rows keyed by row index, the type of each column, and the columns containing node IDs, sorted
+ *   by the number of IDs they contain.
+ */
+export function parseTable(tableStr, valid_ids, sep = null, options = {}) {
+  if (!sep) {
+    sep = detectSeparator(tableStr);
+  }
+  const records = parseDelimited(tableStr, sep);
+  if (records.length == 0) {
+    console.error('Empty metadata table');
+    return { metadataMap: new Map(), columnTypes: new Map(), idColumns: [] };
+  }
+
+  // Parse metadata rows
+  const headers = records[0].map(x => x.trim());
+  const rows = records.slice(1).map(values => {
+    const metadata = {};
+    headers.forEach((colName, j) => {
+      metadata[colName] = values[j] === '' ? undefined : values[j];
     });
+    return metadata;
+  });
 
-    // Sort by match count descending
-    validIdCounts = validIdCounts.sort((a, b) => b.matchCount - a.matchCount);
-    idColumns = validIdCounts.map(x => x.col);
+  // Store with row index as key
+  const metadataMap = new Map(rows.map((row, i) => [i, row]));
+  return { metadataMap, ...describeColumns(headers, rows, valid_ids, options, inferColumnType) };
+}
+
+/**
+ * Read a metadata table given as JavaScript data, either an array of row objects
+ * (e.g. `[{id: 'A', value: 1}]`) or an object of column arrays (e.g. `{id: ['A'], value: [1]}`),
+ * as produced by converting a data frame to JSON. Numbers, booleans, and strings are kept as they
+ * are, and null, NaN, and empty strings are treated as missing values. Column types are inferred
+ * with inferValueColumnType unless given.
+ * @param {Array<Object>|Object<string, Array>} data - Row objects or column arrays.
+ * @param {Set<string>} valid_ids - Node names used to find which columns contain node IDs.
+ * @param {Object} [options={}] - The same options as parseTable.
+ * @returns {{metadataMap: Map<number, Object>, columnTypes: Map<string, string>, idColumns: Array<string>}}
+ *   The same output as parseTable.
+ */
+export function parseTableData(data, valid_ids, options = {}) {
+  let headers;
+  let rawRows;
+  if (Array.isArray(data)) {
+    // Columns are in the order they first appear, since rows may not all have the same keys
+    const headerSet = new Set();
+    data.forEach(row => Object.keys(row ?? {}).forEach(key => headerSet.add(key)));
+    headers = Array.from(headerSet);
+    rawRows = data.map(row => row ?? {});
+  } else if (data !== null && typeof data === 'object') {
+    headers = Object.keys(data);
+    const columns = headers.map(col => Array.isArray(data[col]) ? data[col] : [data[col]]);
+    const rowCount = Math.max(0, ...columns.map(column => column.length));
+    if (columns.some(column => column.length !== rowCount)) {
+      console.warn('Columns of metadata table have different lengths, so shorter columns are padded with missing values');
+    }
+    rawRows = Array.from({ length: rowCount }, (_, i) => {
+      return Object.fromEntries(headers.map((col, j) => [col, columns[j][i]]));
+    });
+  } else {
+    throw new Error('Metadata table must be a string, an array of row objects, or an object of column arrays');
   }
 
-  return { metadataMap, columnTypes, idColumns }
+  const toValue = value => {
+    if (value === null || value === undefined || value === '' || Number.isNaN(value)) {
+      return undefined;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string') {
+      return value;
+    }
+    return String(value);
+  };
+  const rows = rawRows.map(row => Object.fromEntries(headers.map(col => [col, toValue(row[col])])));
+
+  const metadataMap = new Map(rows.map((row, i) => [i, row]));
+  return { metadataMap, ...describeColumns(headers, rows, valid_ids, options, inferValueColumnType) };
 }
 
 
 export function parseMetadata(tsvStr, sep = '\t') {
-  const { metadataMap, columnTypes } = parseTable(tsvStr, sep);
+  const { metadataMap, columnTypes } = parseTable(tsvStr, new Set(), sep);
   let colorScales = new Map();
 
   for (const [columnName, columnType] of columnTypes.entries()) {
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseNewick } from './parsers.js';
+import { parseNewick, parseDelimited, detectSeparator, parseTable, parseTableData, createIdNormalizer, parseFilterExpression } from './parsers.js';
 
 describe('parseNewick', () => {
 
@@ -65,10 +65,253 @@ describe('parseNewick', () => {
     const tree = parseNewick("('test_node',B_12`~==3);");
     expect(tree).toEqual({
       children: [
-        { name: "'test_node'" }, // Parser preserves quotes
+        { name: 'test_node' },
         { name: 'B_12`~==3' }
       ]
     });
   });
 
+  it('should handle quoted labels with punctuation and escaped quotes', () => {
+    const tree = parseNewick("('Homo sapiens:A','(x, y); [z]':0.5,'O''Brien');");
+    expect(tree).toEqual({
+      children: [
+        { name: 'Homo sapiens:A' },
+        { name: '(x, y); [z]', length: 0.5 },
+        { name: "O'Brien" }
+      ]
+    });
+  });
+
+  it('should only replace underscores with spaces in unquoted labels when requested', () => {
+    const newick = "(Homo_sapiens,'Pan_troglodytes');";
+    expect(parseNewick(newick).children.map(d => d.name)).toEqual(['Homo_sapiens', 'Pan_troglodytes']);
+    expect(parseNewick(newick, { underscoresToSpaces: true }).children.map(d => d.name))
+      .toEqual(['Homo sapiens', 'Pan_troglodytes']);
+  });
+
+  it('should ignore comments and whitespace between tokens', () => {
+    const tree = parseNewick("[&R] (\n  A [first] : 0.1 ,\n\tB:[second]0.2\n) C ;\n");
+    expect(tree).toEqual({
+      name: 'C',
+      rooted: true,
+      children: [
+        { name: 'A', length: 0.1 },
+        { name: 'B', length: 0.2 }
+      ]
+    });
+  });
+
+  it('should parse branch lengths in scientific notation', () => {
+    const tree = parseNewick('(A:1e-5,B:2.5E+2,C:-3.1e0);');
+    expect(tree.children.map(d => d.length)).toEqual([1e-5, 250, -3.1]);
+  });
+
+  it('should parse BEAST and MrBayes annotations into node annotations', () => {
+    const tree = parseNewick('[&R] ((A[&rate=0.5]:1,B:[&rate=1.5]2)[&height_95%_HPD={1.2,3.4},posterior=0.98]:1,C);');
+    expect(tree.annotations).toBeUndefined();
+    expect(tree.children[0].annotations).toEqual({ 'height_95%_HPD': '{1.2,3.4}', posterior: '0.98' });
+    expect(tree.children[0].children[0]).toEqual({ name: 'A', length: 1, annotations: { rate: '0.5' } });
+    expect(tree.children[0].children[1]).toEqual({ name: 'B', length: 2, annotations: { rate: '1.5' } });
+  });
+
+  it('should parse NHX annotations into node annotations', () => {
+    const tree = parseNewick('(A:0.1[&&NHX:S=human:D=N],B:0.2[note])[&&NHX:B=100];');
+    expect(tree.annotations).toEqual({ B: '100' });
+    expect(tree.children[0].annotations).toEqual({ S: 'human', D: 'N' });
+    expect(tree.children[1].annotations).toBeUndefined();
+  });
+
+  it('should report the line and column of syntax errors', () => {
+    expect(() => parseNewick('(A,B;')).toThrow("Expected ')' but found ';' at line 1, column 5");
+    expect(() => parseNewick('(A:0.1,\nB:abc);')).toThrow("Invalid branch length 'abc' at line 2, column 3");
+    expect(() => parseNewick("(A,'B);")).toThrow('Unterminated quoted label at line 1, column 4');
+    expect(() => parseNewick('(A[comment,B);')).toThrow('Unterminated comment at line 1, column 3');
+    expect(() => parseNewick('(A,B);(C,D);')).toThrow("Unexpected '(' at line 1, column 7");
+    expect(() => parseNewick('(A,B')).toThrow("Expected ')' but found end of input at line 1, column 5");
+  });
+
+});
+
+describe('parseDelimited', () => {
+
+  it('should split records and fields', () => {
+    expect(parseDelimited('a,b\n1,2\n', ',')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should read quoted fields with separators, newlines and escaped quotes', () => {
+    const csv = 'name,note\n"Smith, J.","line one\nline two"\n"say ""hi""",x';
+    expect(parseDelimited(csv, ',')).toEqual([
+      ['name', 'note'],
+      ['Smith, J.', 'line one\nline two'],
+      ['say "hi"', 'x']
+    ]);
+  });
+
+  it('should handle CRLF line endings, a byte order mark and blank lines', () => {
+    expect(parseDelimited('\uFEFFa\tb\r\n1\t2\r\n\r\n3\t4\r\n', '\t')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('should keep empty fields', () => {
+    expect(parseDelimited('a,,c\n,"",', ',')).toEqual([['a', '', 'c'], ['', '', '']]);
+  });
+
+});
+
+describe('detectSeparator', () => {
+
+  it('should detect common separators', () => {
+    expect(detectSeparator('a\tb\n1\t2')).toBe('\t');
+    expect(detectSeparator('a,b\n1,2')).toBe(',');
+    expect(detectSeparator('a;b\n1,5;2,5')).toBe(';');
+    expect(detectSeparator('a|b\n1|2')).toBe('|');
+  });
+
+  it('should ignore separators inside quotes', () => {
+    expect(detectSeparator('id,note\nA,"x;y;z"\nB,"p;q"')).toBe(',');
+  });
+
+});
+
+describe('parseTable', () => {
+
+  it('should parse quoted CSV with the separator detected', () => {
+    const csv = 'id,location,value\r\nA,"Corvallis, OR",1\r\nB,"Davis, CA",2\r\n';
+    const { metadataMap, columnTypes, idColumns } = parseTable(csv, new Set(['A', 'B']));
+
+    expect(metadataMap.get(0)).toEqual({ id: 'A', location: 'Corvallis, OR', value: '1' });
+    expect(metadataMap.get(1).value).toBe('2');
+    expect(columnTypes.get('value')).toBe('continuous');
+    expect(idColumns).toEqual(['id']);
+  });
+
+  it('should use given column types instead of inferred ones', () => {
+    const tsv = 'id\tsample_code\nA\t0012\nB\t0034';
+    const { columnTypes } = parseTable(tsv, new Set(), '\t', { columnTypes: { sample_code: 'categorical' } });
+
+    expect(columnTypes.get('sample_code')).toBe('categorical');
+  });
+
+});
+
+describe('parseTableData', () => {
+
+  it('should read arrays of row objects and keep value types', () => {
+    const rows = [
+      { id: 'A', value: 1.5, present: true, note: null },
+      { id: 'B', value: 2, present: false, note: 'x' },
+      { id: 'C', value: null }
+    ];
+    const { metadataMap, columnTypes, idColumns } = parseTableData(rows, new Set(['A', 'B']));
+
+    expect(metadataMap.get(0)).toEqual({ id: 'A', value: 1.5, present: true, note: undefined });
+    expect(metadataMap.get(2)).toEqual({ id: 'C', value: undefined, present: undefined, note: undefined });
+    expect(columnTypes.get('value')).toBe('continuous');
+    expect(columnTypes.get('present')).toBe('categorical');
+    expect(idColumns).toEqual(['id']);
+  });
+
+  it('should read objects of column arrays', () => {
+    const columns = { id: ['A', 'B'], value: [1, NaN] };
+    const { metadataMap, columnTypes } = parseTableData(columns, new Set());
+
+    expect(metadataMap.get(0)).toEqual({ id: 'A', value: 1 });
+    expect(metadataMap.get(1)).toEqual({ id: 'B', value: undefined });
+    expect(columnTypes.get('value')).toBe('continuous');
+  });
+
+  it('should not convert numeric strings to numbers', () => {
+    const { metadataMap, columnTypes } = parseTableData([{ code: '0012' }, { code: '0034' }], new Set());
+
+    expect(metadataMap.get(0).code).toBe('0012');
+    expect(columnTypes.get('code')).toBe('categorical');
+  });
+
+  it('should match numeric IDs to node names', () => {
+    const { idColumns } = parseTableData({ id: [1, 2], value: ['a', 'b'] }, new Set(['1', '2']));
+
+    expect(idColumns).toEqual(['id']);
+  });
+
+  it('should throw for other input', () => {
+    expect(() => parseTableData(42, new Set())).toThrow('Metadata table must be');
+  });
+
+});
+
+describe('createIdNormalizer', () => {
+
+  it('should only convert IDs to strings without rules', () => {
+    const normalize = createIdNormalizer();
+    expect(normalize('Homo_sapiens')).toBe('Homo_sapiens');
+    expect(normalize(12)).toBe('12');
+  });
+
+  it('should ignore case and treat underscores as spaces', () => {
+    const normalize = createIdNormalizer({ ignoreCase: true, underscoresToSpaces: true });
+    expect(normalize('Homo_sapiens')).toBe('homo sapiens');
+    expect(normalize(' homo  SAPIENS ')).toBe('homo sapiens');
+  });
+
+  it('should extract IDs with a pattern', () => {
+    const normalize = createIdNormalizer({ pattern: '^(.+?)(\\.\\d+)?$' });
+    expect(normalize('NC_001.1')).toBe('NC_001');
+    expect(normalize('NC_001')).toBe('NC_001');
+
+    const wholeMatch = createIdNormalizer({ pattern: /[A-Z]+\d+/ });
+    expect(wholeMatch('sample-AB12-rep')).toBe('AB12');
+    expect(wholeMatch('none')).toBe('none');
+  });
+
+  it('should throw for invalid patterns', () => {
+    expect(() => createIdNormalizer({ pattern: '(' })).toThrow('Invalid ID pattern');
+  });
+
+});
+
+describe('parseFilterExpression', () => {
+
+  const rows = [
+    { name: 'A', source: 'farm', abundance: '150', 'sample site': 'north' },
+    { name: 'B', source: 'farm', abundance: '20' },
+    { name: 'C', source: 'Forest soil', abundance: '500', 'sample site': 'south' }
+  ];
+  const passing = expression => {
+    const { test } = parseFilterExpression(expression);
+    return rows.filter(row => test(column => row[column])).map(row => row.name);
+  };
+
+  it('should combine comparisons with and, or, not and parentheses', () => {
+    expect(passing('source == "farm" and abundance > 100')).toEqual(['A']);
+    expect(passing("source == 'farm' or abundance >= 500")).toEqual(['A', 'B', 'C']);
+    expect(passing('not (source == "farm" && abundance < 100)')).toEqual(['A', 'C']);
+    expect(passing('!(abundance > 100) || source != "farm"')).toEqual(['B', 'C']);
+  });
+
+  it('should compare numbers numerically and text as written', () => {
+    expect(passing('abundance > 30')).toEqual(['A', 'C']);
+    expect(passing('abundance = 150.0')).toEqual(['A']);
+    expect(passing('100 < abundance')).toEqual(['A', 'C']);
+    expect(passing('source == "forest soil"')).toEqual([]);
+    expect(passing('source contains "SOIL"')).toEqual(['C']);
+  });
+
+  it('should fail comparisons with missing values', () => {
+    expect(passing('`sample site` != "north"')).toEqual(['C']);
+    expect(passing('missing == "x"')).toEqual([]);
+  });
+
+  it('should list the columns used', () => {
+    expect(parseFilterExpression('source == "farm" and (abundance > 1 or source == "x")').columns).toEqual(['source', 'abundance']);
+  });
+
+  it('should throw informative errors for invalid expressions', () => {
+    expect(() => parseFilterExpression('')).toThrow('Filter is empty');
+    expect(() => parseFilterExpression('source == "farm')).toThrow('Unterminated quote at position 11');
+    expect(() => parseFilterExpression('source "farm"')).toThrow('Expected a comparison operator but found "farm" at position 8');
+    expect(() => parseFilterExpression('(abundance > 1')).toThrow("Expected ')' but found end of filter");
+    expect(() => parseFilterExpression('abundance > 1 abundance')).toThrow("Unexpected column 'abundance' at position 15");
+    expect(() => parseFilterExpression('source == other')).toThrow('column on one side');
+    expect(() => parseFilterExpression('abundance # 1')).toThrow("Unexpected character '#' at position 11");
+  });
+
 });
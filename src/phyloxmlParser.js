@@ -0,0 +1,177 @@
+/**
+ * Check if string is phyloXML format
+ * @param {string} str
+ * @returns {boolean}
+ */
+export function isPhyloXmlFormat(str) {
+  const start = str.trimStart();
+  return start.startsWith('<') && /<phyloxml[\s>]/i.test(start.slice(0, 2000));
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Replace XML character and entity references with the characters they stand for
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[ref] ?? match;
+  });
+}
+
+/**
+ * Parse XML into a tree of elements. Only the parts of XML used by phyloXML are supported:
+ * elements, attributes, text, CDATA, comments, and processing instructions (which are skipped).
+ * Namespace prefixes are removed from element names.
+ * @param {string} xmlStr
+ * @returns {{name: string, attributes: Object, children: Array, text: string}} Root element
+ */
+function parseXml(xmlStr) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagRegex = /<!--[^]*?-->|<!\[CDATA\[([^]*?)\]\]>|<[?!][^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributeRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const localName = name => name.replace(/^.*:/, '');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagRegex.exec(xmlStr)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeXmlText(xmlStr.slice(lastIndex, match.index));
+    lastIndex = tagRegex.lastIndex;
+
+    const [, cdata, closingName, openingName, attributeStr, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (stack.length === 1 || current.name !== localName(closingName)) {
+        throw new Error(`Unexpected closing tag </${closingName}> in phyloXML`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = { name: localName(openingName), attributes: {}, children: [], text: '' };
+      let attributeMatch;
+      while ((attributeMatch = attributeRegex.exec(attributeStr)) !== null) {
+        element.attributes[localName(attributeMatch[1])] = decodeXmlText(attributeMatch[2] ?? attributeMatch[3]);
+      }
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag for <${stack[stack.length - 1].name}> in phyloXML`);
+  }
+  return root;
+}
+
+/**
+ * Get the trimmed text of the first child element with a given name
+ * @param {Object} element
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function childText(element, name) {
+  const child = element.children.find(x => x.name === name);
+  return child ? child.text.trim() : undefined;
+}
+
+/**
+ * Convert a phyloXML clade element to the same kind of object returned by parseNewick.
+ * Confidence values, taxonomy, colors, and properties are stored as node annotations.
+ * @param {Object} clade - Parsed clade element
+ * @returns {Object} Tree node
+ */
+function convertClade(clade) {
+  const node = {};
+  const annotations = {};
+
+  for (const child of clade.children) {
+    const text = child.text.trim();
+    switch (child.name) {
+      case 'name':
+        if (text) node.name = text;
+        break;
+      case 'branch_length':
+        node.length = Number(text);
+        break;
+      case 'confidence':
+        annotations[child.attributes.type ? `confidence_${child.attributes.type}` : 'confidence'] = text;
+        break;
+      case 'taxonomy':
+        for (const field of child.children) {
+          const value = field.text.trim();
+          if (value) annotations[`taxonomy_${field.name}`] = value;
+        }
+        break;
+      case 'color': {
+        const rgb = ['red', 'green', 'blue'].map(channel => Number(childText(child, channel)) || 0);
+        annotations.color = '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+        break;
+      }
+      case 'property':
+        if (child.attributes.ref) annotations[child.attributes.ref] = text;
+        break;
+      case 'clade':
+        node.children = node.children || [];
+        node.children.push(convertClade(child));
+        break;
+    }
+  }
+
+  if (node.length === undefined && clade.attributes.branch_length !== undefined) {
+    node.length = Number(clade.attributes.branch_length);
+  }
+
+  // Tips are often only identified by their taxonomy
+  if (!node.name) {
+    const taxonName = annotations.taxonomy_scientific_name || annotations.taxonomy_code;
+    if (taxonName) node.name = taxonName;
+  }
+
+  if (Object.keys(annotations).length > 0) {
+    node.annotations = annotations;
+  }
+
+  return node;
+}
+
+/**
+ * Parse phyloXML file content
+ * @param {string} phyloXmlStr
+ * @returns {Array<{treeName: string|null, treeData: Object}>}
+ */
+export function parsePhyloXml(phyloXmlStr) {
+  const xml = parseXml(phyloXmlStr);
+  const phyloxml = xml.children.find(x => x.name === 'phyloxml');
+  if (!phyloxml) {
+    throw new Error('No <phyloxml> element found');
+  }
+
+  const trees = [];
+  for (const phylogeny of phyloxml.children.filter(x => x.name === 'phylogeny')) {
+    const rootClade = phylogeny.children.find(x => x.name === 'clade');
+    if (!rootClade) {
+      console.warn('Skipping phyloXML phylogeny without a clade');
+      continue;
+    }
+    const treeData = convertClade(rootClade);
+    if (phylogeny.attributes.rooted !== undefined) {
+      treeData.rooted = phylogeny.attributes.rooted === 'true';
+    }
+    trees.push({
+      treeName: childText(phylogeny, 'name') || null,
+      treeData
+    });
+  }
+
+  return trees;
+}
@@ -1,10 +1,18 @@
+// Width of the shape drawn at a tip before its label, in units of label size
+function getNodeShapeWidth(node, options) {
+  if (!node.nodeShapeVisible || node.collapsedChildren) {
+    return 0;
+  }
+  return node.nodeShapeSize * options.nodeShapeSizeScale / 2;
+}
+
 // Calculate optimal scaling factors using constraint-based approach for rectangular layouts
 export function calculateScalingFactors(root, options) {
   // Calculate leaf annotation dimensions for each node
   const leafData = root.leaves().map(node => {
     return {
       x: node.x, // x-axis position in branch length units
-      width: (node.tipLabelBounds.width + options.nodeLabelOffset) * node.tipLabelSize,
+      width: (node.tipLabelBounds.width + options.nodeLabelOffset) * node.tipLabelSize + getNodeShapeWidth(node, options) + (options.tipAnnotationWidth || 0),
       height: node.tipLabelBounds.height * node.tipLabelSize,
       labelScale: node.tipLabelSize
     };
@@ -131,7 +139,7 @@ export function calculateCircularScalingFactors(root, options) {
       angle: node.angle,
       cos: node.cos,
       sin: node.sin,
-      width: (node.tipLabelBounds.width + options.nodeLabelOffset) * node.tipLabelSize,
+      width: (node.tipLabelBounds.width + options.nodeLabelOffset) * node.tipLabelSize + getNodeShapeWidth(node, options) + (options.tipAnnotationWidth || 0),
       height: node.tipLabelBounds.height * node.tipLabelSize,
       labelScale: node.tipLabelSize
     };
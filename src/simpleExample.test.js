@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { heatTree } from './index.js';
 
 describe('Simple Tree Example', () => {
@@ -29,3 +29,170 @@ describe('Simple Tree Example', () => {
     }
   });
 });
+
+describe('Adding Trees', () => {
+  let container;
+  let widget;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    widget = heatTree(container, [], { manualZoomAndPanEnabled: false });
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  it('should use the options given for metadata tables of new trees', () => {
+    const table = 'node_id;code\nA;1\nB;2';
+    const [treeName] = widget.addNewTree('New tree', '(A:1,B:2);', [table], ['Codes'], [{ sep: ';', columnTypes: { code: 'categorical' } }]);
+
+    const treeData = widget.treeDataInstances.get(treeName);
+    const columnId = Array.from(treeData.columnName.entries()).find(([id, name]) => name === 'code')[0];
+    expect(treeData.columnType.get(columnId)).toBe('categorical');
+  });
+
+  it('should read underscores in labels as spaces when asked', () => {
+    const [treeName] = widget.addNewTree('New tree', '(Homo_sapiens:1,Pan:2);', [], [], [], { underscoresToSpaces: true });
+    expect(widget.treeDataInstances.get(treeName).tree.leaves().map(d => d.data.name)).toEqual(['Homo sapiens', 'Pan']);
+
+    const otherContainer = document.createElement('div');
+    document.body.appendChild(otherContainer);
+    try {
+      const other = heatTree(otherContainer, { name: 'Tree', tree: '(Homo_sapiens:1,Pan:2);', underscoresToSpaces: true }, { manualZoomAndPanEnabled: false });
+      expect(other.treeDataInstances.get('Tree').tree.leaves().map(d => d.data.name)).toEqual(['Homo sapiens', 'Pan']);
+    } finally {
+      document.body.removeChild(otherContainer);
+    }
+  });
+});
+
+describe('Metadata Input', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  const createTreeData = (metadata) => {
+    const widget = heatTree(container, { name: 'Tree', tree: '(A:1,B:2,C:3);', metadata }, { manualZoomAndPanEnabled: false });
+    return widget.treeDataInstances.get('Tree');
+  };
+  const getTipValues = (treeData, columnName) => {
+    const columnId = Array.from(treeData.columnName.entries()).find(([id, name]) => name === columnName)[0];
+    return treeData.tree.leaves().map(d => d.metadata[columnId]);
+  };
+
+  it('should read an array of row objects as one table', () => {
+    const treeData = createTreeData([{ node_id: 'A', value: 1 }, { node_id: 'B', value: 2 }, { node_id: 'C', value: 3 }]);
+    expect(treeData.metadata.size).toBe(1);
+    expect(treeData.getMetadataTableNames()).toEqual(['Metadata 1']);
+    expect(getTipValues(treeData, 'value')).toEqual([1, 2, 3]);
+  });
+
+  it('should read an object of column arrays as one table', () => {
+    const treeData = createTreeData({ node_id: ['A', 'B', 'C'], value: [1, 2, 3] });
+    expect(treeData.metadata.size).toBe(1);
+    expect(getTipValues(treeData, 'value')).toEqual([1, 2, 3]);
+  });
+
+  it('should read tables given with options but no name', () => {
+    const treeData = createTreeData([
+      { data: 'node_id;value\nA;1\nB;2\nC;3', sep: ';', columnTypes: { value: 'categorical' } },
+      [{ node_id: 'A', other: 'x' }]
+    ]);
+    expect(treeData.getMetadataTableNames()).toEqual(['Metadata 1', 'Metadata 2']);
+    const columnId = Array.from(treeData.columnName.entries()).find(([id, name]) => name === 'value')[0];
+    expect(treeData.columnType.get(columnId)).toBe('categorical');
+  });
+
+  it('should read rows with columns called name and data as one table', () => {
+    const treeData = createTreeData([{ name: 'A', data: 5 }, { name: 'B', data: 7 }, { name: 'C', data: 9 }]);
+    expect(treeData.metadata.size).toBe(1);
+    expect(getTipValues(treeData, 'data')).toEqual([5, 7, 9]);
+  });
+
+  it('should read rows with array values as one table', () => {
+    const treeData = createTreeData([{ node_id: 'A', value: 1, tags: ['x'] }, { node_id: 'B', value: 2, tags: [] }, { node_id: 'C', value: 3, tags: ['y'] }]);
+    expect(treeData.metadata.size).toBe(1);
+    expect(getTipValues(treeData, 'value')).toEqual([1, 2, 3]);
+  });
+});
+
+describe('Branch Width', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  it('should size the click area of a collapsed root by its branch width', () => {
+    const widget = heatTree(container, {
+      name: 'Tree',
+      tree: '((A:1,B:1)C:1,D:1)E;',
+      metadata: [{ node_id: 'A', width: 1 }, { node_id: 'B', width: 1 }, { node_id: 'C', width: 10 }, { node_id: 'D', width: 1 }]
+    }, { manualZoomAndPanEnabled: false });
+    const treeState = widget.getCurrentTreeState();
+    const treeData = widget.treeDataInstances.get('Tree');
+    const columnId = Array.from(treeData.columnName.entries()).find(([id, name]) => name === 'width')[0];
+    const clade = treeData.tree.descendants().find(d => d.data.name === 'C');
+
+    treeState.setAesthetics({ branchWidth: columnId });
+    treeState.collapseRoot(clade);
+
+    const hit = widget.shadowRoot.querySelector('.collapsed-root-hit');
+    expect(Number(hit.getAttribute('height'))).toBeCloseTo(clade.branchWidthPx * 10);
+    expect(clade.branchWidthPx).toBeGreaterThan(treeState.labelSizeToPxFactor * treeState.state.branchThicknessProp);
+  });
+});
+
+describe('Sessions', () => {
+  let container;
+  let widget;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    widget = heatTree(container, [
+      { name: 'First', tree: '((A:1,B:1)C:1,D:1)E;' },
+      { name: 'Second', tree: '((A:1,B:1)C:1,D:1)E;' }
+    ], { manualZoomAndPanEnabled: false });
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  const createSession = (trees) => ({ format: 'heat-tree-session', version: 1, currentTree: 'First', trees });
+
+  it('should check every tree before loading any of them', () => {
+    const session = createSession({ First: { settings: { layout: 'circular' } }, Second: { hidden: 'A' } });
+    expect(() => widget.setState(session)).toThrow('Invalid tree state: hidden for tree "Second"');
+    expect(widget.getCurrentTreeState().state.layout).toBe('rectangular');
+    expect(widget.getCurrentTreeState().canUndo()).toBe(false);
+  });
+
+  it('should reject a session with none of the loaded trees', () => {
+    const session = createSession({ 'First (pruned)': { settings: { layout: 'circular' } } });
+    expect(() => widget.setState(session)).toThrow('None of the trees in the session are loaded: First (pruned)');
+  });
+
+  it('should skip trees that are not loaded with a warning', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    widget.setState(createSession({ First: { settings: { layout: 'circular' } }, Other: {} }));
+    expect(warn).toHaveBeenCalledWith('Trees not found: Other');
+    warn.mockRestore();
+    expect(widget.getCurrentTreeState().state.layout).toBe('circular');
+  });
+});
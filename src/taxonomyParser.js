@@ -0,0 +1,139 @@
+import { parseTable, parseDelimited, detectSeparator } from "./parsers.js";
+
+const RANK_NAMES = ['domain', 'superkingdom', 'kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species', 'subspecies', 'strain'];
+const RANK_PREFIXES = { d: 'domain', k: 'kingdom', p: 'phylum', c: 'class', o: 'order', f: 'family', g: 'genus', s: 'species' };
+const CLASSIFICATION_COLUMNS = ['taxonomy', 'taxon', 'lineage', 'classification'];
+const ABUNDANCE_COLUMNS = ['abundance', 'count', 'counts', 'reads'];
+const UNCLASSIFIED = new Set(['', 'na', 'unclassified', 'unknown', 'unidentified']);
+
+/**
+ * Check if string is a taxonomy table, either with one column per rank (e.g. "kingdom", "phylum")
+ * or with a column of semicolon-separated classifications (e.g. "k__Bacteria;p__Firmicutes")
+ * @param {string} str
+ * @returns {boolean}
+ */
+export function isTaxonomyTableFormat(str) {
+  const firstLine = str.trim().split(/\r?\n/)[0];
+  if (!firstLine || /^[(<#]/.test(firstLine)) {
+    return false;
+  }
+
+  // Headers with rank names or a classification column
+  const headers = (parseDelimited(firstLine, detectSeparator(firstLine))[0] || []).map(x => x.trim().toLowerCase());
+  if (headers.some(x => RANK_NAMES.includes(x) || CLASSIFICATION_COLUMNS.includes(x))) {
+    return true;
+  }
+
+  // A list of classifications without a header, which unlike Newick has no parentheses
+  return !firstLine.includes('(') && firstLine.split(';').filter(x => x.trim()).length > 1;
+}
+
+/**
+ * Split a taxon name into its rank and name, for names with prefixes like "k__Bacteria"
+ * @param {string} value - Taxon name as written in the table
+ * @param {string} defaultRank - Rank to use if the name has no prefix
+ * @returns {{name: string, rank: string}}
+ */
+function parseTaxon(value, defaultRank) {
+  const match = value.trim().match(/^([a-zA-Z])(?:_\d+)?__(.*)$/);
+  if (match) {
+    return { name: match[2].trim(), rank: RANK_PREFIXES[match[1].toLowerCase()] || defaultRank };
+  }
+  return { name: value.trim(), rank: defaultRank };
+}
+
+/**
+ * Parse a taxonomy table into a tree with one node per taxon, in the same format returned by
+ * parseNewick. Each node is annotated with its rank, the number of rows classified as it or one of
+ * its subtaxa, and the sum of an abundance column if present. Classifications end at the first
+ * missing or unclassified rank. Every branch has a length of 1, so each rank is drawn at the same depth.
+ * @param {string} tableStr - Table with one column per rank or a column of semicolon-separated
+ *   classifications, or a list of semicolon-separated classifications without a header.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.abundanceColumn] - Column with abundances to sum up the tree. By default, a
+ *   column named "abundance", "count", "counts" or "reads" is used if present.
+ * @returns {Array<{treeName: string|null, treeData: Object}>}
+ */
+export function parseTaxonomyTable(tableStr, options = {}) {
+  const lines = tableStr.trim().split(/\r?\n/);
+  const sep = detectSeparator(tableStr);
+  const headers = parseDelimited(lines[0], sep)[0].map(x => x.trim());
+  const lowerHeaders = headers.map(x => x.toLowerCase());
+  const rankColumns = headers.filter((x, i) => RANK_NAMES.includes(lowerHeaders[i]));
+  const classificationColumn = headers.find((x, i) => CLASSIFICATION_COLUMNS.includes(lowerHeaders[i]));
+
+  // Get the classification of each row as a list of taxa, from root to tip
+  let classifications;
+  let abundances = [];
+  if (rankColumns.length === 0 && !classificationColumn) {
+    // Headerless list of classifications
+    classifications = lines.map(line => line.split(';'));
+  } else {
+    const { metadataMap } = parseTable(tableStr, new Set(), sep);
+    const rows = Array.from(metadataMap.values());
+    if (rankColumns.length > 0) {
+      classifications = rows.map(row => rankColumns.map(column => row[column] || ''));
+    } else {
+      classifications = rows.map(row => (row[classificationColumn] || '').split(';'));
+    }
+
+    const abundanceColumn = options.abundanceColumn ||
+      headers.find((x, i) => ABUNDANCE_COLUMNS.includes(lowerHeaders[i]));
+    if (abundanceColumn) {
+      if (!headers.includes(abundanceColumn)) {
+        console.warn(`Abundance column ${abundanceColumn} not found in taxonomy table`);
+      } else {
+        abundances = rows.map(row => parseFloat(row[abundanceColumn]));
+      }
+    }
+  }
+  const hasAbundance = abundances.length > 0;
+
+  // Build the tree, merging taxa with the same name and parent
+  const root = { children: [], childMap: new Map(), annotations: { count: 0 } };
+  if (hasAbundance) root.annotations.abundance = 0;
+  classifications.forEach((taxa, rowIndex) => {
+    const abundance = abundances[rowIndex];
+    let node = root;
+    const addRow = x => {
+      x.annotations.count++;
+      if (hasAbundance && !isNaN(abundance)) x.annotations.abundance += abundance;
+    };
+    addRow(root);
+    for (let i = 0; i < taxa.length; i++) {
+      const { name, rank } = parseTaxon(taxa[i], rankColumns[i]?.toLowerCase() || `rank_${i + 1}`);
+      if (UNCLASSIFIED.has(name.toLowerCase())) break;
+      if (!node.childMap.has(name)) {
+        const child = { name, length: 1, children: [], childMap: new Map(), annotations: { rank, count: 0 } };
+        if (hasAbundance) child.annotations.abundance = 0;
+        node.childMap.set(name, child);
+        node.children.push(child);
+      }
+      node = node.childMap.get(name);
+      addRow(node);
+    }
+  });
+
+  // Remove the lookup maps, and the children arrays of tips
+  const cleanUp = node => {
+    delete node.childMap;
+    for (const [key, value] of Object.entries(node.annotations)) {
+      node.annotations[key] = String(value);
+    }
+    if (node.children.length === 0) {
+      delete node.children;
+    } else {
+      node.children.forEach(cleanUp);
+    }
+  };
+  cleanUp(root);
+
+  // A root with one child is that child
+  let treeData = root;
+  if (root.children && root.children.length === 1) {
+    treeData = root.children[0];
+    delete treeData.length;
+  }
+
+  return [{ treeName: null, treeData }];
+}
@@ -1,4 +1,5 @@
-import { exportTree } from './exporter.js';
+import { exportTree, downloadFile } from './exporter.js';
+import { AGGREGATION_METHODS, AGGREGATION_LABELS } from './treeData.js';
 import {
   createControlGroup,
   createLabel,
@@ -9,6 +10,28 @@ import {
   createNumberInput
 } from './toolbarUtils.js';
 
+// Edit icon SVG
+const EDIT_ICON_SVG = `
+  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <path d="M11.5 1.5L14.5 4.5L5 14H2V11L11.5 1.5Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+    <path d="M10 3L13 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+  </svg>
+`;
+
+// Undo and redo icon SVGs
+const UNDO_ICON_SVG = `
+  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <path d="M5 2.5L2 5.5L5 8.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+    <path d="M2 5.5H10A3.5 3.5 0 0 1 10 12.5H6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+  </svg>
+`;
+const REDO_ICON_SVG = `
+  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <path d="M11 2.5L14 5.5L11 8.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+    <path d="M14 5.5H6A3.5 3.5 0 0 0 6 12.5H10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+  </svg>
+`;
+
 /**
  * Create and manage the toolbar with tabs and controls
  * @param {HTMLElement} toolbarDiv - Container for the toolbar
@@ -17,6 +40,8 @@ import {
  * @param {Function} getCurrentTreeView - Function that returns the current TreeView
  * @param {Function} switchToTree - Function to switch to a different tree
  * @param {Function} addNewTree - Function to add a new tree
+ * @param {Function} addEditedTree - Function to add and show a TreeData made by editing the current tree
+ * @param {{getState: Function, setState: Function}} session - Functions to save and load the state of the widget
  * @param {Object} options - Configuration options
  * @returns {Function} Function to refresh the current tab's controls
  */
@@ -27,6 +52,8 @@ export function createToolbar(
   getCurrentTreeView,
   switchToTree,
   addNewTree,
+  addEditedTree,
+  session,
   options,
   root = document
 ) {
@@ -40,6 +67,7 @@ export function createToolbar(
   let expandRootBtn = null;
   let showHiddenBtn = null;
   let currentTreeStateSubscription = null;
+  let currentHistorySubscription = null;
 
   // Track control panel visibility
   let controlPanelVisible = true;
@@ -63,6 +91,14 @@ export function createToolbar(
   `;
   toggleButton.title = 'Toggle control panel';
 
+  // Create undo and redo buttons for changes to the current tree
+  const undoButton = createIconButton(UNDO_ICON_SVG, 'Undo', CONTROL_HEIGHT);
+  const redoButton = createIconButton(REDO_ICON_SVG, 'Redo', CONTROL_HEIGHT);
+  undoButton.addEventListener('click', () => getCurrentTreeState()?.undo());
+  redoButton.addEventListener('click', () => getCurrentTreeState()?.redo());
+
+  toggleContainer.appendChild(undoButton);
+  toggleContainer.appendChild(redoButton);
   toggleContainer.appendChild(toggleButton);
 
   // Create collapsible panel container
@@ -86,7 +122,11 @@ export function createToolbar(
     { id: 'data', label: 'Data', requiresTree: false },
     { id: 'controls', label: 'Controls', requiresTree: true },
     { id: 'tree-manipulation', label: 'Tree', requiresTree: true },
+    { id: 'search', label: 'Search', requiresTree: true },
     { id: 'tip-label-settings', label: 'Tip Labels', requiresTree: true },
+    { id: 'branch-settings', label: 'Branches', requiresTree: true },
+    { id: 'node-shape-settings', label: 'Node Shapes', requiresTree: true },
+    { id: 'heatmap-settings', label: 'Heatmap', requiresTree: true },
     { id: 'export', label: 'Export', requiresTree: true }
   ];
 
@@ -237,6 +277,16 @@ export function createToolbar(
     }
   }
 
+  // Function to update the undo and redo buttons for the current tree
+  function updateHistoryButtons() {
+    const treeState = getCurrentTreeState();
+    const { undo, redo } = treeState ? treeState.getHistory() : { undo: [], redo: [] };
+    undoButton.disabled = undo.length === 0;
+    undoButton.title = undo.length > 0 ? `Undo: ${undo.at(-1)} (Ctrl+Z)` : 'Nothing to undo';
+    redoButton.disabled = redo.length === 0;
+    redoButton.title = redo.length > 0 ? `Redo: ${redo.at(-1)} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
   // Function to get current tree name
   function getCurrentTreeName() {
     const treeState = getCurrentTreeState();
@@ -304,11 +354,8 @@ export function createToolbar(
     const treeState = getCurrentTreeState();
     if (!treeState) return;
 
-    // Get the column ID this aesthetic is mapped to
-    const columnId = treeState.state.aesthetics[aestheticId];
-
-    // Get the aesthetic instance
-    const aesthetic = treeState.aestheticsScales[aestheticId];
+    // Get the column ID this aesthetic is mapped to and the aesthetic instance
+    const { columnId, aesthetic } = treeState.getAestheticMapping(aestheticId);
     if (!aesthetic) {
       const message = document.createElement('div');
       message.textContent = 'Error: Could not find aesthetic';
@@ -318,6 +365,34 @@ export function createToolbar(
       return;
     }
 
+    // Let aesthetics of tree parts summarize the values of descendant tips at each node
+    const columnType = treeState.state.treeData.columnType.get(columnId);
+    let aggregationGroup = null;
+    if (Object.hasOwn(treeState.state.aesthetics, aestheticId) && AGGREGATION_METHODS[columnType]) {
+      aggregationGroup = createControlGroup();
+      aggregationGroup.appendChild(createLabel('Clade summary:', CONTROL_HEIGHT));
+
+      const aggregationSelect = document.createElement('select');
+      aggregationSelect.className = 'ht-select';
+      aggregationSelect.style.height = `${CONTROL_HEIGHT}px`;
+      aggregationSelect.title = 'Summarize the values of the tips in each clade for internal nodes';
+      const currentMethod = treeState.state.aestheticAggregations[aestheticId] || '';
+      for (const method of ['', ...AGGREGATION_METHODS[columnType]]) {
+        const option = document.createElement('option');
+        option.value = method;
+        option.textContent = method ? AGGREGATION_LABELS[method] : 'None';
+        option.selected = method === currentMethod;
+        aggregationSelect.appendChild(option);
+      }
+      aggregationSelect.addEventListener('change', (e) => {
+        treeState.setAestheticAggregation(aestheticId, e.target.value || null);
+        // The aesthetic is replaced by one for the aggregated values
+        populateAestheticSettings(aestheticId);
+      });
+
+      aggregationGroup.appendChild(aggregationSelect);
+    }
+
     // Use the aesthetic's createSettingsWidget method
     const settingsWidget = aesthetic.createSettingsWidget({
       controlHeight: CONTROL_HEIGHT,
@@ -326,6 +401,9 @@ export function createToolbar(
     });
 
     if (settingsWidget) {
+      if (aggregationGroup) {
+        settingsWidget.prepend(aggregationGroup);
+      }
       aestheticSettingsContainer.appendChild(settingsWidget);
     }
   }
@@ -387,6 +465,7 @@ export function createToolbar(
           getCurrentTreeState,
           switchToTree,
           addNewTree,
+          session,
           getCurrentMetadataNames,
           getSelectedMetadata,
           setSelectedMetadata,
@@ -415,7 +494,16 @@ export function createToolbar(
           CONTROL_HEIGHT,
           (btn) => { expandSubtreesBtn = btn; },
           (btn) => { expandRootBtn = btn; },
-          (btn) => { showHiddenBtn = btn; }
+          (btn) => { showHiddenBtn = btn; },
+          addEditedTree
+        );
+        break;
+      case 'search':
+        populateSearchControls(
+          controlsContainer,
+          getCurrentTreeState,
+          getCurrentTreeView,
+          CONTROL_HEIGHT
         );
         break;
       case 'tip-label-settings':
@@ -430,6 +518,35 @@ export function createToolbar(
           () => currentAestheticSettings
         );
         break;
+      case 'branch-settings':
+        populateBranchSettingsControls(
+          controlsContainer,
+          getCurrentTreeState,
+          CONTROL_HEIGHT,
+          openAestheticSettings,
+          populateAestheticSettings,
+          () => currentAestheticSettings
+        );
+        break;
+      case 'node-shape-settings':
+        populateNodeShapeControls(
+          controlsContainer,
+          getCurrentTreeState,
+          CONTROL_HEIGHT,
+          openAestheticSettings,
+          populateAestheticSettings,
+          () => currentAestheticSettings
+        );
+        break;
+      case 'heatmap-settings':
+        populateHeatmapControls(
+          controlsContainer,
+          getCurrentTreeState,
+          refreshCurrentTab,
+          CONTROL_HEIGHT,
+          openAestheticSettings
+        );
+        break;
       case 'export':
         populateExportControls(controlsContainer, getCurrentTreeState, getCurrentTreeView, getCurrentTreeName, options, CONTROL_HEIGHT, root);
         break;
@@ -445,6 +562,10 @@ export function createToolbar(
       currentTreeStateSubscription();
       currentTreeStateSubscription = null;
     }
+    if (currentHistorySubscription) {
+      currentHistorySubscription();
+      currentHistorySubscription = null;
+    }
 
     // Reset button references when switching trees
     expandSubtreesBtn = null;
@@ -455,7 +576,15 @@ export function createToolbar(
     const treeState = getCurrentTreeState();
     if (treeState) {
       currentTreeStateSubscription = treeState.subscribe('coordinateChange', updateExpandButtonStates);
+      currentHistorySubscription = treeState.subscribe('historyChange', ({ action }) => {
+        updateHistoryButtons();
+        // Controls show the settings when they are made, so they are made again after undoing or redoing
+        if ((action === 'undo' || action === 'redo') && currentTab) {
+          populateControls(currentTab);
+        }
+      });
     }
+    updateHistoryButtons();
 
     // Update tab states based on whether a tree is loaded
     updateTabStates();
@@ -474,8 +603,9 @@ export function createToolbar(
   toolbarDiv.appendChild(toggleContainer);
   toolbarDiv.appendChild(collapsiblePanel);
 
-  // Update tab states initially
+  // Update tab and undo button states initially
   updateTabStates();
+  updateHistoryButtons();
 
   // Initialize selected metadata (will be set properly after first tree loads)
   resetSelectedMetadata();
@@ -493,6 +623,7 @@ function populateDataControls(
   getCurrentTreeState,
   switchToTree,
   addNewTree,
+  session,
   getCurrentMetadataNames,
   getSelectedMetadata,
   setSelectedMetadata,
@@ -541,6 +672,16 @@ function populateDataControls(
   }
 
   treeGroup.appendChild(treeSelect);
+
+  // Rooting given in the tree file, such as with [&R] or [&U] in NEXUS files
+  const rooted = currentTreeState?.state.treeData.rooted;
+  if (rooted === true || rooted === false) {
+    const rootingLabel = createLabel(rooted ? 'Rooted' : 'Unrooted', controlHeight);
+    rootingLabel.title = rooted ?
+      'The tree file says this tree is rooted' :
+      'The tree file says this tree is unrooted, so it is drawn from a polytomy at an arbitrary node until it is rerooted';
+    treeGroup.appendChild(rootingLabel);
+  }
   container.appendChild(treeGroup);
 
   // Create hidden file input for tree upload
@@ -580,17 +721,53 @@ function populateDataControls(
 
   container.appendChild(treeFileInput);
 
-  const addTreeBtn = createButton('+', 'Add tree from Newick file', controlHeight);
+  const addTreeBtn = createButton('+', 'Add tree from file', controlHeight);
   addTreeBtn.addEventListener('click', () => {
     treeFileInput.click();
   });
   container.appendChild(addTreeBtn);
 
-  // Only show metadata controls if a tree is loaded
+  // Only show session and metadata controls if a tree is loaded
   if (!currentTreeState) {
     return;
   }
 
+  // Save and load everything changed in the widget as a JSON file
+  const sessionGroup = createControlGroup();
+  sessionGroup.appendChild(createLabel('Session:', controlHeight));
+
+  const saveSessionBtn = createButton('Save', 'Save collapsed clades, aesthetics, palettes, zoom and other changes to a file', controlHeight);
+  saveSessionBtn.addEventListener('click', () => {
+    downloadFile(JSON.stringify(session.getState(), null, 2), 'heat-tree-session.json', 'application/json');
+  });
+  sessionGroup.appendChild(saveSessionBtn);
+
+  const sessionFileInput = document.createElement('input');
+  sessionFileInput.type = 'file';
+  sessionFileInput.accept = '.json,application/json';
+  sessionFileInput.style.display = 'none';
+  sessionFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      session.setState(await file.text());
+    } catch (error) {
+      console.error('Error loading session file:', error);
+      alert(`Error loading session file: ${error.message}`);
+    }
+    sessionFileInput.value = '';
+    refreshCurrentTab();
+  });
+  sessionGroup.appendChild(sessionFileInput);
+
+  const loadSessionBtn = createButton('Load', 'Load a session saved for the same trees', controlHeight);
+  loadSessionBtn.addEventListener('click', () => {
+    sessionFileInput.click();
+  });
+  sessionGroup.appendChild(loadSessionBtn);
+  container.appendChild(sessionGroup);
+
   // Select metadata control group
   const metadataGroup = createControlGroup();
   const metadataLabel = createLabel('Metadata:', controlHeight);
@@ -656,14 +833,8 @@ function populateDataControls(
       // Derive metadata table name from filename (remove extension)
       let metadataName = file.name.replace(/\.(tsv|csv|txt)$/i, '');
 
-      // Determine separator based on file extension
-      let separator = '\t'; // default to tab
-      if (file.name.toLowerCase().endsWith('.csv')) {
-        separator = ',';
-      }
-
-      // Add the metadata table to the current tree
-      const tableId = treeState.state.treeData.addTable(metadataStr, metadataName, separator);
+      // Add the metadata table to the current tree, detecting the separator from its content
+      const tableId = treeState.state.treeData.addTable(metadataStr, metadataName);
 
       // Get the display name that was actually used (might be modified for uniqueness)
       const actualName = treeState.state.treeData.metadataTableNames.get(tableId);
@@ -755,10 +926,91 @@ function populateDataControls(
 
       nodeIdGroup.appendChild(nodeIdSelect);
       container.appendChild(nodeIdGroup);
+
+      // Toggles for matching IDs that are written differently in the table and the tree
+      if (selectedTableId !== treeData.annotationTableId) {
+        const idMatching = treeData.idMatching.get(selectedTableId) || {};
+        const addMatchingToggle = (labelText, title, rule) => {
+          const group = createControlGroup();
+          group.appendChild(createLabel(labelText, controlHeight));
+          const toggle = createToggle(Boolean(idMatching[rule]), controlHeight);
+          toggle.title = title;
+          toggle.addEventListener('click', () => {
+            treeData.setIdMatching(selectedTableId, { ...idMatching, [rule]: !idMatching[rule] });
+            currentTreeState.updateCoordinates();
+            refreshCurrentTab();
+          });
+          group.appendChild(toggle);
+          container.appendChild(group);
+        };
+        addMatchingToggle('Ignore case:', 'Match IDs to node names regardless of case', 'ignoreCase');
+        addMatchingToggle('Underscores as spaces:', 'Treat underscores and spaces in IDs and node names as the same', 'underscoresToSpaces');
+      }
+
+      // Summary of how the table was joined to the tree, with a list of the problems on request
+      const diagnostics = treeData.getJoinDiagnostics(selectedTableId);
+      const diagnosticsGroup = createControlGroup();
+      const summary = `Matched ${diagnostics.matchedTipCount}/${diagnostics.tipCount} tips, ` +
+        `${diagnostics.orphanRows.length} unmatched rows, ${diagnostics.duplicateIds.length} duplicate IDs`;
+      diagnosticsGroup.appendChild(createLabel(summary, controlHeight));
+
+      const diagnosticsPanel = createJoinDiagnosticsPanel(diagnostics);
+      const detailsBtn = createButton('Details', 'Show tips and rows that could not be matched', controlHeight);
+      detailsBtn.addEventListener('click', () => {
+        diagnosticsPanel.classList.toggle('hidden');
+        detailsBtn.textContent = diagnosticsPanel.classList.contains('hidden') ? 'Details' : 'Hide details';
+      });
+      diagnosticsGroup.appendChild(detailsBtn);
+
+      container.appendChild(diagnosticsGroup);
+      container.appendChild(diagnosticsPanel);
     }
   }
 }
 
+/**
+ * Create a panel listing the tips without metadata, rows without a matching node, and duplicated
+ * IDs found by TreeData.getJoinDiagnostics. Rows are numbered from 1, not counting the header.
+ */
+function createJoinDiagnosticsPanel(diagnostics, maxItems = 100) {
+  const panel = document.createElement('div');
+  panel.className = 'ht-join-diagnostics hidden';
+
+  const addSection = (title, items) => {
+    const section = document.createElement('div');
+    section.className = 'ht-join-diagnostics-section';
+
+    const heading = document.createElement('div');
+    heading.className = 'ht-join-diagnostics-heading';
+    heading.textContent = `${title} (${items.length})`;
+    section.appendChild(heading);
+
+    const list = document.createElement('div');
+    if (items.length === 0) {
+      list.textContent = 'None';
+    } else {
+      const shown = items.slice(0, maxItems).join(', ');
+      list.textContent = items.length > maxItems ? `${shown}, and ${items.length - maxItems} more` : shown;
+    }
+    section.appendChild(list);
+    panel.appendChild(section);
+  };
+
+  if (!diagnostics.idColumn) {
+    const message = document.createElement('div');
+    message.textContent = 'No ID column was found, so no rows were matched to the tree.';
+    panel.appendChild(message);
+  }
+  addSection('Tips without metadata', diagnostics.unmatchedTips);
+  addSection('Rows matching no node', diagnostics.orphanRows.map(x => `${x.id} (row ${x.row + 1})`));
+  addSection('Duplicate IDs, only the last row is used', diagnostics.duplicateIds.map(x => `${x.id} (rows ${x.rows.map(i => i + 1).join(', ')})`));
+  if (diagnostics.rowsWithoutId.length > 0) {
+    addSection('Rows without an ID', diagnostics.rowsWithoutId.map(i => `row ${i + 1}`));
+  }
+
+  return panel;
+}
+
 /**
  * Populate Controls tab
  */
@@ -878,7 +1130,8 @@ function populateTreeManipulationControls(
   controlHeight,
   setExpandSubtreesBtn,
   setExpandRootBtn,
-  setShowHiddenBtn
+  setShowHiddenBtn,
+  addEditedTree
 ) {
   container.innerHTML = '';
 
@@ -930,9 +1183,11 @@ function populateTreeManipulationControls(
       }
     });
 
-    // Expand all visible collapsed nodes
-    nodesToExpand.forEach(node => {
-      treeState.expandSubtree(node);
+    // Expand all visible collapsed nodes, undone as one change
+    treeState.recordChanges('Expand subtrees', () => {
+      nodesToExpand.forEach(node => {
+        treeState.expandSubtree(node);
+      });
     });
 
     // Update button states immediately
@@ -991,6 +1246,155 @@ function populateTreeManipulationControls(
 
   container.appendChild(showHiddenBtn);
 
+  // Midpoint root button
+  const midpointRootBtn = createButton('Midpoint root', 'Reroot the tree halfway between the two tips farthest apart', controlHeight);
+  midpointRootBtn.addEventListener('click', () => {
+    treeState.state.treeData.rerootAtMidpoint();
+  });
+  container.appendChild(midpointRootBtn);
+
+  // Collapse low support group
+  const supportGroup = createControlGroup();
+  supportGroup.appendChild(createLabel('Min support:', controlHeight));
+  const supportInput = document.createElement('input');
+  supportInput.type = 'number';
+  supportInput.className = 'ht-number-input';
+  supportInput.style.height = `${controlHeight}px`;
+  supportInput.value = 50;
+  supportGroup.appendChild(supportInput);
+  const collapseSupportBtn = createButton('Collapse', 'Add a copy of the tree with branches below the minimum support collapsed into polytomies', controlHeight);
+  collapseSupportBtn.addEventListener('click', () => {
+    const threshold = parseFloat(supportInput.value);
+    if (!isNaN(threshold)) {
+      addEditedTree(treeState.state.treeData.collapseLowSupport(threshold), `support ≥ ${threshold}`);
+    }
+  });
+  supportGroup.appendChild(collapseSupportBtn);
+  const annotationTableId = treeState.state.treeData.annotationTableId;
+  collapseSupportBtn.disabled = !Array.from(treeState.state.treeData.columnName.entries())
+    .some(([columnId, name]) => columnId.startsWith(`${annotationTableId}_`) && /^support(_\d+)?$/.test(name));
+  container.appendChild(supportGroup);
+
+  // Child order group
+  const orderGroup = createControlGroup();
+  orderGroup.appendChild(createLabel('Order:', controlHeight));
+  const orderSelect = document.createElement('select');
+  orderSelect.className = 'ht-select';
+  orderSelect.style.height = `${controlHeight}px`;
+  orderSelect.title = 'Order the children of every node';
+  const orderOptions = [
+    ['ladderizeDown', 'Ladderize down'],
+    ['ladderizeUp', 'Ladderize up'],
+    ['name', 'Tip name'],
+    ['input', 'Input order']
+  ];
+  const treeData = treeState.state.treeData;
+  for (const [columnId, displayName] of treeData.columnDisplayName.entries()) {
+    orderOptions.push([`column:${columnId}`, displayName]);
+  }
+  for (const [value, label] of orderOptions) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    orderSelect.appendChild(option);
+  }
+  orderSelect.value = treeState.state.childOrder === 'column' ? `column:${treeState.state.childOrderColumn}` : treeState.state.childOrder;
+  orderGroup.appendChild(orderSelect);
+
+  const descendingLabel = createLabel('Descending:', controlHeight);
+  orderGroup.appendChild(descendingLabel);
+  const descendingToggle = createToggle(treeState.state.childOrderDescending, controlHeight);
+  descendingToggle.title = 'Reverse the order of tip names or column values';
+  orderGroup.appendChild(descendingToggle);
+  container.appendChild(orderGroup);
+
+  // Only names and column values can be reversed
+  const updateDescendingVisibility = () => {
+    const display = orderSelect.value === 'name' || orderSelect.value.startsWith('column:') ? '' : 'none';
+    descendingLabel.style.display = display;
+    descendingToggle.style.display = display;
+  };
+
+  const applyOrder = () => {
+    const value = orderSelect.value;
+    const descending = descendingToggle.classList.contains('active');
+    if (value.startsWith('column:')) {
+      treeState.setChildOrder('column', { columnId: value.slice('column:'.length), descending });
+    } else {
+      treeState.setChildOrder(value, { descending });
+    }
+    updateDescendingVisibility();
+  };
+
+  orderSelect.addEventListener('change', applyOrder);
+  descendingToggle.addEventListener('click', () => {
+    descendingToggle.classList.toggle('active');
+    applyOrder();
+  });
+  updateDescendingVisibility();
+
+  // Filter tips by metadata group
+  const filterGroup = createControlGroup();
+  filterGroup.appendChild(createLabel('Filter:', controlHeight));
+  const filterInput = document.createElement('input');
+  filterInput.type = 'text';
+  filterInput.className = 'ht-text-input ht-filter-input';
+  filterInput.style.height = `${controlHeight}px`;
+  filterInput.placeholder = 'source == "farm" and abundance > 100';
+  filterInput.title = 'Show only tips whose metadata passes an expression. Compare columns to values with ==, !=, <, <=, >, >= or contains, and combine comparisons with and, or, not and parentheses.';
+  filterInput.value = treeState.state.filter || '';
+  filterGroup.appendChild(filterInput);
+  const applyFilterBtn = createButton('Apply', 'Hide tips that do not pass the filter', controlHeight);
+  filterGroup.appendChild(applyFilterBtn);
+  const resetFilterBtn = createButton('Reset', 'Show the tips hidden by the filter', controlHeight);
+  filterGroup.appendChild(resetFilterBtn);
+  const filterStatus = createLabel('', controlHeight);
+  filterGroup.appendChild(filterStatus);
+  container.appendChild(filterGroup);
+
+  const showFilterStatus = (errorMessage = null) => {
+    filterStatus.classList.toggle('ht-filter-error', errorMessage !== null);
+    if (errorMessage !== null) {
+      filterStatus.textContent = errorMessage;
+    } else if (treeState.state.filter) {
+      const count = treeState.filteredTipCount;
+      filterStatus.textContent = `${count} ${count === 1 ? 'tip' : 'tips'} filtered out`;
+    } else {
+      filterStatus.textContent = '';
+    }
+    resetFilterBtn.disabled = !treeState.state.filter;
+  };
+
+  const applyFilter = () => {
+    try {
+      treeState.setFilter(filterInput.value);
+    } catch (error) {
+      showFilterStatus(error.message);
+      return;
+    }
+    showFilterStatus();
+    updateExpandButtonStates();
+  };
+
+  applyFilterBtn.addEventListener('click', applyFilter);
+  filterInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyFilter();
+  });
+  resetFilterBtn.addEventListener('click', () => {
+    filterInput.value = '';
+    treeState.clearFilter();
+    showFilterStatus();
+    updateExpandButtonStates();
+  });
+
+  // Showing all hidden nodes also removes the filter
+  showHiddenBtn.addEventListener('click', () => {
+    filterInput.value = '';
+    showFilterStatus();
+  });
+
+  showFilterStatus();
+
   // Scale branch length group
   const branchLengthGroup = createControlGroup();
   const branchLengthLabel = createLabel('Width', controlHeight);
@@ -1070,6 +1474,141 @@ function populateTreeManipulationControls(
   container.appendChild(radialLayoutGroup);
 }
 
+/**
+ * Populate Search tab controls
+ */
+function populateSearchControls(container, getCurrentTreeState, getCurrentTreeView, controlHeight, maxResults = 100) {
+  container.innerHTML = '';
+
+  const treeState = getCurrentTreeState();
+  const treeView = getCurrentTreeView();
+  if (!treeState || !treeView) {
+    container.textContent = 'No tree selected';
+    return;
+  }
+  const treeData = treeState.state.treeData;
+
+  // Search text
+  const searchGroup = createControlGroup();
+  searchGroup.appendChild(createLabel('Search:', controlHeight));
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.className = 'ht-text-input';
+  searchInput.style.height = `${controlHeight}px`;
+  searchInput.placeholder = 'Tip name or value';
+  searchInput.value = treeState.search.query;
+  searchGroup.appendChild(searchInput);
+
+  // What to search
+  const fieldSelect = document.createElement('select');
+  fieldSelect.className = 'ht-select';
+  fieldSelect.style.height = `${controlHeight}px`;
+  const fieldOptions = [['name', 'Tip names'], ['metadata', 'All metadata']];
+  for (const columnId of treeData.columnDisplayName.keys()) {
+    fieldOptions.push([columnId, treeData.columnDisplayName.get(columnId)]);
+  }
+  for (const [value, label] of fieldOptions) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    fieldSelect.appendChild(option);
+  }
+  fieldSelect.value = treeState.search.field;
+  searchGroup.appendChild(fieldSelect);
+  container.appendChild(searchGroup);
+
+  // Regular expressions
+  const regexGroup = createControlGroup();
+  regexGroup.appendChild(createLabel('Regex:', controlHeight));
+  const regexToggle = createToggle(treeState.search.regex, controlHeight);
+  regexToggle.title = 'Search with a regular expression instead of plain text';
+  regexGroup.appendChild(regexToggle);
+  container.appendChild(regexGroup);
+
+  // Number of hits and zoom buttons
+  const summaryGroup = createControlGroup();
+  const summaryLabel = createLabel('', controlHeight);
+  summaryGroup.appendChild(summaryLabel);
+  const zoomAllBtn = createButton('Zoom to all', 'Zoom to the clade containing all matching tips', controlHeight);
+  summaryGroup.appendChild(zoomAllBtn);
+  const clearBtn = createButton('Clear', 'Clear the search', controlHeight);
+  summaryGroup.appendChild(clearBtn);
+  container.appendChild(summaryGroup);
+
+  const resultsPanel = document.createElement('div');
+  resultsPanel.className = 'ht-search-results';
+  container.appendChild(resultsPanel);
+
+  // Zoom to the part of the displayed tree with a node, which may be in a collapsed clade
+  const zoomTo = (node) => {
+    const displayedNode = node ? treeState.getDisplayedNode(node) : undefined;
+    if (displayedNode) {
+      treeView.fitToView({ node: displayedNode });
+    } else {
+      treeView.fitToView({ autoPan: 'Both', autoZoom: 'Both' });
+    }
+  };
+
+  const showResults = () => {
+    const matches = treeState.searchMatches;
+    const field = treeState.search.field;
+    const { query, error } = treeState.search;
+    summaryLabel.classList.toggle('ht-search-error', error !== null);
+    if (error !== null) {
+      summaryLabel.textContent = error;
+    } else {
+      summaryLabel.textContent = query ? `${matches.length} matching tips` : '';
+    }
+    zoomAllBtn.disabled = matches.length === 0;
+
+    resultsPanel.innerHTML = '';
+    for (const tip of matches.slice(0, maxResults)) {
+      const item = document.createElement('div');
+      item.className = 'ht-search-result';
+      let text = tip.data.name || '(unnamed)';
+      if (field !== 'name' && field !== 'metadata') {
+        text += `: ${tip.metadata?.[field]}`;
+      }
+      if (!treeState.getDisplayedNode(tip)) {
+        text += ' (hidden)';
+        item.classList.add('hidden-tip');
+      }
+      item.textContent = text;
+      item.addEventListener('click', () => zoomTo(tip));
+      resultsPanel.appendChild(item);
+    }
+    if (matches.length > maxResults) {
+      const more = document.createElement('div');
+      more.textContent = `... and ${matches.length - maxResults} more`;
+      resultsPanel.appendChild(more);
+    }
+  };
+
+  const runSearch = () => {
+    treeState.searchTips(searchInput.value, {
+      field: fieldSelect.value,
+      regex: regexToggle.classList.contains('active')
+    });
+    showResults();
+  };
+
+  searchInput.addEventListener('input', runSearch);
+  fieldSelect.addEventListener('change', runSearch);
+  regexToggle.addEventListener('click', () => {
+    regexToggle.classList.toggle('active');
+    runSearch();
+  });
+  clearBtn.addEventListener('click', () => {
+    searchInput.value = '';
+    runSearch();
+  });
+  zoomAllBtn.addEventListener('click', () => {
+    zoomTo(treeState.findCommonAncestor(treeState.searchMatches));
+  });
+
+  showResults();
+}
+
 /**
  * Populate Tip Label Settings tab controls
  */
@@ -1082,14 +1621,6 @@ function populateTipLabelSettingsControls(container, getCurrentTreeState, option
     return;
   }
 
-  // Edit icon SVG
-  const editIconSvg = `
-    <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <path d="M11.5 1.5L14.5 4.5L5 14H2V11L11.5 1.5Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-      <path d="M10 3L13 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-    </svg>
-  `;
-
   // Tip label text group
   const tipLabelTextGroup = createControlGroup();
   const tipLabelTextLabel = createLabel('Text:', controlHeight);
@@ -1114,7 +1645,7 @@ function populateTipLabelSettingsControls(container, getCurrentTreeState, option
   const tipLabelColorLabel = createLabel('Color:', controlHeight);
   tipLabelColorGroup.appendChild(tipLabelColorLabel);
 
-  const tipLabelColorEditBtn = createIconButton(editIconSvg, 'Edit color settings', controlHeight);
+  const tipLabelColorEditBtn = createIconButton(EDIT_ICON_SVG, 'Edit color settings', controlHeight);
   tipLabelColorEditBtn.addEventListener('click', (e) => {
     e.stopPropagation(); // Prevent the click from bubbling to the controls container
     openAestheticSettings('tipLabelColor', tipLabelColorGroup);
@@ -1216,6 +1747,364 @@ function populateTipLabelSettingsControls(container, getCurrentTreeState, option
   container.appendChild(tipLabelFontGroup);
 }
 
+/**
+ * Populate Branches tab controls
+ */
+function populateBranchSettingsControls(container, getCurrentTreeState, controlHeight, openAestheticSettings, populateAestheticSettings, getCurrentAestheticSettings) {
+  container.innerHTML = '';
+
+  const treeState = getCurrentTreeState();
+  if (!treeState) {
+    container.textContent = 'No tree selected';
+    return;
+  }
+
+  // Branch color group
+  const branchColorGroup = createControlGroup();
+  const branchColorLabel = createLabel('Color:', controlHeight);
+  branchColorGroup.appendChild(branchColorLabel);
+
+  const branchColorEditBtn = createIconButton(EDIT_ICON_SVG, 'Edit color settings', controlHeight);
+  branchColorEditBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent the click from bubbling to the controls container
+    openAestheticSettings('branchColor', branchColorGroup);
+  });
+  branchColorGroup.appendChild(branchColorEditBtn);
+
+  const branchColorSelect = createMetadataColumnSelect(
+    treeState,
+    'branchColor',
+    'Default',
+    controlHeight,
+    false,
+    null,
+    getCurrentAestheticSettings,
+    populateAestheticSettings
+  );
+  branchColorGroup.appendChild(branchColorSelect);
+
+  container.appendChild(branchColorGroup);
+
+  // Branch width group
+  const branchWidthGroup = createControlGroup();
+  const branchWidthLabel = createLabel('Width:', controlHeight);
+  branchWidthGroup.appendChild(branchWidthLabel);
+
+  const branchWidthSelect = createMetadataColumnSelect(
+    treeState,
+    'branchWidth',
+    'Default',
+    controlHeight,
+    false,
+    true,
+    getCurrentAestheticSettings,
+    populateAestheticSettings
+  );
+  branchWidthGroup.appendChild(branchWidthSelect);
+
+  container.appendChild(branchWidthGroup);
+
+  // Toggle for coloring internal branches by the value shared by all of their tips
+  const propagateGroup = createControlGroup();
+  const propagateLabel = createLabel('Color shared clades:', controlHeight);
+  propagateGroup.appendChild(propagateLabel);
+
+  const propagateToggle = createToggle(treeState.state.propagateBranchColor, controlHeight);
+  propagateToggle.title = 'Color internal branches when all of their tips have the same value';
+  propagateToggle.addEventListener('click', () => {
+    const propagate = !treeState.state.propagateBranchColor;
+    treeState.setPropagateBranchColor(propagate);
+    if (propagate) {
+      propagateToggle.classList.add('active');
+    } else {
+      propagateToggle.classList.remove('active');
+    }
+  });
+  propagateGroup.appendChild(propagateToggle);
+
+  container.appendChild(propagateGroup);
+}
+
+/**
+ * Populate Node Shapes tab controls
+ */
+function populateNodeShapeControls(container, getCurrentTreeState, controlHeight, openAestheticSettings, populateAestheticSettings, getCurrentAestheticSettings) {
+  container.innerHTML = '';
+
+  const treeState = getCurrentTreeState();
+  if (!treeState) {
+    container.textContent = 'No tree selected';
+    return;
+  }
+
+  // Node shape group
+  const nodeShapeGroup = createControlGroup();
+  const nodeShapeLabel = createLabel('Shape:', controlHeight);
+  nodeShapeGroup.appendChild(nodeShapeLabel);
+
+  const nodeShapeSelect = createMetadataColumnSelect(
+    treeState,
+    'nodeShape',
+    'None',
+    controlHeight,
+    false,
+    false,
+    getCurrentAestheticSettings,
+    populateAestheticSettings
+  );
+  nodeShapeGroup.appendChild(nodeShapeSelect);
+
+  container.appendChild(nodeShapeGroup);
+
+  // Node shape color group
+  const nodeShapeColorGroup = createControlGroup();
+  const nodeShapeColorLabel = createLabel('Color:', controlHeight);
+  nodeShapeColorGroup.appendChild(nodeShapeColorLabel);
+
+  const nodeShapeColorEditBtn = createIconButton(EDIT_ICON_SVG, 'Edit color settings', controlHeight);
+  nodeShapeColorEditBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent the click from bubbling to the controls container
+    openAestheticSettings('nodeShapeColor', nodeShapeColorGroup);
+  });
+  nodeShapeColorGroup.appendChild(nodeShapeColorEditBtn);
+
+  const nodeShapeColorSelect = createMetadataColumnSelect(
+    treeState,
+    'nodeShapeColor',
+    'None',
+    controlHeight,
+    false,
+    null,
+    getCurrentAestheticSettings,
+    populateAestheticSettings
+  );
+  nodeShapeColorGroup.appendChild(nodeShapeColorSelect);
+
+  container.appendChild(nodeShapeColorGroup);
+
+  // Node shape size group
+  const nodeShapeSizeGroup = createControlGroup();
+  const nodeShapeSizeLabel = createLabel('Size:', controlHeight);
+  nodeShapeSizeGroup.appendChild(nodeShapeSizeLabel);
+
+  const nodeShapeSizeSelect = createMetadataColumnSelect(
+    treeState,
+    'nodeShapeSize',
+    'None',
+    controlHeight,
+    false,
+    true,
+    getCurrentAestheticSettings,
+    populateAestheticSettings
+  );
+  nodeShapeSizeGroup.appendChild(nodeShapeSizeSelect);
+
+  container.appendChild(nodeShapeSizeGroup);
+
+  // Composition chart group, showing the categories of the tips in each clade
+  const treeData = treeState.state.treeData;
+  const compositionGroup = createControlGroup();
+  compositionGroup.appendChild(createLabel('Clade composition:', controlHeight));
+
+  const compositionEditBtn = createIconButton(EDIT_ICON_SVG, 'Edit color settings', controlHeight);
+  compositionEditBtn.disabled = !treeState.state.compositionColumn;
+  compositionEditBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent the click from bubbling to the controls container
+    openAestheticSettings('composition', compositionGroup);
+  });
+  compositionGroup.appendChild(compositionEditBtn);
+
+  const compositionSelect = document.createElement('select');
+  compositionSelect.className = 'ht-select';
+  compositionSelect.style.height = `${controlHeight}px`;
+  compositionSelect.style.flex = '1';
+  const categoricalColumnIds = Array.from(treeData.columnDisplayName.keys())
+    .filter(columnId => treeData.columnType.get(columnId) === 'categorical');
+  for (const columnId of ['', ...categoricalColumnIds]) {
+    const option = document.createElement('option');
+    option.value = columnId;
+    option.textContent = columnId ? treeData.columnDisplayName.get(columnId) : 'None';
+    compositionSelect.appendChild(option);
+  }
+  compositionSelect.value = treeState.state.compositionColumn || '';
+  compositionSelect.addEventListener('change', (e) => {
+    treeState.setCompositionColumn(e.target.value || null);
+    compositionEditBtn.disabled = !e.target.value;
+
+    // Only refresh aesthetic settings if they are currently open for the composition charts
+    if (getCurrentAestheticSettings() === 'composition' && e.target.value) {
+      populateAestheticSettings('composition');
+    }
+  });
+  compositionGroup.appendChild(compositionSelect);
+
+  const compositionStyleSelect = document.createElement('select');
+  compositionStyleSelect.className = 'ht-select';
+  compositionStyleSelect.style.height = `${controlHeight}px`;
+  compositionStyleSelect.title = 'Stacked bars are only used in the rectangular layout';
+  for (const [value, label] of [['pie', 'Pie charts'], ['bar', 'Stacked bars']]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    compositionStyleSelect.appendChild(option);
+  }
+  compositionStyleSelect.value = treeState.state.compositionStyle;
+  compositionStyleSelect.addEventListener('change', (e) => {
+    treeState.setCompositionStyle(e.target.value);
+  });
+  compositionGroup.appendChild(compositionStyleSelect);
+
+  const compositionNodesSelect = document.createElement('select');
+  compositionNodesSelect.className = 'ht-select';
+  compositionNodesSelect.style.height = `${controlHeight}px`;
+  for (const [value, label] of [['all', 'All internal nodes'], ['collapsed', 'Collapsed clades']]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    compositionNodesSelect.appendChild(option);
+  }
+  compositionNodesSelect.value = treeState.state.compositionNodes;
+  compositionNodesSelect.addEventListener('change', (e) => {
+    treeState.setCompositionNodes(e.target.value);
+  });
+  compositionGroup.appendChild(compositionNodesSelect);
+
+  container.appendChild(compositionGroup);
+}
+
+/**
+ * Populate Heatmap tab controls
+ */
+function populateHeatmapControls(container, getCurrentTreeState, refreshCurrentTab, controlHeight, openAestheticSettings) {
+  container.innerHTML = '';
+
+  const treeState = getCurrentTreeState();
+  if (!treeState) {
+    container.textContent = 'No tree selected';
+    return;
+  }
+
+  const treeData = treeState.state.treeData;
+  const allColumnIds = Array.from(treeData.columnDisplayName.keys());
+  const heatmapColumns = treeState.state.heatmapColumns;
+
+  if (allColumnIds.length === 0) {
+    container.textContent = 'Add a metadata table to show a heatmap';
+    return;
+  }
+
+  // One row per heatmap column
+  heatmapColumns.forEach((columnId, index) => {
+    const columnGroup = createControlGroup();
+    columnGroup.appendChild(createLabel(`Column ${index + 1}:`, controlHeight));
+
+    const editBtn = createIconButton(EDIT_ICON_SVG, 'Edit color settings', controlHeight);
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation(); // Prevent the click from bubbling to the controls container
+      openAestheticSettings(`heatmap:${index}`, columnGroup);
+    });
+    columnGroup.appendChild(editBtn);
+
+    const columnSelect = document.createElement('select');
+    columnSelect.className = 'ht-select';
+    columnSelect.style.height = `${controlHeight}px`;
+    columnSelect.style.flex = '1';
+    allColumnIds.forEach(optionColumnId => {
+      const option = document.createElement('option');
+      option.value = optionColumnId;
+      option.textContent = treeData.columnDisplayName.get(optionColumnId);
+      columnSelect.appendChild(option);
+    });
+    columnSelect.value = columnId;
+    columnSelect.addEventListener('change', (e) => {
+      const newColumns = [...heatmapColumns];
+      newColumns[index] = e.target.value;
+      treeState.setHeatmapColumns(newColumns);
+      refreshCurrentTab();
+    });
+    columnGroup.appendChild(columnSelect);
+
+    const removeBtn = createButton('Remove', 'Remove this column from the heatmap', controlHeight);
+    removeBtn.addEventListener('click', () => {
+      treeState.setHeatmapColumns(heatmapColumns.filter((_, i) => i !== index));
+      refreshCurrentTab();
+    });
+    columnGroup.appendChild(removeBtn);
+
+    container.appendChild(columnGroup);
+  });
+
+  // Add the first column not already in the heatmap
+  const addGroup = createControlGroup();
+  const addBtn = createButton('Add column', 'Add a metadata column to the heatmap', controlHeight);
+  const unusedColumnId = allColumnIds.find(columnId => !heatmapColumns.includes(columnId));
+  addBtn.disabled = !unusedColumnId;
+  addBtn.addEventListener('click', () => {
+    treeState.setHeatmapColumns([...heatmapColumns, unusedColumnId]);
+    refreshCurrentTab();
+  });
+  addGroup.appendChild(addBtn);
+  container.appendChild(addGroup);
+
+  // Strips past the tips marking the groups of a categorical column
+  const stripGroup = createControlGroup();
+  stripGroup.appendChild(createLabel('Clade strips:', controlHeight));
+
+  const stripEditBtn = createIconButton(EDIT_ICON_SVG, 'Edit color settings', controlHeight);
+  stripEditBtn.disabled = typeof treeState.state.cladeStrips !== 'string';
+  stripEditBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent the click from bubbling to the controls container
+    openAestheticSettings('cladeStrips', stripGroup);
+  });
+  stripGroup.appendChild(stripEditBtn);
+
+  const stripSelect = document.createElement('select');
+  stripSelect.className = 'ht-select';
+  stripSelect.style.height = `${controlHeight}px`;
+  stripSelect.style.flex = '1';
+  const categoricalColumnIds = allColumnIds.filter(columnId => treeData.columnType.get(columnId) === 'categorical');
+  for (const columnId of ['', ...categoricalColumnIds]) {
+    const option = document.createElement('option');
+    option.value = columnId;
+    option.textContent = columnId ? treeData.columnDisplayName.get(columnId) : 'None';
+    stripSelect.appendChild(option);
+  }
+  // Groups given as lists of tips are not a column, so they are listed as their own option
+  if (Array.isArray(treeState.state.cladeStrips)) {
+    const option = document.createElement('option');
+    option.value = 'groups';
+    option.textContent = 'Tip groups';
+    stripSelect.appendChild(option);
+    stripSelect.value = 'groups';
+  } else {
+    stripSelect.value = treeState.state.cladeStrips || '';
+  }
+  stripSelect.addEventListener('change', (e) => {
+    if (e.target.value !== 'groups') {
+      treeState.setCladeStrips(e.target.value || null);
+      refreshCurrentTab();
+    }
+  });
+  stripGroup.appendChild(stripSelect);
+
+  const stripStyleSelect = document.createElement('select');
+  stripStyleSelect.className = 'ht-select';
+  stripStyleSelect.style.height = `${controlHeight}px`;
+  for (const [value, label] of [['strip', 'Strips'], ['bracket', 'Brackets']]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    stripStyleSelect.appendChild(option);
+  }
+  stripStyleSelect.value = treeState.state.cladeStripStyle;
+  stripStyleSelect.addEventListener('change', (e) => {
+    treeState.setCladeStripStyle(e.target.value);
+  });
+  stripGroup.appendChild(stripStyleSelect);
+
+  container.appendChild(stripGroup);
+}
+
 /**
  * Create a metadata column select dropdown
  */
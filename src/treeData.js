@@ -1,9 +1,33 @@
 import { hierarchy, ascending } from "d3";
-import { parseNewick, parseTable } from "./parsers.js";
+import { parseNewick, parseTable, parseTableData, inferColumnType, createIdNormalizer, findIdColumns } from "./parsers.js";
 import { parseNexus, isNexusFormat } from "./nexusParser.js";
-import { Subscribable, columnToHeader } from "./utils.js";
+import { parsePhyloXml, isPhyloXmlFormat } from "./phyloxmlParser.js";
+import { parseTaxonomyTable, isTaxonomyTableFormat } from "./taxonomyParser.js";
+import { Subscribable, columnToHeader, getAllChildren, getParent, getAllNodes } from "./utils.js";
 import { Aesthetic } from "./aesthetic.js";
 
+/**
+ * Methods for summarizing the values of descendant tips at each node, by column type
+ */
+export const AGGREGATION_METHODS = {
+  continuous: ['mean', 'median', 'sum', 'min', 'max'],
+  categorical: ['majority', 'proportion', 'uniqueCount']
+};
+
+/**
+ * Names of the aggregation methods shown in titles and the toolbar
+ */
+export const AGGREGATION_LABELS = {
+  mean: 'mean',
+  median: 'median',
+  sum: 'sum',
+  min: 'minimum',
+  max: 'maximum',
+  majority: 'most common',
+  proportion: 'proportion most common',
+  uniqueCount: 'number of values'
+};
+
 /**
  * Manages tree data and metadata tables
  * Handles parsing, storage, and attachment of metadata to tree nodes
@@ -19,22 +43,30 @@ export class TreeData extends Subscribable {
   columnAesthetic = new Map(); // Map of columnId -> Map of aestheticId -> Aesthetic
   nodeIdColumn = new Map(); // Map of table ID to the column name used for node IDs
   validIdColumns = new Map(); // Map of table ID to array of column names that contain valid node IDs
+  idMatching = new Map(); // Map of table ID to the rules used to normalize IDs before matching them to node names
+  aggregateColumns = new Map(); // Map of aggregate column ID to the column and method it summarizes
+  annotationTableId = null; // ID of the table made from annotations in the tree file, if any
+  rooted = null; // true or false if the tree file says whether the tree is rooted, otherwise null
   #nextTableId = 0;
 
   /**
    * Create TreeData from a parsed tree object
-   * @param {Object} treeDataObj - Parsed tree object from parseNewick or parseNexus
-   * @param {Array} metadataTables - Optional array of metadata table strings
+   * @param {Object} treeDataObj - Parsed tree object from parseNewick, parseNexus, parsePhyloXml, or parseTaxonomyTable
+   * @param {Array} metadataTables - Optional array of metadata tables, as strings or data accepted by addTable
    * @param {Array} metadataTableNames - Optional array of metadata table names
+   * @param {Array} metadataTableOptions - Optional array of addTable options for each table
    */
-  constructor(treeDataObj, metadataTables = [], metadataTableNames = []) {
+  constructor(treeDataObj, metadataTables = [], metadataTableNames = [], metadataTableOptions = []) {
     super();
 
-    this.tree = this.createHierarchy(treeDataObj);
+    this.rooted = treeDataObj.rooted ?? null;
+    this.tree = this.createHierarchy(this.rooted === false ? this.#joinBasalBranches(treeDataObj) : treeDataObj);
+    this.#addAnnotationTable();
 
     if (Array.isArray(metadataTables)) {
       metadataTables.forEach((tableStr, index) => {
-        this.addTable(tableStr, metadataTableNames[index]);
+        const { sep = null, ...tableOptions } = metadataTableOptions[index] || {};
+        this.addTable(tableStr, metadataTableNames[index], sep, tableOptions);
       });
     }
   }
@@ -42,7 +74,7 @@ export class TreeData extends Subscribable {
   /**
    * Static factory method to create TreeData from tree string (Newick or NEXUS)
    * @param {string} treeString - Newick or NEXUS formatted string
-   * @param {Array} metadataTables - Optional array of metadata table strings
+   * @param {Array} metadataTables - Optional array of metadata tables, as strings or data accepted by addTable
    * @param {Array} metadataTableNames - Optional array of metadata table names
    * @returns {TreeData} New TreeData instance
    */
@@ -51,24 +83,39 @@ export class TreeData extends Subscribable {
     if (trees.length !== 1) {
       throw new Error(`Expected exactly one tree, but found ${trees.length}. Use TreeData.parseTrees() for multiple trees.`);
     }
-    return new TreeData(trees[0].treeData, metadataTables, metadataTableNames);
+    const fileTables = trees[0].metadataTables;
+    return new TreeData(
+      trees[0].treeData,
+      [...metadataTables, ...fileTables.map(table => table.data)],
+      [...metadataTableNames, ...fileTables.map(table => table.name)]
+    );
   }
 
   /**
-   * Parse tree input (Newick or NEXUS) and return array of trees with naming
+   * Parse tree input (Newick, NEXUS, phyloXML, or a taxonomy table) and return array of trees with naming
    * @param {string} input - Tree input string
    * @param {string} sourceName - Base name for the tree(s) (e.g., filename or user-provided)
-   * @returns {Array<{name: string, treeData: Object}>} Array of parsed trees with names
+   * @param {Object} [options] - Parsing options
+   * @param {boolean} [options.underscoresToSpaces=false] - Read underscores in unquoted Newick and NEXUS labels
+   *   as spaces, as described by the Newick specification
+   * @returns {Array<{name: string, treeData: Object, metadataTables: Array<{name: string, data: string}>}>}
+   *   Array of parsed trees with names and any metadata tables stored in the file (e.g. NEXUS character matrices)
    */
-  static parseTrees(input, sourceName = "Tree") {
+  static parseTrees(input, sourceName = "Tree", options = {}) {
     let trees;
     
     if (isNexusFormat(input)) {
-      // Returns array of { treeName, treeData }
-      trees = parseNexus(input);
+      // Returns array of { treeName, treeData, metadataTables }
+      trees = parseNexus(input, options);
+    } else if (isPhyloXmlFormat(input)) {
+      // One tree per <phylogeny> element
+      trees = parsePhyloXml(input);
+    } else if (isTaxonomyTableFormat(input)) {
+      // Tree built from the classifications in a taxonomy table
+      trees = parseTaxonomyTable(input);
     } else {
       // Newick - single tree
-      const treeData = parseNewick(input);
+      const treeData = parseNewick(input, options);
       trees = [{ treeName: null, treeData }];
     }
     
@@ -92,7 +139,8 @@ export class TreeData extends Subscribable {
       
       return {
         name,
-        treeData: tree.treeData
+        treeData: tree.treeData,
+        metadataTables: tree.metadataTables || []
       };
     });
   }
@@ -103,10 +151,14 @@ export class TreeData extends Subscribable {
    * @returns {object} D3 hierarchy object
    */
   createHierarchy(treeData) {
+    // Nodes are numbered in the order they are in the input before the children are sorted, so
+    // that order can be restored
+    let inputIndex = 0;
     const root = hierarchy(treeData, d => d.children)
       .sum(d => d.children ? 0 : 1)
       .each(function(d) {
         d.leafCount = d.value;
+        d.inputIndex = inputIndex++;
         delete d.value;
         delete d.data.children;
       })
@@ -116,15 +168,524 @@ export class TreeData extends Subscribable {
     let nodeId = 0;
     root.each(d => { d.id = ++nodeId; });
 
+    this.#addSupportAnnotations(root);
+
     return root;
   }
 
+  /**
+   * Copy support values stored as internal node names (e.g. `90` or `85.2/90` from IQ-TREE or RAxML)
+   * into node annotations so they become continuous columns in the annotation table. Slash-separated
+   * values are split into one column per value. Names are left as they are so they can still be
+   * shown as node labels.
+   * @param {object} root - D3 hierarchy root
+   */
+  #addSupportAnnotations(root) {
+    const namedInternalNodes = root.descendants().filter(d => d.children && d.data.name);
+    if (!this.#isSupport(namedInternalNodes)) {
+      return;
+    }
+    const splitNames = namedInternalNodes.map(d => d.data.name.split('/'));
+    const partCount = splitNames[0].length;
+
+    namedInternalNodes.forEach((d, index) => {
+      const support = {};
+      splitNames[index].forEach((value, partIndex) => {
+        support[partCount === 1 ? 'support' : `support_${partIndex + 1}`] = value;
+      });
+      // Annotations from comments in the tree file take precedence
+      d.data.annotations = { ...support, ...d.data.annotations };
+    });
+  }
+
+  /**
+   * Check if the names of internal nodes are support values. Only names that are all numbers with
+   * the same number of slash-separated parts are treated as support values.
+   * @param {Array<object>} namedInternalNodes - Internal nodes with names
+   * @returns {boolean}
+   */
+  #isSupport(namedInternalNodes) {
+    const number = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+    if (namedInternalNodes.length === 0) {
+      return false;
+    }
+    const splitNames = namedInternalNodes.map(d => d.data.name.split('/'));
+    const partCount = splitNames[0].length;
+    return splitNames.every(parts => {
+      return parts.length === partCount && parts.every(part => number.test(part));
+    });
+  }
+
   /**
    * Parse and set the tree data
    * @param {Object} treeDataObj - Parsed tree object
    */
   setTree(treeDataObj) {
+    this.#removeAggregateColumns();
+    this.rooted = treeDataObj.rooted ?? null;
+    this.tree = this.createHierarchy(this.rooted === false ? this.#joinBasalBranches(treeDataObj) : treeDataObj);
+    if (this.annotationTableId) {
+      this.deleteTable(this.annotationTableId);
+      this.annotationTableId = null;
+    }
+    this.#addAnnotationTable();
+    this.metadata.keys().forEach(tableId => this.#attachTable(tableId));
+    this.notify('treeUpdated', this);
+  }
+
+  /**
+   * Reroot the tree on the branch above a node. Branches on the path to the old root are reversed,
+   * and the old root is removed if it is left with a single child. Annotations of internal nodes,
+   * and their names if they are support values, describe the branch above them, so they are moved
+   * to the nodes that branch is above in the new tree. The root of the new tree is marked as rooted.
+   * @param {Object} node - Node in the tree, other than the root
+   * @param {number} [position=0.5] - Where on the branch to put the root, as a proportion of its
+   *   length from the node
+   */
+  rerootOnBranch(node, position = 0.5) {
+    if (!node || !getParent(node)) {
+      console.warn('Cannot reroot on the branch above the root');
+      return;
+    }
+    if (position < 0 || position > 1) {
+      console.warn(`Reroot position out of range: ${position}`);
+      return;
+    }
+    const length = node.data.length;
+    this.#reroot(node, length === undefined ? undefined : length * position);
+  }
+
+  /**
+   * Reroot the tree so a group of tips forms a clade next to the root. If the tips are not a clade
+   * when the tree is unrooted, the tree is rooted above their most recent common ancestor instead.
+   * @param {Array<string>} tipNames - Names of the tips in the outgroup
+   * @param {number} [position=0.5] - Where on the branch to the outgroup to put the root, as a
+   *   proportion of its length from the outgroup
+   */
+  rerootOnOutgroup(tipNames, position = 0.5) {
+    const names = new Set(tipNames);
+    const tips = getAllNodes(this.tree).filter(d => getAllChildren(d).length === 0);
+    const outgroupCount = tips.filter(d => names.has(d.data.name)).length;
+    if (outgroupCount === 0) {
+      console.warn('No outgroup tips found in the tree');
+      return;
+    }
+    if (outgroupCount === tips.length) {
+      console.warn('The outgroup can not contain every tip');
+      return;
+    }
+
+    // Count the outgroup tips and all tips in each clade
+    const counts = new Map();
+    const count = d => {
+      const children = getAllChildren(d);
+      const result = children.length === 0 ?
+        { outgroup: names.has(d.data.name) ? 1 : 0, all: 1 } :
+        children.map(count).reduce((a, b) => ({ outgroup: a.outgroup + b.outgroup, all: a.all + b.all }));
+      counts.set(d, result);
+      return result;
+    };
+    count(this.tree);
+    const nodes = Array.from(counts.keys()).filter(d => d !== this.tree);
+
+    // The outgroup is either below a branch or, if the old root is inside it, above one
+    let node = nodes.find(d => counts.get(d).outgroup === outgroupCount && counts.get(d).all === outgroupCount);
+    node = node || nodes.find(d => counts.get(d).outgroup === 0 && counts.get(d).all === tips.length - outgroupCount);
+    if (!node) {
+      // Smallest clade with every outgroup tip
+      const mrca = nodes
+        .filter(d => counts.get(d).outgroup === outgroupCount)
+        .sort((a, b) => counts.get(a).all - counts.get(b).all)[0];
+      if (!mrca) {
+        console.warn('The outgroup is not a clade and its common ancestor is the root');
+        return;
+      }
+      console.warn('The outgroup is not a clade, so the tree is rooted above its most recent common ancestor');
+      node = mrca;
+    }
+    this.rerootOnBranch(node, counts.get(node).outgroup > 0 ? position : 1 - position);
+  }
+
+  /**
+   * Reroot the tree halfway between the two tips that are farthest apart
+   */
+  rerootAtMidpoint() {
+    const tips = getAllNodes(this.tree).filter(d => getAllChildren(d).length === 0);
+    if (tips.length < 2) {
+      console.warn('Midpoint rooting needs at least two tips');
+      return;
+    }
+
+    // Distance from a node to every other node, with the previous node on the path to each
+    const branchLength = (a, b) => (getParent(a) === b ? a : b).data.length || 0;
+    const distancesFrom = start => {
+      const distances = new Map([[start, 0]]);
+      const previous = new Map();
+      const stack = [start];
+      while (stack.length > 0) {
+        const d = stack.pop();
+        for (const neighbor of [...getAllChildren(d), getParent(d)]) {
+          if (neighbor && !distances.has(neighbor)) {
+            distances.set(neighbor, distances.get(d) + branchLength(d, neighbor));
+            previous.set(neighbor, d);
+            stack.push(neighbor);
+          }
+        }
+      }
+      return { distances, previous };
+    };
+    const farthestTip = (start, distances) => tips
+      .filter(d => d !== start)
+      .reduce((a, b) => distances.get(b) > distances.get(a) ? b : a);
+
+    // The farthest tip from any tip is at one end of the longest path
+    const first = farthestTip(tips[0], distancesFrom(tips[0]).distances);
+    const { distances, previous } = distancesFrom(first);
+    const last = farthestTip(first, distances);
+    const half = distances.get(last) / 2;
+
+    // Walk back from the end of the path to the branch with its midpoint
+    let upper = last;
+    while (distances.get(previous.get(upper)) > half) {
+      upper = previous.get(upper);
+    }
+    const lower = previous.get(upper);
+    if (getParent(upper) === lower) {
+      this.#reroot(upper, distances.get(upper) - half);
+    } else {
+      this.#reroot(lower, half - distances.get(lower));
+    }
+  }
+
+  /**
+   * Make a copy of the tree without some tips or clades. Clades left without tips are removed, and
+   * nodes left with a single child are replaced by that child, with the lengths of both branches added.
+   * @param {Array<string|Object>} tips - Names of tips, or nodes whose clades are removed
+   * @returns {TreeData|undefined} New TreeData with the same metadata tables, or undefined if no
+   *   tips or all tips would be removed
+   */
+  prune(tips) {
+    const names = new Set(tips.filter(x => typeof x === 'string'));
+    const removed = new Set(tips.filter(x => typeof x !== 'string'));
+    const allTips = getAllNodes(this.tree).filter(d => getAllChildren(d).length === 0);
+    const isRemoved = d => removed.has(d) || (getAllChildren(d).length === 0 && names.has(d.data.name));
+    const removedCount = allTips.filter(d => {
+      for (let node = d; node; node = getParent(node)) {
+        if (isRemoved(node)) return true;
+      }
+      return false;
+    }).length;
+    if (removedCount === 0) {
+      console.warn('No tips found to prune');
+      return;
+    }
+    if (removedCount === allTips.length) {
+      console.warn('Can not prune every tip');
+      return;
+    }
+
+    const copy = d => {
+      if (isRemoved(d)) return null;
+      const children = getAllChildren(d);
+      if (children.length === 0) return this.#copyNodeData(d);
+      const kept = children.map(copy).filter(child => child !== null);
+      if (kept.length === 0) return null;
+      if (kept.length === 1) {
+        return this.#joinBranches(d.data.length, kept[0]);
+      }
+      return { ...this.#copyNodeData(d), children: kept };
+    };
+    const root = copy(this.tree);
+    delete root.length;
+    return this.#derive(root);
+  }
+
+  /**
+   * Make a new tree from a clade
+   * @param {Object|Array<string>} node - Root node of the clade, or names of tips whose most recent
+   *   common ancestor is the root
+   * @returns {TreeData|undefined} New TreeData with the same metadata tables, or undefined if the
+   *   tips are not found
+   */
+  extractSubtree(node) {
+    if (Array.isArray(node)) {
+      const names = new Set(node);
+      const tips = getAllNodes(this.tree).filter(d => getAllChildren(d).length === 0 && names.has(d.data.name));
+      const ancestors = tips.map(d => {
+        const path = [];
+        for (let ancestor = d; ancestor; ancestor = getParent(ancestor)) path.push(ancestor);
+        return path;
+      });
+      node = ancestors[0]?.find(ancestor => ancestors.every(path => path.includes(ancestor)));
+    }
+    if (!node) {
+      console.warn('No clade found to extract');
+      return;
+    }
+
+    const copy = d => {
+      const children = getAllChildren(d);
+      return children.length > 0 ? { ...this.#copyNodeData(d), children: children.map(copy) } : this.#copyNodeData(d);
+    };
+    const root = copy(node);
+    delete root.length;
+    return this.#derive(root);
+  }
+
+  /**
+   * Make a copy of the tree with internal branches whose support is below a threshold removed, so
+   * the clades at their ends become part of polytomies. The lengths of removed branches are added
+   * to the branches below them. Branches without a support value are kept.
+   * @param {number} threshold - Smallest support value to keep a branch
+   * @param {string} [columnId] - Column with support values. By default, the `support` column of
+   *   the tree annotations, or the first of its `support_` columns.
+   * @returns {TreeData|undefined} New TreeData with the same metadata tables, or undefined if no
+   *   branch has support below the threshold
+   */
+  collapseLowSupport(threshold, columnId = null) {
+    if (columnId === null) {
+      const supportColumns = Array.from(this.columnName.entries())
+        .filter(([id, name]) => id.startsWith(`${this.annotationTableId}_`) && /^support(_\d+)?$/.test(name))
+        .map(([id]) => id);
+      columnId = supportColumns.find(id => this.columnName.get(id) === 'support') ?? supportColumns[0] ?? null;
+    }
+    if (!this.columnType.has(columnId)) {
+      console.warn('No support values found in the tree');
+      return;
+    }
+
+    let collapsedCount = 0;
+    const copy = d => {
+      const children = getAllChildren(d);
+      if (children.length === 0) return this.#copyNodeData(d);
+      const result = { ...this.#copyNodeData(d), children: [] };
+      for (const child of children) {
+        const copied = copy(child);
+        const support = parseFloat(child.metadata?.[columnId]);
+        if (copied.children && support < threshold) {
+          collapsedCount++;
+          result.children.push(...copied.children.map(grandchild => this.#joinBranches(copied.length, grandchild)));
+        } else {
+          result.children.push(copied);
+        }
+      }
+      return result;
+    };
+    const root = copy(this.tree);
+    if (collapsedCount === 0) {
+      console.warn(`No branches have support below ${threshold}`);
+      return;
+    }
+    return this.#derive(root);
+  }
+
+  /**
+   * Join the two branches at the root of an unrooted tree into one branch, so the root is a polytomy.
+   * A root with two children only marks where an unrooted tree was written from, so one of its
+   * children is removed, giving its children to the root. The branch lengths of the two children are
+   * added together, and the annotations of the removed child, which describe the same branch, are
+   * kept if the other child has none.
+   * @param {Object} treeDataObj - Parsed tree object
+   * @returns {Object} Parsed tree object, which is the same one if its root does not have two children
+   */
+  #joinBasalBranches(treeDataObj) {
+    const children = treeDataObj.children || [];
+    if (children.length !== 2) {
+      return treeDataObj;
+    }
+
+    // Remove an unnamed internal child if there is one, so no clade names are lost
+    const internal = children.filter(child => child.children && child.children.length > 0);
+    const removed = internal.find(child => !child.name) || internal[0];
+    if (!removed) {
+      return treeDataObj;
+    }
+    const kept = { ...children.find(child => child !== removed) };
+    this.#joinBranches(removed.length, kept);
+    if (removed.annotations && !kept.annotations) {
+      kept.annotations = removed.annotations;
+    }
+    const keptFirst = children[0] !== removed;
+    return {
+      ...treeDataObj,
+      children: keptFirst ? [kept, ...removed.children] : [...removed.children, kept]
+    };
+  }
+
+  /**
+   * Copy the data of a node for a new parsed tree, without its children
+   * @param {Object} d - Node in the tree
+   * @returns {Object}
+   */
+  #copyNodeData(d) {
+    const { rooted, children, ...data } = d.data;
+    return data;
+  }
+
+  /**
+   * Replace a parent with its child in a new parsed tree, adding the length of the parent's branch
+   * to the child's
+   * @param {number|undefined} parentLength - Length of the branch above the parent
+   * @param {Object} child - Node object in the new tree
+   * @returns {Object} The child
+   */
+  #joinBranches(parentLength, child) {
+    if (child.length !== undefined || parentLength !== undefined) {
+      child.length = (child.length || 0) + (parentLength || 0);
+    }
+    return child;
+  }
+
+  /**
+   * Make a TreeData for a tree made from this one, with copies of the same metadata tables
+   * @param {Object} treeDataObj - Parsed tree object
+   * @returns {TreeData}
+   */
+  #derive(treeDataObj) {
+    if (this.rooted !== null) {
+      treeDataObj.rooted = this.rooted;
+    }
+    const derived = new TreeData(treeDataObj);
+    for (const [tableId, rows] of this.metadata) {
+      if (tableId === this.annotationTableId) {
+        continue; // Made again from the annotations in the new tree
+      }
+      const columnIds = rows.length > 0 ? Object.keys(rows[0]) : [];
+      for (const columnId of columnIds) {
+        derived.columnType.set(columnId, this.columnType.get(columnId));
+        derived.columnName.set(columnId, this.columnName.get(columnId));
+        if (this.columnDisplayName.has(columnId)) {
+          derived.columnDisplayName.set(columnId, this.columnDisplayName.get(columnId));
+        }
+      }
+      derived.metadata.set(tableId, rows.map(row => ({ ...row })));
+      derived.metadataTableNames.set(tableId, this.metadataTableNames.get(tableId));
+      derived.nodeIdColumn.set(tableId, this.nodeIdColumn.get(tableId));
+      derived.validIdColumns.set(tableId, [...(this.validIdColumns.get(tableId) || [])]);
+      derived.idMatching.set(tableId, { ...this.idMatching.get(tableId) });
+      derived.#attachTable(tableId);
+    }
+    derived.#nextTableId = this.#nextTableId;
+    return derived;
+  }
+
+  /**
+   * Replace the tree with one rooted on the branch above a node
+   * @param {Object} node - Node below the new root
+   * @param {number|undefined} distance - Length of the branch from the new root to the node
+   */
+  #reroot(node, distance) {
+    const moveNames = this.#isSupport(getAllNodes(this.tree).filter(d => getAllChildren(d).length > 0 && d.data.name));
+
+    // Node data without the parts that describe the branch above internal nodes
+    const nodeData = d => {
+      const { rooted, ...data } = d.data;
+      if (getAllChildren(d).length > 0) {
+        delete data.annotations;
+        if (moveNames) delete data.name;
+      }
+      return data;
+    };
+    const branchLabels = d => {
+      if (getAllChildren(d).length === 0) return {};
+      const labels = {};
+      if (d.data.annotations) labels.annotations = d.data.annotations;
+      if (moveNames && d.data.name) labels.name = d.data.name;
+      return labels;
+    };
+    const copy = d => {
+      const { rooted, ...data } = d.data;
+      const children = getAllChildren(d);
+      return children.length > 0 ? { ...data, children: children.map(copy) } : data;
+    };
+
+    // The branch above the node is split in two by the new root, and both halves keep its labels
+    const first = copy(node);
+    if (distance === undefined) {
+      delete first.length;
+    } else {
+      first.length = distance;
+    }
+    const root = { rooted: true, children: [first] };
+    let labels = branchLabels(node);
+    let length = distance === undefined ? undefined : node.data.length - distance;
+
+    // Walk up to the old root, making each node a child of the one below it
+    let below = node;
+    let parent = root;
+    for (let d = getParent(node); d; d = getParent(d)) {
+      const reversed = { ...nodeData(d), ...labels, length };
+      reversed.children = getAllChildren(d).filter(child => child !== below).map(copy);
+      if (reversed.length === undefined) delete reversed.length;
+      parent.children.push(reversed);
+
+      labels = branchLabels(d);
+      length = d.data.length;
+      below = d;
+      parent = reversed;
+    }
+
+    // The old root is not needed if it has a single child left
+    const oldRoot = parent;
+    if (oldRoot.children.length <= 1) {
+      const grandparent = this.#findParentObject(root, oldRoot);
+      grandparent.children = grandparent.children.filter(child => child !== oldRoot);
+      const onlyChild = oldRoot.children[0];
+      if (onlyChild) {
+        if (onlyChild.length !== undefined || oldRoot.length !== undefined) {
+          onlyChild.length = (onlyChild.length || 0) + (oldRoot.length || 0);
+        }
+        if (onlyChild.children) {
+          for (const key of moveNames ? ['name', 'annotations'] : ['annotations']) {
+            if (onlyChild[key] === undefined && oldRoot[key] !== undefined) onlyChild[key] = oldRoot[key];
+          }
+        }
+        grandparent.children.push(onlyChild);
+      }
+    }
+
+    this.#replaceTree(root);
+  }
+
+  /**
+   * Find the object a node object is a child of in a parsed tree
+   * @param {Object} root - Root of the parsed tree
+   * @param {Object} target - Node object to find the parent of
+   * @returns {Object|undefined}
+   */
+  #findParentObject(root, target) {
+    const stack = [root];
+    while (stack.length > 0) {
+      const d = stack.pop();
+      if (d.children?.includes(target)) return d;
+      stack.push(...(d.children || []));
+    }
+  }
+
+  /**
+   * Replace the tree with a new one made from the same tips, such as a rerooted copy. Unlike setTree,
+   * the columns of the annotation table are kept, so aesthetics using them stay valid.
+   * @param {Object} treeDataObj - Parsed tree object
+   */
+  #replaceTree(treeDataObj) {
+    this.#removeAggregateColumns();
     this.tree = this.createHierarchy(treeDataObj);
+    this.rooted = treeDataObj.rooted ?? null;
+
+    // Annotation rows are matched to nodes by ID, which has changed
+    if (this.annotationTableId) {
+      const table = this.metadata.get(this.annotationTableId);
+      const [idColumn, ...columnIds] = Object.keys(table[0]);
+      const rows = getAllNodes(this.tree).filter(d => d.data.annotations).map(d => {
+        const row = { [idColumn]: String(d.id) };
+        for (const columnId of columnIds) {
+          row[columnId] = d.data.annotations[this.columnName.get(columnId)];
+        }
+        return row;
+      });
+      this.metadata.set(this.annotationTableId, rows.length > 0 ? rows : table);
+    }
+
     this.metadata.keys().forEach(tableId => this.#attachTable(tableId));
     this.notify('treeUpdated', this);
   }
@@ -139,13 +700,14 @@ export class TreeData extends Subscribable {
 
   /**
    * Get all node names from the tree
+   * @param {Function} normalizeId - Optional function from createIdNormalizer applied to each name
    * @returns {Set<string>} Set of all node names in the tree
    */
-  getTreeNodeNames() {
+  getTreeNodeNames(normalizeId = null) {
     const nodeNames = new Set();
     this.tree.each(d => {
       if (d.data.name) {
-        nodeNames.add(d.data.name);
+        nodeNames.add(normalizeId ? normalizeId(d.data.name) : d.data.name);
       }
     });
     return nodeNames;
@@ -164,11 +726,13 @@ export class TreeData extends Subscribable {
       return new Map();
     }
 
+    // IDs from JavaScript data may be numbers, but normalized IDs are always strings
+    const normalizeId = this.#idNormalizer(tableId);
     const metadataMap = new Map();
     for (const row of rows) {
       const nodeId = row[idColumn];
-      if (nodeId) {
-        metadataMap.set(nodeId, row);
+      if (nodeId !== undefined && nodeId !== '') {
+        metadataMap.set(normalizeId(nodeId), row);
       }
     }
 
@@ -177,17 +741,29 @@ export class TreeData extends Subscribable {
 
   /**
    * Add a metadata table
-   * @param {string} tableStr - TSV formatted string or path
+   * @param {string|Array<Object>|Object} tableStr - Delimited text, such as TSV or CSV, with quoted
+   *   fields allowed, or JavaScript data as an array of row objects or an object of column arrays
    * @param {string} tableName - Display name for the table
-   * @param {string} sep - Column separator (default: '\t')
+   * @param {string|null} sep - Column separator, detected from the table if not given. Not used for JavaScript data
+   * @param {Object} options - Optional settings
+   * @param {Object} options.columnTypes - Types to use instead of the inferred ones, keyed by column
+   *   name, e.g. `{sample_code: 'categorical'}`
+   * @param {Object} options.idMatching - Rules for matching IDs in the table to node names that are
+   *   written differently, as described for createIdNormalizer, e.g. `{ignoreCase: true}`
    * @returns {string} The table ID
    */
-  addTable(tableStr, tableName = null, sep = '\t') {
-    // Parse table string (returns map keyed by row index)
-    let { metadataMap, columnTypes, idColumns } = parseTable(tableStr, this.getTreeNodeNames(), sep);
+  addTable(tableStr, tableName = null, sep = null, options = {}) {
+    // Parse table string or data (returns map keyed by row index)
+    const idMatching = options.idMatching || {};
+    const normalizeId = createIdNormalizer(idMatching);
+    const parseOptions = { columnTypes: options.columnTypes, normalizeId };
+    let { metadataMap, columnTypes, idColumns } = typeof tableStr === 'string' ?
+      parseTable(tableStr, this.getTreeNodeNames(normalizeId), sep, parseOptions) :
+      parseTableData(tableStr, this.getTreeNodeNames(normalizeId), parseOptions);
 
     // Generate unique table ID
     const tableId = `table_${this.#nextTableId++}`;
+    this.idMatching.set(tableId, idMatching);
 
     // Set table name
     if (!tableName) {
@@ -239,6 +815,12 @@ export class TreeData extends Subscribable {
     this.metadata.set(tableId, metadataArray);
 
     this.#attachTable(tableId);
+
+    const duplicateIds = this.getJoinDiagnostics(tableId).duplicateIds;
+    if (duplicateIds.length > 0) {
+      console.warn(`${duplicateIds.length} IDs are used by more than one row in table ${tableName}, so only the last row is used for each: ${duplicateIds.slice(0, 5).map(x => x.id).join(', ')}${duplicateIds.length > 5 ? ', ...' : ''}`);
+    }
+
     this.notify('metadataAdded', {
       tableId: tableId,
       columnIds: Array.from(columnIdMap.values())
@@ -247,6 +829,61 @@ export class TreeData extends Subscribable {
     return tableId;
   }
 
+  /**
+   * Add a metadata table made from the annotations parsed from the tree file, such as NHX or BEAST
+   * comments. Rows are matched to nodes by their position in the tree rather than their names, so
+   * annotations on unnamed internal nodes are kept.
+   */
+  #addAnnotationTable() {
+    const annotatedNodes = [];
+    const keys = new Set();
+    this.tree.each(d => {
+      if (d.data.annotations) {
+        annotatedNodes.push(d);
+        Object.keys(d.data.annotations).forEach(key => keys.add(key));
+      }
+    });
+    if (annotatedNodes.length === 0) {
+      return;
+    }
+
+    const tableId = 'annotations';
+    const idColumn = `${tableId}_node`;
+
+    // Register the annotation columns. The ID column is not given a display name so that it is not
+    // offered as a column to map to aesthetics.
+    this.columnName.set(idColumn, 'node');
+    for (const key of keys) {
+      const uniqueId = `${tableId}_${key}`;
+      const values = annotatedNodes.map(d => d.data.annotations[key]);
+      this.columnType.set(uniqueId, inferColumnType(values));
+      this.columnName.set(uniqueId, key);
+      this.columnDisplayName.set(uniqueId, columnToHeader(key));
+    }
+
+    // Every row has every column so the columns of the table can be found from the first row
+    const metadataArray = annotatedNodes.map(d => {
+      const row = { [idColumn]: String(d.id) };
+      for (const key of keys) {
+        row[`${tableId}_${key}`] = d.data.annotations[key];
+      }
+      return row;
+    });
+
+    this.annotationTableId = tableId;
+    this.metadataTableNames.set(tableId, 'Tree annotations');
+    this.validIdColumns.set(tableId, [idColumn]);
+    this.nodeIdColumn.set(tableId, idColumn);
+    this.metadata.set(tableId, metadataArray);
+
+    this.#attachTable(tableId);
+
+    this.notify('metadataAdded', {
+      tableId: tableId,
+      columnIds: [idColumn, ...Array.from(keys, key => `${tableId}_${key}`)]
+    });
+  }
+
   /**
    * Get valid ID columns for a table
    * @param {string} tableId - ID of the table
@@ -330,6 +967,133 @@ export class TreeData extends Subscribable {
 
   }
 
+  /**
+   * Change the rules used to match the IDs in a table to node names. The columns that can be used as
+   * ID columns are found again, keeping the current ID column if it is still valid.
+   * @param {string} tableId - ID of the table
+   * @param {Object} rules - Rules as described for createIdNormalizer, e.g. `{ignoreCase: true}`
+   */
+  setIdMatching(tableId, rules = {}) {
+    const table = this.metadata.get(tableId);
+    if (!table || tableId === this.annotationTableId) {
+      console.warn(`Table ${tableId} does not exist or cannot use ID matching rules`);
+      return;
+    }
+
+    const normalizeId = createIdNormalizer(rules);
+    const columnIds = this.getTableColumnIds(tableId);
+    const oldIdColumn = this.nodeIdColumn.get(tableId);
+
+    // Clear all aesthetics for columns in this table since the data will change
+    for (const columnId of columnIds) {
+      this.columnAesthetic.delete(columnId);
+    }
+
+    this.#detachTable(tableId);
+    this.idMatching.set(tableId, rules);
+
+    // Find the ID columns again, since the new rules may match more or fewer of them
+    const idColumns = findIdColumns(columnIds, table, this.getTreeNodeNames(normalizeId), normalizeId);
+    this.validIdColumns.set(tableId, idColumns);
+    const newIdColumn = idColumns.includes(oldIdColumn) ? oldIdColumn : (idColumns[0] ?? null);
+    this.nodeIdColumn.set(tableId, newIdColumn);
+
+    this.#attachTable(tableId);
+
+    this.notify('metadataChanged', {
+      tableId: tableId,
+      oldIdColumn: oldIdColumn,
+      newIdColumn: newIdColumn,
+      columnIds: columnIds,
+      requiresAestheticRefresh: true
+    });
+  }
+
+  /**
+   * Describe how the rows of a table were joined to the tree, to help find problems in the IDs
+   * @param {string} tableId - ID of the table
+   * @returns {Object|null} Diagnostics, or null if the table does not exist, with these properties:
+   *   - idColumn: ID of the column used to match rows to nodes, or null if there is none
+   *   - tipCount: Number of tips in the tree
+   *   - matchedTipCount: Number of tips with a row in the table
+   *   - matchedNodeCount: Number of nodes, including internal nodes, with a row in the table
+   *   - rowCount: Number of rows in the table
+   *   - unmatchedTips: Names of tips without a row in the table
+   *   - orphanRows: Rows whose ID matches no node, as `{row, id}` with `row` the index of the row
+   *   - rowsWithoutId: Indexes of rows with no value in the ID column
+   *   - duplicateIds: IDs used by more than one row, as `{id, rows}`. Only the last of these rows is used.
+   */
+  getJoinDiagnostics(tableId) {
+    const rows = this.metadata.get(tableId);
+    if (!rows) {
+      console.warn(`Table ${tableId} does not exist`);
+      return null;
+    }
+    const idColumn = this.nodeIdColumn.get(tableId) ?? null;
+    const normalizeId = this.#idNormalizer(tableId);
+
+    // Find the rows for each ID, reporting them with the ID of their first row
+    const rowsById = new Map();
+    const rowsWithoutId = [];
+    rows.forEach((row, index) => {
+      const nodeId = idColumn ? row[idColumn] : undefined;
+      if (nodeId === undefined || nodeId === '') {
+        rowsWithoutId.push(index);
+        return;
+      }
+      const key = normalizeId(nodeId);
+      if (!rowsById.has(key)) {
+        rowsById.set(key, []);
+      }
+      rowsById.get(key).push(index);
+    });
+
+    // Match nodes to rows, listing tips in the order they are in the tree
+    const nodeKeys = new Set();
+    const unmatchedTips = [];
+    let tipCount = 0;
+    let matchedTipCount = 0;
+    let matchedNodeCount = 0;
+    this.tree.eachBefore(d => {
+      const key = this.#nodeKey(tableId, d, normalizeId);
+      if (key) nodeKeys.add(key);
+      const matched = key !== undefined && rowsById.has(key);
+      if (matched) matchedNodeCount++;
+      if (!d.children) {
+        tipCount++;
+        if (matched) {
+          matchedTipCount++;
+        } else {
+          unmatchedTips.push(d.data.name ?? key ?? '');
+        }
+      }
+    });
+
+    const orphanRows = [];
+    const duplicateIds = [];
+    for (const [key, rowIndexes] of rowsById) {
+      if (!nodeKeys.has(key)) {
+        rowIndexes.forEach(row => orphanRows.push({ row, id: String(rows[row][idColumn]) }));
+      }
+      if (rowIndexes.length > 1) {
+        duplicateIds.push({ id: String(rows[rowIndexes[0]][idColumn]), rows: rowIndexes });
+      }
+    }
+    orphanRows.sort((a, b) => a.row - b.row);
+
+    return {
+      idColumn,
+      tipCount,
+      matchedTipCount,
+      matchedNodeCount,
+      rowCount: rows.length,
+      unmatchedTips,
+      orphanRows,
+      rowsWithoutId,
+      duplicateIds
+    };
+  }
+
   /**
    * Remove a metadata table
    * @param {string} tableId - ID of the table to remove
@@ -357,12 +1121,112 @@ export class TreeData extends Subscribable {
     this.metadataTableNames.delete(tableId);
     this.nodeIdColumn.delete(tableId);
     this.validIdColumns.delete(tableId);
+    this.idMatching.delete(tableId);
     this.notify('metadataChanged', {
       tableId,
       columnIds: keys
     });
   }
 
+  /**
+   * Get a column with a summary of the values of another column for the descendant tips of each
+   * node, so internal nodes and collapsed clades can be colored or sized by it. Tips are summarized
+   * by their own value. Aggregate columns are calculated when first requested and are not part of
+   * any table, so they are not offered as columns in the toolbar.
+   * @param {string} columnId - ID of the column to summarize
+   * @param {string} method - One of AGGREGATION_METHODS for the type of the column:
+   *   - mean, median, sum, min, max: for continuous columns
+   *   - majority: the most common value, with ties broken by the order values are found in the tree
+   *   - proportion: the proportion of tips with a value that have the most common value
+   *   - uniqueCount: the number of different values
+   * @returns {string|null} ID of the aggregate column, or null if the column or method is not valid
+   */
+  getAggregateColumn(columnId, method) {
+    const columnType = this.columnType.get(columnId);
+    if (!columnType || this.aggregateColumns.has(columnId)) {
+      console.warn(`Column ${columnId} not found or cannot be aggregated`);
+      return null;
+    }
+    if (!AGGREGATION_METHODS[columnType]?.includes(method)) {
+      console.warn(`Aggregation method ${method} cannot be used for ${columnType} column ${columnId}`);
+      return null;
+    }
+
+    const aggregateId = `${columnId}:${method}`;
+    if (this.aggregateColumns.has(aggregateId)) {
+      return aggregateId;
+    }
+    this.aggregateColumns.set(aggregateId, { columnId, method });
+    this.columnType.set(aggregateId, method === 'majority' ? 'categorical' : 'continuous');
+
+    const summarize = values => {
+      if (values.length === 0) {
+        return undefined;
+      }
+      if (columnType === 'continuous') {
+        const numbers = values.map(Number).filter(x => !isNaN(x));
+        if (numbers.length === 0) return undefined;
+        switch (method) {
+          case 'mean': return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+          case 'sum': return numbers.reduce((a, b) => a + b, 0);
+          case 'min': return numbers.reduce((a, b) => Math.min(a, b));
+          case 'max': return numbers.reduce((a, b) => Math.max(a, b));
+          case 'median': {
+            const sorted = numbers.sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+          }
+        }
+      }
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      if (method === 'uniqueCount') {
+        return counts.size;
+      }
+      let majority;
+      let majorityCount = 0;
+      for (const [value, count] of counts) {
+        if (count > majorityCount) {
+          majority = value;
+          majorityCount = count;
+        }
+      }
+      return method === 'majority' ? majority : majorityCount / values.length;
+    };
+
+    // Hidden and collapsed subtrees are included so values do not change when they are shown again
+    const isMissing = value => value === undefined || value === null || value === '';
+    const aggregate = d => {
+      const children = getAllChildren(d);
+      let values;
+      if (children.length === 0) {
+        const value = d.metadata ? d.metadata[columnId] : undefined;
+        values = isMissing(value) ? [] : [value];
+      } else {
+        values = children.flatMap(aggregate);
+      }
+      d.metadata = d.metadata || {};
+      d.metadata[aggregateId] = summarize(values);
+      return values;
+    };
+    aggregate(this.tree);
+
+    return aggregateId;
+  }
+
+  /**
+   * Get the name of a column to show in titles, including aggregate columns
+   * @param {string} columnId - The unique column ID
+   * @returns {string} Display name, or the column ID if the column has none
+   */
+  getColumnDisplayName(columnId) {
+    const aggregate = this.aggregateColumns.get(columnId);
+    if (aggregate) {
+      return `${this.getColumnDisplayName(aggregate.columnId)} (${AGGREGATION_LABELS[aggregate.method]})`;
+    }
+    return this.columnDisplayName.get(columnId) || columnId;
+  }
+
   /**
    * Get the aesthetic for a column and aesthetic ID combination, creating it if needed
    * @param {string} columnId - The unique column ID
@@ -437,7 +1301,7 @@ export class TreeData extends Subscribable {
     }
 
     // Get display name for titles
-    const displayName = this.columnDisplayName.get(columnId) || columnId;
+    const displayName = this.getColumnDisplayName(columnId);
 
     // Determine default scaleType based on aesthetic if not provided
     let scaleType = state.scaleType;
@@ -458,13 +1322,37 @@ export class TreeData extends Subscribable {
     return aesthetic;
   }
 
+  /**
+   * Get the function used to normalize the IDs of a table and the names of nodes before matching them
+   * @param {string} tableId - ID of the table
+   * @returns {Function}
+   */
+  #idNormalizer(tableId) {
+    return createIdNormalizer(this.idMatching.get(tableId) || {});
+  }
+
+  /**
+   * Get the value a node is matched by in the ID column of a table
+   * @param {string} tableId - ID of the table
+   * @param {Object} d - Node in the tree
+   * @param {Function} normalizeId - Function from #idNormalizer for the table
+   * @returns {string|undefined} The normalized node name, or the node ID for the annotation table
+   */
+  #nodeKey(tableId, d, normalizeId) {
+    if (tableId === this.annotationTableId) {
+      return String(d.id);
+    }
+    return d.data.name ? normalizeId(d.data.name) : undefined;
+  }
+
   /**
    * Add metadata to tree nodes
    */
   #attachTable(tableId) {
     const metadataMap = this.#generateMetadataMap(tableId);
+    const normalizeId = this.#idNormalizer(tableId);
     this.tree.each(d => {
-      const nodeName = d.data.name;
+      const nodeName = this.#nodeKey(tableId, d, normalizeId);
       if (nodeName && metadataMap.has(nodeName)) {
         const tableMetadata = metadataMap.get(nodeName);
         d.metadata = { ...d.metadata, ...tableMetadata };
@@ -482,6 +1370,7 @@ export class TreeData extends Subscribable {
     }
 
     const keys = Object.keys(table[0]);
+    this.#removeAggregateColumns(keys);
     this.tree.each(d => {
       if (d.metadata) {
         keys.forEach(key => {
@@ -491,4 +1380,24 @@ export class TreeData extends Subscribable {
     });
   }
 
+  /**
+   * Remove aggregate columns, so they are calculated again if needed
+   * @param {Array<string>|null} columnIds - Remove only the aggregates of these columns
+   */
+  #removeAggregateColumns(columnIds = null) {
+    for (const [aggregateId, { columnId }] of this.aggregateColumns) {
+      if (columnIds && !columnIds.includes(columnId)) {
+        continue;
+      }
+      this.aggregateColumns.delete(aggregateId);
+      this.columnType.delete(aggregateId);
+      this.columnAesthetic.delete(aggregateId);
+      this.tree.each(d => {
+        if (d.metadata) {
+          delete d.metadata[aggregateId];
+        }
+      });
+    }
+  }
+
 }
@@ -35,6 +35,12 @@ B\t200\tbeta
 D\t300\talpha`;
   });
 
+  const toNewick = d => {
+    const children = d.children ? `(${d.children.map(toNewick).join(',')})` : '';
+    return children + (d.data.name || '') + (d.data.length === undefined ? '' : `:${d.data.length}`);
+  };
+  const findNode = (treeData, name) => treeData.tree.descendants().find(d => d.data.name === name);
+
   describe('constructor', () => {
     it('should create a TreeData instance with a tree', () => {
       const treeData = new TreeData(simpleParsed);
@@ -74,6 +80,243 @@ D\t300\talpha`;
       const trees = TreeData.parseTrees(simpleNewick, 'MyTree');
       expect(trees[0].treeData.name).toBe('E');
     });
+
+    it('should read underscores in unquoted labels as spaces when asked', () => {
+      const newick = "(Homo_sapiens,'Pan_troglodytes');";
+      expect(TreeData.parseTrees(newick)[0].treeData.children.map(d => d.name)).toEqual(['Homo_sapiens', 'Pan_troglodytes']);
+      const trees = TreeData.parseTrees(newick, 'MyTree', { underscoresToSpaces: true });
+      expect(trees[0].treeData.children.map(d => d.name)).toEqual(['Homo sapiens', 'Pan_troglodytes']);
+    });
+
+    describe('NEXUS', () => {
+      const nexus = `#NEXUS
+[A comment [with a nested comment]; and a semicolon]
+BEGIN TAXA;
+  DIMENSIONS NTAX=4;
+  TAXLABELS 'Homo sapiens, modern' Pan Gorilla 'O''Brien';
+END;
+BEGIN CHARACTERS;
+  DIMENSIONS NCHAR=3;
+  FORMAT DATATYPE=STANDARD MISSING=? GAP=- SYMBOLS="0 1 2";
+  CHARSTATELABELS 1 habitat / land water, 2 size / small medium large;
+  MATRIX
+    'Homo sapiens, modern' 01?
+    Pan 1(12)0
+    Gorilla 12-
+    'O''Brien' 0 0 1
+  ;
+END;
+BEGIN TREES;
+  TRANSLATE
+    1 'Homo sapiens, modern',
+    2 Pan,
+    3 Gorilla,
+    4 'O''Brien';
+  TREE first = [&R] (((1:0.1,2:0.2)1:0.1,3:0.3):0.1,4:0.5);
+  TREE * 'second; tree' = [&U] ((1,2),3,4);
+END;`;
+
+      it('should parse each tree with quoted names and translated tips', () => {
+        const trees = TreeData.parseTrees(nexus, 'MyTree');
+        expect(trees.map(tree => tree.name)).toEqual(['MyTree first', 'MyTree second; tree']);
+        const tipNames = [];
+        const collectTips = node => node.children ? node.children.forEach(collectTips) : tipNames.push(node.name);
+        collectTips(trees[0].treeData);
+        expect(tipNames).toEqual(['Homo sapiens, modern', 'Pan', 'Gorilla', "O'Brien"]);
+      });
+
+      it('should not translate internal node labels', () => {
+        const tree = TreeData.parseTrees(nexus)[0].treeData;
+        expect(tree.children[0].children[0].name).toBe('1');
+      });
+
+      it('should read rooting flags', () => {
+        const trees = TreeData.parseTrees(nexus);
+        expect(new TreeData(trees[0].treeData).rooted).toBe(true);
+        expect(new TreeData(trees[1].treeData).rooted).toBe(false);
+        expect(new TreeData(simpleParsed).rooted).toBeNull();
+      });
+
+      it('should join the two branches at the root of unrooted trees', () => {
+        const unrooted = new TreeData(parseNewick('[&U]((A:1,B:1)C:2,(D:1,E:1)[&support=95]:3);'));
+        expect(unrooted.tree.children.map(d => d.data.name).sort()).toEqual(['C', 'D', 'E']);
+        const clade = unrooted.tree.children.find(d => d.data.name === 'C');
+        expect(clade.data.length).toBe(5);
+        expect(clade.data.annotations).toEqual({ support: '95' });
+
+        const rooted = new TreeData(parseNewick('[&R]((A:1,B:1)C:2,(D:1,E:1):3);'));
+        expect(rooted.tree.children).toHaveLength(2);
+      });
+
+      it('should use TAXA block order when there is no TRANSLATE command', () => {
+        const noTranslate = nexus.replace(/TRANSLATE[^;]*;/, '');
+        const tree = TreeData.parseTrees(noTranslate)[1].treeData;
+        expect(tree.children[1].name).toBe('Gorilla');
+      });
+
+      it('should attach character matrices as metadata tables', () => {
+        const trees = TreeData.parseTrees(nexus);
+        expect(trees[0].metadataTables).toHaveLength(1);
+        const table = trees[0].metadataTables[0];
+        const treeData = new TreeData(trees[0].treeData, [table.data], [table.name]);
+        const tableId = Array.from(treeData.metadataTableNames.keys())
+          .find(id => treeData.metadataTableNames.get(id) === 'Character matrix');
+        const columnId = name => `${tableId}_${name}`;
+        const tips = Object.fromEntries(treeData.tree.leaves().map(d => [d.data.name, d.metadata]));
+        expect(tips['Homo sapiens, modern'][columnId('habitat')]).toBe('land');
+        expect(tips['Homo sapiens, modern'][columnId('size')]).toBe('medium');
+        expect(tips['Homo sapiens, modern'][columnId('character_3')]).toBeUndefined();
+        expect(tips.Pan[columnId('size')]).toBe('medium/large');
+        expect(tips.Gorilla[columnId('character_3')]).toBeUndefined();
+        expect(tips["O'Brien"][columnId('character_3')]).toBe('1');
+      });
+
+      it('should read underscores in taxon names as spaces when asked', () => {
+        const underscores = nexus.replaceAll('Pan', 'Pan_troglodytes');
+        const [tree] = TreeData.parseTrees(underscores, 'MyTree', { underscoresToSpaces: true });
+        expect(tree.treeData.children[0].children[0].children[1].name).toBe('Pan troglodytes');
+        expect(tree.metadataTables[0].data).toContain('\nPan troglodytes\t');
+
+        const noTranslate = underscores.replace(/TRANSLATE[^;]*;/, '');
+        const [, untranslated] = TreeData.parseTrees(noTranslate, 'MyTree', { underscoresToSpaces: true });
+        expect(untranslated.treeData.children[0].children[1].name).toBe('Pan troglodytes');
+      });
+
+      it('should skip molecular matrices', () => {
+        const consoleSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const dna = nexus.replace('DATATYPE=STANDARD', 'DATATYPE=DNA');
+        expect(TreeData.parseTrees(dna)[0].metadataTables).toEqual([]);
+        expect(consoleSpy).toHaveBeenCalled();
+        consoleSpy.mockRestore();
+      });
+
+      it('should report errors with the tree and line', () => {
+        const broken = nexus.replace('3:0.3):0.1', '3:abc):0.1');
+        expect(() => TreeData.parseTrees(broken)).toThrow("Could not parse NEXUS tree first: Invalid branch length 'abc' at line 24, column 44");
+      });
+    });
+
+    describe('taxonomy tables', () => {
+      const rankTable = `otu\tkingdom\tphylum\tgenus\tcount
+otu1\tBacteria\tFirmicutes\tBacillus\t10
+otu2\tBacteria\tFirmicutes\tBacillus\t5
+otu3\tBacteria\tFirmicutes\tNA\t1
+otu4\tBacteria\tProteobacteria\tEscherichia\t4`;
+
+      it('should detect taxonomy tables', () => {
+        const trees = TreeData.parseTrees(rankTable, 'Taxonomy');
+        expect(trees).toHaveLength(1);
+        expect(trees[0].name).toBe('Taxonomy');
+        expect(trees[0].treeData.name).toBe('Bacteria');
+      });
+
+      it('should build a tree with one node per taxon', () => {
+        const treeData = new TreeData(TreeData.parseTrees(rankTable)[0].treeData);
+        expect(treeData.tree.leaves().map(d => d.data.name).sort()).toEqual(['Bacillus', 'Escherichia']);
+        const firmicutes = treeData.tree.children.find(d => d.data.name === 'Firmicutes');
+        expect(firmicutes.children).toHaveLength(1);
+        expect(firmicutes.children[0].data.length).toBe(1);
+      });
+
+      it('should annotate nodes with rank, counts and summed abundance', () => {
+        const treeData = new TreeData(TreeData.parseTrees(rankTable)[0].treeData);
+        const tableId = treeData.annotationTableId;
+        const firmicutes = treeData.tree.children.find(d => d.data.name === 'Firmicutes');
+        expect(firmicutes.metadata[`${tableId}_rank`]).toBe('phylum');
+        expect(firmicutes.metadata[`${tableId}_count`]).toBe('3');
+        expect(firmicutes.metadata[`${tableId}_abundance`]).toBe('16');
+        expect(treeData.tree.metadata[`${tableId}_abundance`]).toBe('20');
+        expect(treeData.columnType.get(`${tableId}_abundance`)).toBe('continuous');
+      });
+
+      it('should parse semicolon-separated classifications with rank prefixes', () => {
+        const qiimeTable = `Feature ID\tTaxon\tConfidence
+a\td__Bacteria; p__Firmicutes; g__Bacillus\t0.9
+b\td__Bacteria; p__Firmicutes; g__\t0.8
+c\td__Archaea; p__Euryarchaeota\t0.7`;
+        const tree = TreeData.parseTrees(qiimeTable)[0].treeData;
+        expect(tree.name).toBeUndefined();
+        expect(tree.children.map(d => d.name)).toEqual(['Bacteria', 'Archaea']);
+        expect(tree.children[0].annotations.rank).toBe('domain');
+        expect(tree.children[0].children[0].children[0]).toEqual({
+          name: 'Bacillus',
+          length: 1,
+          annotations: { rank: 'genus', count: '1' }
+        });
+      });
+
+      it('should parse lists of classifications without a header', () => {
+        const tree = TreeData.parseTrees('Bacteria;Firmicutes\nBacteria;Actinobacteria')[0].treeData;
+        expect(tree.name).toBe('Bacteria');
+        expect(tree.children.map(d => d.name)).toEqual(['Firmicutes', 'Actinobacteria']);
+        expect(tree.children[0].annotations.rank).toBe('rank_2');
+      });
+
+      it('should not mistake Newick strings for taxonomy tables', () => {
+        expect(TreeData.parseTrees(simpleNewick)[0].treeData.name).toBe('E');
+      });
+    });
+
+    describe('phyloXML', () => {
+      const phyloXml = `<?xml version="1.0" encoding="UTF-8"?>
+<phyloxml xmlns="http://www.phyloxml.org">
+  <!-- Two small trees -->
+  <phylogeny rooted="true">
+    <name>Primates</name>
+    <clade>
+      <clade branch_length="0.2">
+        <confidence type="bootstrap">89</confidence>
+        <clade>
+          <name>A &amp; B</name>
+          <branch_length>0.1</branch_length>
+          <taxonomy><code>HUMAN</code><scientific_name>Homo sapiens</scientific_name></taxonomy>
+          <property ref="env:depth" datatype="xsd:integer" applies_to="clade">12</property>
+          <color><red>255</red><green>0</green><blue>0</blue></color>
+        </clade>
+        <clade>
+          <taxonomy><scientific_name>Pan troglodytes</scientific_name></taxonomy>
+          <property ref="env:depth" datatype="xsd:integer" applies_to="clade">20</property>
+        </clade>
+      </clade>
+      <clade><name><![CDATA[C <outgroup>]]></name></clade>
+    </clade>
+  </phylogeny>
+  <phylogeny rooted="false">
+    <clade><clade><name>X</name></clade><clade><name>Y</name></clade></clade>
+  </phylogeny>
+</phyloxml>`;
+
+      it('should parse each phylogeny as a separate tree', () => {
+        const trees = TreeData.parseTrees(phyloXml, 'MyTree');
+        expect(trees.map(tree => tree.name)).toEqual(['MyTree Primates', 'MyTree 2']);
+        expect(trees[1].treeData.children.map(d => d.name)).toEqual(['X', 'Y']);
+      });
+
+      it('should read names and branch lengths like parseNewick', () => {
+        const tree = TreeData.parseTrees(phyloXml)[0].treeData;
+        const [ingroup, outgroup] = tree.children;
+        expect(ingroup.length).toBe(0.2);
+        expect(ingroup.children[0].name).toBe('A & B');
+        expect(ingroup.children[0].length).toBe(0.1);
+        expect(ingroup.children[1].name).toBe('Pan troglodytes');
+        expect(outgroup).toEqual({ name: 'C <outgroup>' });
+      });
+
+      it('should attach confidence, taxonomy, color and properties as metadata', () => {
+        const treeData = new TreeData(TreeData.parseTrees(phyloXml)[0].treeData);
+        const tableId = treeData.annotationTableId;
+        const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A & B');
+        expect(nodeA.metadata[`${tableId}_taxonomy_code`]).toBe('HUMAN');
+        expect(nodeA.metadata[`${tableId}_color`]).toBe('#ff0000');
+        expect(nodeA.metadata[`${tableId}_env:depth`]).toBe('12');
+        expect(nodeA.parent.metadata[`${tableId}_confidence_bootstrap`]).toBe('89');
+        expect(treeData.columnType.get(`${tableId}_env:depth`)).toBe('continuous');
+      });
+
+      it('should report mismatched tags', () => {
+        expect(() => TreeData.parseTrees('<phyloxml><phylogeny><clade></phylogeny></phyloxml>')).toThrow('</phylogeny>');
+      });
+    });
   });
 
   describe('createHierarchy', () => {
@@ -148,6 +391,117 @@ D\t300\talpha`;
     });
   });
 
+  describe('rerooting', () => {
+    it('should reroot on a branch, reversing the branches to the old root', () => {
+      const treeData = new TreeData(simpleParsed, [metadataTable1]);
+      const callback = vi.fn();
+      treeData.subscribe('treeUpdated', callback);
+
+      treeData.rerootOnBranch(findNode(treeData, 'A'), 0.5);
+
+      expect(toNewick(treeData.tree)).toBe('(A:0.5,(B:2,D:7)C:0.5)');
+      expect(treeData.rooted).toBe(true);
+      expect(findNode(treeData, 'A').metadata[`${treeData.metadata.keys().next().value}_value1`]).toBe('10');
+      expect(callback).toHaveBeenCalled();
+    });
+
+    it('should move support values to the branches they belong to', () => {
+      const treeData = new TreeData(parseNewick('((A:1,B:1)90:1,(C:1,D:1)80:1,E:1);'));
+
+      treeData.rerootOnBranch(findNode(treeData, 'A'));
+
+      expect(toNewick(treeData.tree)).toBe('(A:0.5,(B:1,(E:1,(C:1,D:1)80:1)90:1):0.5)');
+      expect(findNode(treeData, '90').metadata.annotations_support).toBe('90');
+      expect(findNode(treeData, '90').leaves().map(d => d.data.name).sort()).toEqual(['C', 'D', 'E']);
+      expect(findNode(treeData, 'B').parent.metadata?.annotations_support).toBeUndefined();
+    });
+
+    it('should reroot at the midpoint of the longest path between tips', () => {
+      const treeData = new TreeData(parseNewick('((A:1,B:1):1,C:6);'));
+
+      treeData.rerootAtMidpoint();
+
+      expect(toNewick(treeData.tree)).toBe('(C:4,(A:1,B:1):3)');
+    });
+
+    it('should reroot on an outgroup', () => {
+      const treeData = new TreeData(parseNewick('(A:1,B:1,(C:1,D:1):1);'));
+
+      treeData.rerootOnOutgroup(['A', 'B']);
+
+      const clades = treeData.tree.children.map(d => d.leaves().map(tip => tip.data.name).sort());
+      expect(clades.sort()).toEqual([['A', 'B'], ['C', 'D']]);
+      expect(treeData.tree.children.map(d => d.data.length)).toEqual([0.5, 0.5]);
+    });
+
+    it('should warn when the outgroup can not be rooted on', () => {
+      const treeData = new TreeData(parseNewick('((A:1,B:1):1,(C:1,D:1):1);'));
+      const oldRoot = treeData.tree;
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      treeData.rerootOnOutgroup(['A', 'C']);
+      treeData.rerootOnOutgroup(['X']);
+      treeData.rerootOnBranch(oldRoot);
+
+      expect(warnSpy).toHaveBeenCalledTimes(3);
+      expect(treeData.tree).toBe(oldRoot);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('editing', () => {
+    it('should prune tips into a new tree with the same metadata', () => {
+      const treeData = new TreeData(simpleParsed, [metadataTable1], ['Table 1']);
+      const pruned = treeData.prune(['A']);
+
+      expect(toNewick(pruned.tree)).toBe('(D:4,B:5)E');
+      expect(toNewick(treeData.tree)).toBe('(D:4,(A:1,B:2)C:3)E');
+      expect(pruned.getMetadataTableNames()).toEqual(['Table 1']);
+      const [columnId] = Array.from(treeData.columnName.entries()).find(([id, name]) => name === 'value1');
+      expect(findNode(pruned, 'B').metadata[columnId]).toBe('20');
+    });
+
+    it('should prune whole clades', () => {
+      const treeData = new TreeData(complexParsed);
+
+      expect(toNewick(treeData.prune([findNode(treeData, 'C')]).tree)).toBe('(D:0.4,E:0.5)F');
+    });
+
+    it('should warn when no tips or all tips would be pruned', () => {
+      const treeData = new TreeData(simpleParsed);
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(treeData.prune(['X'])).toBeUndefined();
+      expect(treeData.prune(['A', 'B', 'D'])).toBeUndefined();
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      warnSpy.mockRestore();
+    });
+
+    it('should extract a clade into a new tree', () => {
+      const treeData = new TreeData(complexParsed);
+
+      expect(toNewick(treeData.extractSubtree(findNode(treeData, 'F')).tree)).toBe('(D:0.4,E:0.5)F');
+      expect(toNewick(treeData.extractSubtree(['A', 'B']).tree)).toBe('(A:0.1,B:0.2)C');
+    });
+
+    it('should collapse branches with low support into polytomies', () => {
+      const treeData = new TreeData(parseNewick('((A:1,B:1)90:1,((C:1,D:1)40:1,E:1)70:1);'));
+      const collapsed = treeData.collapseLowSupport(50);
+
+      expect(toNewick(collapsed.tree)).toBe('((A:1,B:1)90:1,(E:1,C:2,D:2)70:1)');
+      expect(findNode(collapsed, '70').metadata.annotations_support).toBe('70');
+    });
+
+    it('should warn when there is nothing to collapse', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(new TreeData(simpleParsed).collapseLowSupport(50)).toBeUndefined();
+      expect(new TreeData(parseNewick('((A,B)90,C);')).collapseLowSupport(50)).toBeUndefined();
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      warnSpy.mockRestore();
+    });
+  });
+
   describe('addTable', () => {
     it('should add a metadata table with auto-generated ID', () => {
       const treeData = new TreeData(simpleParsed);
@@ -201,6 +555,285 @@ D\t300\talpha`;
 
       expect(callback).toHaveBeenCalled();
     });
+
+    it('should detect comma-separated tables', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable('node_id,value1\nA,10\nB,20');
+
+      expect(treeData.nodeIdColumn.get(tableId)).toBe(`${tableId}_node_id`);
+      expect(treeData.columnType.get(`${tableId}_value1`)).toBe('continuous');
+    });
+
+    it('should use column types given as options', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable(metadataTable1, 'Data', null, { columnTypes: { value1: 'categorical' } });
+
+      expect(treeData.columnType.get(`${tableId}_value1`)).toBe('categorical');
+    });
+
+    it('should add tables given as row objects', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable([
+        { node_id: 'A', value1: 10, flag: true },
+        { node_id: 'B', value1: 20, flag: false }
+      ], 'Rows');
+
+      expect(treeData.columnType.get(`${tableId}_value1`)).toBe('continuous');
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      expect(nodeA.metadata[`${tableId}_value1`]).toBe(10);
+      expect(nodeA.metadata[`${tableId}_flag`]).toBe(true);
+    });
+
+    it('should add tables given as column arrays', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable({ node_id: ['A', 'D'], value1: [10, null] }, 'Columns');
+
+      const nodeD = treeData.tree.leaves().find(d => d.data.name === 'D');
+      expect(treeData.nodeIdColumn.get(tableId)).toBe(`${tableId}_node_id`);
+      expect(nodeD.metadata[`${tableId}_value1`]).toBeUndefined();
+    });
+
+    it('should pass table options from the constructor', () => {
+      const treeData = new TreeData(simpleParsed, [metadataTable1], ['Data'], [{ columnTypes: { value1: 'categorical' } }]);
+
+      expect(treeData.columnType.get('table_0_value1')).toBe('categorical');
+    });
+  });
+
+  describe('getJoinDiagnostics', () => {
+    it('should report unmatched tips, orphan rows and duplicate IDs', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable('node_id\tvalue\nA\t1\nB\t2\nB\t3\nX\t4\nC\t5\n\t6');
+      const diagnostics = treeData.getJoinDiagnostics(tableId);
+
+      expect(diagnostics.idColumn).toBe(`${tableId}_node_id`);
+      expect(diagnostics.tipCount).toBe(3);
+      expect(diagnostics.matchedTipCount).toBe(2);
+      expect(diagnostics.matchedNodeCount).toBe(3);
+      expect(diagnostics.rowCount).toBe(6);
+      expect(diagnostics.unmatchedTips).toEqual(['D']);
+      expect(diagnostics.orphanRows).toEqual([{ row: 3, id: 'X' }]);
+      expect(diagnostics.rowsWithoutId).toEqual([5]);
+      expect(diagnostics.duplicateIds).toEqual([{ id: 'B', rows: [1, 2] }]);
+    });
+
+    it('should use the last row for duplicate IDs', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable('node_id\tvalue\nB\t2\nB\t3');
+
+      const nodeB = treeData.tree.leaves().find(d => d.data.name === 'B');
+      expect(nodeB.metadata[`${tableId}_value`]).toBe('3');
+    });
+
+    it('should report all tips as unmatched without an ID column', () => {
+      const treeData = new TreeData(simpleParsed);
+      const tableId = treeData.addTable('x\ty\n1\t2');
+      const diagnostics = treeData.getJoinDiagnostics(tableId);
+
+      expect(diagnostics.idColumn).toBeNull();
+      expect(diagnostics.unmatchedTips).toEqual(['D', 'A', 'B']);
+      expect(diagnostics.rowsWithoutId).toEqual([0]);
+    });
+
+    it('should return null for unknown tables', () => {
+      const treeData = new TreeData(simpleParsed);
+      expect(treeData.getJoinDiagnostics('missing')).toBeNull();
+    });
+  });
+
+  describe('ID matching', () => {
+    let tree;
+
+    beforeEach(() => {
+      tree = parseNewick('((Homo_sapiens:1,Pan_troglodytes:1):1,NC_001.1:2);');
+    });
+
+    it('should match IDs using the rules given to addTable', () => {
+      const treeData = new TreeData(tree);
+      const tableId = treeData.addTable('id\tvalue\nhomo sapiens\t1\nPAN TROGLODYTES\t2\nNC_001\t3', 'Data', null, {
+        idMatching: { ignoreCase: true, underscoresToSpaces: true, pattern: '^(.+?)(\\.\\d+)?$' }
+      });
+
+      expect(treeData.getNodeIdColumn(tableId)).toBe(`${tableId}_id`);
+      const values = treeData.tree.leaves().map(d => d.metadata?.[`${tableId}_value`]);
+      expect(values.sort()).toEqual(['1', '2', '3']);
+      expect(treeData.getJoinDiagnostics(tableId).unmatchedTips).toEqual([]);
+    });
+
+    it('should find ID columns again when the rules change', () => {
+      const treeData = new TreeData(tree);
+      const tableId = treeData.addTable('id\tvalue\nhomo sapiens\t1\npan troglodytes\t2', 'Data');
+      expect(treeData.getValidIdColumns(tableId)).toEqual([]);
+
+      const callback = vi.fn();
+      treeData.subscribe('metadataChanged', callback);
+      treeData.setIdMatching(tableId, { underscoresToSpaces: true, ignoreCase: true });
+
+      expect(treeData.getNodeIdColumn(tableId)).toBe(`${tableId}_id`);
+      const human = treeData.tree.leaves().find(d => d.data.name === 'Homo_sapiens');
+      expect(human.metadata[`${tableId}_value`]).toBe('1');
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ tableId, requiresAestheticRefresh: true }));
+
+      treeData.setIdMatching(tableId, {});
+      expect(treeData.getNodeIdColumn(tableId)).toBeNull();
+      expect(human.metadata[`${tableId}_value`]).toBeUndefined();
+    });
+
+    it('should report the original IDs in diagnostics', () => {
+      const treeData = new TreeData(tree);
+      const tableId = treeData.addTable('id\nhomo sapiens\nHOMO_SAPIENS\nGorilla', 'Data', null, {
+        idMatching: { ignoreCase: true, underscoresToSpaces: true }
+      });
+      const diagnostics = treeData.getJoinDiagnostics(tableId);
+
+      expect(diagnostics.duplicateIds).toEqual([{ id: 'homo sapiens', rows: [0, 1] }]);
+      expect(diagnostics.orphanRows).toEqual([{ row: 2, id: 'Gorilla' }]);
+    });
+  });
+
+  describe('getAggregateColumn', () => {
+    let treeData;
+    let columnIds;
+
+    beforeEach(() => {
+      treeData = new TreeData(complexParsed, [`node_id\tabundance\thost
+A\t1\tcow
+B\t4\tcow
+D\t10\tpig
+E\t\tgoat
+G\t100\tpig`]);
+      columnIds = Object.fromEntries(Array.from(treeData.columnName.entries()).map(([id, name]) => [name, id]));
+    });
+
+    const valueOf = (name, columnId) => findNode(treeData, name).metadata[columnId];
+
+    it('should summarize continuous values of descendant tips', () => {
+      const expected = {
+        mean: [2.5, 10, 5], median: [2.5, 10, 4], sum: [5, 10, 15], min: [1, 10, 1], max: [4, 10, 10]
+      };
+      for (const [method, [c, f, g]] of Object.entries(expected)) {
+        const aggregateId = treeData.getAggregateColumn(columnIds.abundance, method);
+        expect([valueOf('C', aggregateId), valueOf('F', aggregateId), valueOf('G', aggregateId)]).toEqual([c, f, g]);
+        expect(treeData.columnType.get(aggregateId)).toBe('continuous');
+      }
+      expect(valueOf('A', treeData.getAggregateColumn(columnIds.abundance, 'mean'))).toBe(1);
+      expect(valueOf('E', treeData.getAggregateColumn(columnIds.abundance, 'mean'))).toBeUndefined();
+    });
+
+    it('should summarize categorical values of descendant tips', () => {
+      const majority = treeData.getAggregateColumn(columnIds.host, 'majority');
+      const proportion = treeData.getAggregateColumn(columnIds.host, 'proportion');
+      const uniqueCount = treeData.getAggregateColumn(columnIds.host, 'uniqueCount');
+
+      expect(valueOf('C', majority)).toBe('cow');
+      expect(valueOf('G', majority)).toBe('cow');
+      expect(valueOf('G', proportion)).toBe(0.5);
+      expect(valueOf('F', uniqueCount)).toBe(2);
+      expect(treeData.columnType.get(majority)).toBe('categorical');
+      expect(treeData.columnType.get(uniqueCount)).toBe('continuous');
+    });
+
+    it('should name aggregate columns after the column and method', () => {
+      const aggregateId = treeData.getAggregateColumn(columnIds.abundance, 'max');
+      expect(treeData.getColumnDisplayName(aggregateId)).toBe('Abundance (maximum)');
+      expect(treeData.columnDisplayName.has(aggregateId)).toBe(false);
+    });
+
+    it('should reject methods that do not fit the column type', () => {
+      expect(treeData.getAggregateColumn(columnIds.host, 'mean')).toBeNull();
+      expect(treeData.getAggregateColumn('missing', 'mean')).toBeNull();
+    });
+
+    it('should remove aggregate columns with their table', () => {
+      const aggregateId = treeData.getAggregateColumn(columnIds.abundance, 'sum');
+      treeData.deleteTable('table_0');
+
+      expect(treeData.aggregateColumns.has(aggregateId)).toBe(false);
+      expect(treeData.columnType.has(aggregateId)).toBe(false);
+      expect(valueOf('C', aggregateId)).toBeUndefined();
+    });
+  });
+
+  describe('annotations', () => {
+    let annotatedParsed;
+
+    beforeEach(() => {
+      annotatedParsed = parseNewick(
+        '((A[&&NHX:S=human:B=100]:1,B[&&NHX:S=mouse]:2)[&&NHX:B=90]:3,D:4);'
+      );
+    });
+
+    it('should not add an annotation table when the tree has no annotations', () => {
+      const treeData = new TreeData(simpleParsed);
+      expect(treeData.annotationTableId).toBeNull();
+      expect(treeData.metadata.size).toBe(0);
+    });
+
+    it('should add a table with a column per annotation', () => {
+      const treeData = new TreeData(annotatedParsed);
+      const tableId = treeData.annotationTableId;
+      expect(treeData.metadataTableNames.get(tableId)).toBe('Tree annotations');
+      expect(treeData.columnName.get(`${tableId}_S`)).toBe('S');
+      expect(treeData.columnType.get(`${tableId}_S`)).toBe('categorical');
+      expect(treeData.columnType.get(`${tableId}_B`)).toBe('continuous');
+    });
+
+    it('should attach annotations to unnamed nodes', () => {
+      const treeData = new TreeData(annotatedParsed);
+      const tableId = treeData.annotationTableId;
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      expect(nodeA.metadata[`${tableId}_S`]).toBe('human');
+      expect(nodeA.parent.data.name).toBeUndefined();
+      expect(nodeA.parent.metadata[`${tableId}_B`]).toBe('90');
+    });
+
+    it('should not offer the node ID column for aesthetics', () => {
+      const treeData = new TreeData(annotatedParsed);
+      const idColumn = treeData.getNodeIdColumn(treeData.annotationTableId);
+      expect(treeData.columnDisplayName.has(idColumn)).toBe(false);
+    });
+
+    it('should keep numbering user tables from 1', () => {
+      const treeData = new TreeData(annotatedParsed, [metadataTable1]);
+      expect(treeData.getMetadataTableNames()).toEqual(['Tree annotations', 'Metadata 1']);
+    });
+
+    it('should replace the annotation table when the tree is set', () => {
+      const treeData = new TreeData(annotatedParsed);
+      treeData.setTree(parseNewick('(A[&rate=0.5],B[&rate=1.5]);'));
+      const tableId = treeData.annotationTableId;
+      expect(treeData.columnName.has(`${tableId}_S`)).toBe(false);
+      expect(treeData.columnType.get(`${tableId}_rate`)).toBe('continuous');
+    });
+  });
+
+  describe('support values', () => {
+    it('should add numeric internal node names as a support column', () => {
+      const treeData = new TreeData(parseNewick('((A,B)95:1,(C,D)70.5:1)100;'));
+      const supportColumn = `${treeData.annotationTableId}_support`;
+      expect(treeData.columnType.get(supportColumn)).toBe('continuous');
+      expect(treeData.tree.metadata[supportColumn]).toBe('100');
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      expect(nodeA.parent.metadata[supportColumn]).toBe('95');
+      expect(nodeA.parent.data.name).toBe('95');
+    });
+
+    it('should split slash-separated support values into multiple columns', () => {
+      const treeData = new TreeData(parseNewick('((A,B)85.2/90:1,(C,D)100/100:1);'));
+      const tableId = treeData.annotationTableId;
+      expect(treeData.columnName.get(`${tableId}_support_1`)).toBe('support_1');
+      expect(treeData.columnType.get(`${tableId}_support_2`)).toBe('continuous');
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      expect(nodeA.parent.metadata[`${tableId}_support_1`]).toBe('85.2');
+      expect(nodeA.parent.metadata[`${tableId}_support_2`]).toBe('90');
+    });
+
+    it('should not treat non-numeric internal node names as support values', () => {
+      const treeData = new TreeData(complexParsed);
+      expect(treeData.annotationTableId).toBeNull();
+      const mixed = new TreeData(parseNewick('((A,B)95,(C,D)clade1);'));
+      expect(mixed.annotationTableId).toBeNull();
+    });
   });
 
   describe('deleteTable', () => {
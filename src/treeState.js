@@ -1,8 +1,10 @@
-import { Subscribable } from './utils.js';
+import { Subscribable, getAllChildren, getParent, getAllNodes, getAllTips } from './utils.js';
 import { calculateScalingFactors, calculateCircularScalingFactors } from './scaling.js';
 import { NullScale } from './scales.js';
 import { TextSizeEstimator } from './textAspectRatioPrediction.js'
 import { cluster } from 'd3';
+import { AGGREGATION_METHODS } from './treeData.js';
+import { parseFilterExpression } from './parsers.js';
 
 export class TreeState extends Subscribable {
 
@@ -77,12 +79,107 @@ export class TreeState extends Subscribable {
       hasLegend: false,
       subset: 'all'
     },
+    branchColor: {
+      title: 'Branch color',
+      scaleType: 'color',
+      legendType: 'branchColor',
+      default: '#000000',
+      nullValue: '#808080',
+      otherCategory: '#555555',
+      downstream: [],
+      hasLegend: true,
+      subset: 'all',
+      propagateOption: 'propagateBranchColor'
+    },
+    branchWidth: {
+      title: 'Branch width',
+      scaleType: 'size',
+      legendType: 'branchWidth',
+      default: 1,
+      nullValue: 1,
+      isCategorical: false,
+      outputRange: [0.5, 3],
+      downstream: ['updateCoordinates'],
+      hasLegend: true,
+      subset: 'all'
+    },
+    nodeShape: {
+      title: 'Node shape',
+      scaleType: 'text',
+      legendType: 'nodeShape',
+      outputValues: ['circle', 'square', 'triangle', 'diamond', 'star'],
+      default: 'circle',
+      nullValue: 'circle',
+      otherCategory: 'star',
+      downstream: ['updateNodeShapeVisibility', 'updateCoordinates'],
+      hasLegend: true,
+      subset: 'all'
+    },
+    nodeShapeColor: {
+      title: 'Node shape color',
+      scaleType: 'color',
+      legendType: 'nodeShapeColor',
+      default: '#000000',
+      nullValue: '#808080',
+      otherCategory: '#555555',
+      downstream: ['updateNodeShapeVisibility', 'updateCoordinates'],
+      hasLegend: true,
+      subset: 'all'
+    },
+    nodeShapeSize: {
+      title: 'Node shape size',
+      scaleType: 'size',
+      legendType: 'nodeShapeSize',
+      default: 1,
+      nullValue: 1,
+      isCategorical: false,
+      outputRange: [0.5, 2],
+      downstream: ['updateNodeShapeVisibility', 'updateCoordinates'],
+      hasLegend: true,
+      subset: 'all'
+    },
+  }
+
+  #HEATMAP_AESTHETIC = {
+    scaleType: 'color',
+    default: '#FFFFFF',
+    nullValue: '#DDDDDD',
+    otherCategory: '#555555',
+    subset: 'all'
+  }
+
+  #COMPOSITION_AESTHETIC = {
+    scaleType: 'color',
+    default: '#FFFFFF',
+    nullValue: '#DDDDDD',
+    otherCategory: '#555555',
+    subset: 'tips'
   }
 
+  #CLADE_STRIP_AESTHETIC = {
+    scaleType: 'color',
+    default: '#FFFFFF',
+    nullValue: '#DDDDDD',
+    otherCategory: '#555555',
+    subset: 'tips'
+  }
+
+  #HIGHLIGHT_COLORS = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7'];
+
+  // Settings saved in the undo history, along with which nodes are collapsed, hidden or rotated
+  #HISTORY_STATE_KEYS = [
+    'layout', 'aesthetics', 'aestheticAggregations', 'branchLengthScale', 'treeHeightScale', 'propagateBranchColor',
+    'heatmapColumns', 'compositionColumn', 'compositionStyle', 'compositionNodes', 'highlights', 'cladeStrips',
+    'cladeStripStyle', 'filter', 'childOrder', 'childOrderColumn', 'childOrderDescending'
+  ];
+  #HISTORY_LIMIT = 100; // Number of changes that can be undone
+  #HISTORY_MERGE_MS = 1000; // Repeated changes of a slider closer together than this are undone at once
+
   state = {
     treeData: null,
     layout: 'rectangular',
     aesthetics: Object.fromEntries(Object.keys(this.#AESTHETICS).map(key => [key, undefined])),
+    aestheticAggregations: {}, // Map of aesthetic ID to a method for summarizing tip values at internal nodes
     viewWidth: 800,
     viewHeight: 600,
     labelSpacing: 0.1,
@@ -98,6 +195,29 @@ export class TreeState extends Subscribable {
     collapsedRootLineProp: 0.05,
     branchLengthScale: 1,
     treeHeightScale: 1,
+    propagateBranchColor: true,
+    nodeShapeSizeScale: 0.6,
+    heatmapColumns: [],
+    heatmapCellWidth: 1,
+    heatmapOffset: 0.5,
+    heatmapHeaderSizeScale: 0.8,
+    compositionColumn: null,
+    compositionStyle: 'pie', // 'pie' or 'bar', with bars only used in rectangular layouts
+    compositionNodes: 'all', // 'all' internal nodes or only 'collapsed' clades
+    compositionSizeScale: 1.2,
+    highlights: [], // Clades drawn with a shaded background, as {nodeId, label, color, tips}
+    highlightOpacity: 0.25,
+    highlightLabelSizeScale: 0.8,
+    cladeStrips: null, // Categorical column ID, or array of {label, tips, color} groups
+    cladeStripStyle: 'strip', // 'strip' for colored bars or 'bracket' for lines
+    cladeStripOffset: 0.5,
+    cladeStripWidth: 0.4,
+    cladeStripLabelOffset: 0.3,
+    cladeStripLabelSizeScale: 0.8,
+    filter: null, // Expression hiding tips whose metadata does not pass it, see setFilter
+    childOrder: 'ladderizeDown', // How the children of each node are ordered, see setChildOrder
+    childOrderColumn: null,
+    childOrderDescending: false,
   }
 
   textSizeEstimator;
@@ -107,7 +227,23 @@ export class TreeState extends Subscribable {
   branchLenToPxFactor;
   labelSizeToPxFactor;
   aestheticsScales = {};
+  heatmapScales = [];
+  heatmapLayout = null;
+  compositionScale = null;
+  cladeStripScale = null;
+  cladeStripLayout = null;
+  search = { query: '', field: 'name', regex: false, error: null };
+  searchMatches = [];
+  filteredTipCount = 0;
   legends = [];
+  #heatmapSubscriptions = [];
+  #compositionSubscription = null;
+  #cladeStripSubscription = null;
+  #cladeStripGroups = [];
+  #filteredNodes = []; // Nodes hidden by the current filter, in the order they were hidden
+  #undoStack = []; // Changes that can be undone, as {label, snapshot, time} with the snapshot from before the change
+  #redoStack = []; // Changes that were undone, with the snapshot from before they were undone
+  #historyDepth = 0; // Changes made while above 0 are part of another change or are not recorded
 
 
   constructor(state = {}, textSizeEstimator = new TextSizeEstimator()) {
@@ -125,17 +261,20 @@ export class TreeState extends Subscribable {
 
     // Apply received state by overwriting defualt values
     state.aesthetics = { ...this.state.aesthetics, ...state.aesthetics };
+    state.aestheticAggregations = { ...this.state.aestheticAggregations, ...state.aestheticAggregations };
     this.state = { ...this.state, ...state };
 
     // Initialize values derived from state
     this.textSizeEstimator = textSizeEstimator;
-    this.#initalize();
+    this.#withoutHistory(() => this.#initalize());
 
-    // Watch for changes to the upderlying tree data or settings
-    this.state.treeData.subscribe('treeUpdate', () => {
-      this.#initalize();
+    // Watch for changes to the upderlying tree data or settings. Nodes are replaced when the tree
+    // changes, such as when it is rerooted, so earlier changes can no longer be undone.
+    this.state.treeData.subscribe('treeUpdated', () => {
+      this.#withoutHistory(() => this.#initalize());
+      this.clearHistory();
     })
-    this.state.treeData.subscribe('metadataChanged', (info) => {
+    this.state.treeData.subscribe('metadataChanged', (info) => this.#withoutHistory(() => {
       if (info.columnIds && Array.isArray(info.columnIds)) {
         if (info.requiresAestheticRefresh) {
           // When node ID column changes, we need to refresh all aesthetics that use columns from this table
@@ -155,14 +294,69 @@ export class TreeState extends Subscribable {
           // For other metadata changes (like table deletion), reset affected aesthetics to undefined
           this.setAesthetics(Object.fromEntries(info.columnIds.map(key => [key, undefined])));
         }
+
+        // Refresh or remove heatmap columns that use the changed columns
+        const heatmapColumns = this.state.heatmapColumns;
+        if (heatmapColumns.some(columnId => info.columnIds.includes(columnId))) {
+          if (info.requiresAestheticRefresh) {
+            this.setHeatmapColumns(heatmapColumns, true);
+          } else {
+            this.setHeatmapColumns(heatmapColumns.filter(columnId => !info.columnIds.includes(columnId)));
+          }
+        }
+
+        // Refresh or remove composition charts that use the changed columns
+        if (info.columnIds.includes(this.state.compositionColumn)) {
+          this.setCompositionColumn(info.requiresAestheticRefresh ? this.state.compositionColumn : null, true);
+        }
+
+        // Refresh or remove clade strips that use the changed columns
+        if (info.columnIds.includes(this.state.cladeStrips)) {
+          this.setCladeStrips(info.requiresAestheticRefresh ? this.state.cladeStrips : null, true);
+        }
+
+        // Reorder the tree if it is ordered by a changed column
+        if (this.state.childOrder === 'column' && info.columnIds.includes(this.state.childOrderColumn)) {
+          if (info.requiresAestheticRefresh) {
+            this.setChildOrder('column', { columnId: this.state.childOrderColumn, descending: this.state.childOrderDescending });
+          } else {
+            this.setChildOrder('ladderizeDown');
+          }
+        }
       }
-    })
+    }))
   }
 
   #initalize() {
     this.displayedRoot = this.state.treeData.tree;
+    if (this.state.childOrder === 'column' && !this.state.treeData.columnType.has(this.state.childOrderColumn)) {
+      this.state.childOrder = 'ladderizeDown';
+      this.state.childOrderColumn = null;
+    }
+    this.#sortChildren();
     this.updateLayout();
+    if (this.state.filter) {
+      try {
+        this.setFilter(this.state.filter);
+      } catch (error) {
+        console.warn(`Ignoring invalid filter: ${error.message}`);
+        this.state.filter = null;
+      }
+    }
     this.setAesthetics(this.state.aesthetics, true);
+    this.setHeatmapColumns(this.state.heatmapColumns, true);
+    this.setCompositionColumn(this.state.compositionColumn, true);
+    this.setCladeStrips(this.state.cladeStrips, true);
+
+    // Nodes are replaced when the tree changes, such as when it is rerooted, so highlights are
+    // found again from their tips and the search is repeated
+    this.state.highlights = this.state.highlights
+      .map(highlight => highlight.tips ? { ...highlight, nodeId: this.findMrca(highlight.tips)?.id } : highlight)
+      .filter(highlight => highlight.nodeId !== undefined);
+    this.notify('highlightsChange');
+    if (this.search.query) {
+      this.searchTips(this.search.query, this.search);
+    }
   }
 
   setLayout(layout, force = false) {
@@ -173,9 +367,11 @@ export class TreeState extends Subscribable {
     }
 
     if (force || this.state.layout !== layout) {
-      this.state.layout = layout;
-      this.update();
-      this.notify('layoutChange', { layout });
+      this.#recordHistory('Change layout', () => {
+        this.state.layout = layout;
+        this.update();
+        this.notify('layoutChange', { layout });
+      }, { settingsOnly: true });
     }
   }
 
@@ -185,9 +381,11 @@ export class TreeState extends Subscribable {
       return;
     }
 
-    this.state.branchLengthScale = scale;
-    this.updateCoordinates();
-    this.notify('branchLengthScaleChange', { scale });
+    this.#recordHistory('Change branch length scale', () => {
+      this.state.branchLengthScale = scale;
+      this.updateCoordinates();
+      this.notify('branchLengthScaleChange', { scale });
+    }, { merge: true, settingsOnly: true });
   }
 
   setTreeHeightScale(scale) {
@@ -196,272 +394,1792 @@ export class TreeState extends Subscribable {
       return;
     }
 
-    this.state.treeHeightScale = scale;
-    this.updateCoordinates();
-    this.notify('treeHeightScaleChange', { scale });
+    this.#recordHistory('Change tree height scale', () => {
+      this.state.treeHeightScale = scale;
+      this.updateCoordinates();
+      this.notify('treeHeightScaleChange', { scale });
+    }, { merge: true, settingsOnly: true });
+  }
+
+  setAesthetics(values, force = false) {
+    this.#recordHistory('Change aesthetics', () => {
+      const downstreams = new Set();
+      let legendsChanged = false;
+
+      for (const [aestheticId, columnId] of Object.entries(values)) {
+        const aesData = this.#AESTHETICS[aestheticId];
+        if (!aesData) {
+          console.warn(`Unknown aesthetic: ${aestheticId}`);
+          continue;
+        }
+
+        if (force || columnId !== this.state.aesthetics[aestheticId]) {
+          // Record the name of the defined aesthetic
+          this.state.aesthetics[aestheticId] = columnId;
+
+          // Update the aesthetic for the column
+          if (!columnId) {
+            this.aestheticsScales[aestheticId] = new NullScale({ default: aesData.default });
+          } else {
+            // Get or create the aesthetic with default state from #AESTHETICS. Scales for aggregated
+            // columns are made from the values of all nodes, since internal nodes can be outside the range of tips.
+            const dataColumnId = this.#getAestheticDataColumn(aestheticId, columnId);
+            const aesState = dataColumnId === columnId ? aesData : { ...aesData, subset: 'all' };
+            this.aestheticsScales[aestheticId] = this.state.treeData.getAesthetic(dataColumnId, aestheticId, aesState);
+
+            // Subscribe to palette changes to update tree data
+            this.aestheticsScales[aestheticId].subscribe('aestheticChange', () => {
+              this.#updateTreeDataForAesthetic(aestheticId, columnId);
+              this.#updateLegends();
+              this.notify(`${aestheticId}Change`);
+            });
+          }
+
+          // Update the tree data directly modified by the aesthetic
+          this.#updateTreeDataForAesthetic(aestheticId, columnId);
+
+          // Record any functions to call later in a unique list
+          for (const methodName of aesData.downstream) {
+            downstreams.add(methodName);
+          }
+
+          // Check if this aesthetic has a legend
+          if (aesData.hasLegend) {
+            legendsChanged = true;
+          }
+        }
+
+        // notify subscribers of change to aesthetic
+        this.notify(`${aestheticId}Change`);
+      }
+
+      // Update legends if any aesthetic with a legend changed
+      if (legendsChanged) {
+        this.#updateLegends();
+      }
+
+      // Call all unique functions needed to update downstream data from all the aesthetics applied
+      // Coordinates are updated last since they depend on the other downstream data
+      if (downstreams.delete('updateCoordinates')) {
+        downstreams.add('updateCoordinates');
+      }
+      for (const methodName of downstreams) {
+        this[methodName]();
+      }
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Update tree data for a specific aesthetic
+   * @private
+   */
+  #updateTreeDataForAesthetic(aestheticId, columnId) {
+    const aesData = this.#AESTHETICS[aestheticId];
+    const dataColumnId = this.#getAestheticDataColumn(aestheticId, columnId);
+    const isAggregated = dataColumnId !== columnId;
+
+    this.state.treeData.tree.each(d => {
+      if (columnId && columnId !== null && columnId !== undefined) {
+        // Scales for tip aesthetics only know the values of tips, unless they are aggregated
+        const inSubset = aesData.subset !== 'tips' || !d.children || isAggregated;
+        if (d.metadata && inSubset) {
+          d[aestheticId] = this.aestheticsScales[aestheticId].getValue(d.metadata[dataColumnId]);
+        } else {
+          d[aestheticId] = aesData.default;
+        }
+      } else {
+        d[aestheticId] = this.aestheticsScales[aestheticId].getValue();
+      }
+    });
+
+    // Internal nodes without their own value can use the value shared by all of their tips
+    if (columnId && !isAggregated && aesData.propagateOption && this.state[aesData.propagateOption]) {
+      this.#propagateAestheticToInternalNodes(aestheticId, columnId);
+    }
+  }
+
+  /**
+   * Get the column whose values are used for an aesthetic, which is an aggregate column if the
+   * aesthetic summarizes the values of descendant tips
+   * @private
+   */
+  #getAestheticDataColumn(aestheticId, columnId) {
+    const method = this.state.aestheticAggregations[aestheticId];
+    const columnType = this.state.treeData.columnType.get(columnId);
+    if (!columnId || !method || !AGGREGATION_METHODS[columnType]?.includes(method)) {
+      return columnId;
+    }
+    return this.state.treeData.getAggregateColumn(columnId, method) ?? columnId;
+  }
+
+  /**
+   * Set how an aesthetic summarizes the values of the descendant tips of each node, so that internal
+   * nodes and collapsed clades can show the summary. Methods that do not fit the type of the column
+   * mapped to the aesthetic are kept but not used until a column of the right type is mapped.
+   * @param {string} aestheticId - The aesthetic ID
+   * @param {string|null} method - One of AGGREGATION_METHODS, or null to use the values of each node
+   */
+  setAestheticAggregation(aestheticId, method = null) {
+    if (!this.#AESTHETICS[aestheticId]) {
+      console.warn(`Unknown aesthetic: ${aestheticId}`);
+      return;
+    }
+    if (method && !Object.values(AGGREGATION_METHODS).flat().includes(method)) {
+      console.warn(`Unknown aggregation method: ${method}`);
+      return;
+    }
+
+    this.#recordHistory('Change clade summary', () => {
+      if (method) {
+        this.state.aestheticAggregations[aestheticId] = method;
+      } else {
+        delete this.state.aestheticAggregations[aestheticId];
+      }
+      this.setAesthetics({ [aestheticId]: this.state.aesthetics[aestheticId] }, true);
+      this.notify('aestheticAggregationChange', { aestheticId, method });
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Apply the value shared by all descendant tips to internal nodes with no value of their own
+   * @private
+   */
+  #propagateAestheticToInternalNodes(aestheticId, columnId) {
+    const mixed = Symbol('mixed');
+    const isMissing = value => value === undefined || value === null || value === '';
+    const scale = this.aestheticsScales[aestheticId];
+
+    // Hidden and collapsed subtrees are included so colors do not change when they are shown again
+    const getSharedValue = (d) => {
+      const ownValue = d.metadata ? d.metadata[columnId] : undefined;
+      const children = getAllChildren(d);
+      if (children.length === 0) {
+        return isMissing(ownValue) ? mixed : ownValue;
+      }
+
+      const childValues = children.map(getSharedValue);
+      const sharedValue = childValues.every(value => value === childValues[0]) ? childValues[0] : mixed;
+      if (sharedValue !== mixed && isMissing(ownValue)) {
+        d[aestheticId] = scale.getValue(sharedValue);
+      }
+      return sharedValue;
+    };
+    getSharedValue(this.state.treeData.tree);
+  }
+
+  /**
+   * Set whether internal branches take the color shared by all of their descendant tips
+   * @param {boolean} propagate - Whether to propagate branch colors to internal nodes
+   */
+  setPropagateBranchColor(propagate) {
+    this.#recordHistory('Change branch color propagation', () => {
+      this.state.propagateBranchColor = propagate;
+      this.#updateTreeDataForAesthetic('branchColor', this.state.aesthetics.branchColor);
+      this.notify('branchColorChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Set the metadata columns shown as a heatmap next to the tips
+   * @param {Array<string>} columnIds - Column IDs in the order they should be drawn
+   * @param {boolean} force - Recreate the scales even if the columns have not changed
+   */
+  setHeatmapColumns(columnIds = [], force = false) {
+    const validColumnIds = columnIds.filter(columnId => {
+      if (!this.state.treeData.columnType.has(columnId)) {
+        console.warn(`Unknown heatmap column: ${columnId}`);
+        return false;
+      }
+      return true;
+    });
+
+    const oldColumnIds = this.state.heatmapColumns;
+    const unchanged = validColumnIds.length === oldColumnIds.length &&
+      validColumnIds.every((columnId, i) => columnId === oldColumnIds[i]);
+    if (!force && unchanged) {
+      return;
+    }
+
+    this.#recordHistory('Change heatmap columns', () => {
+      // Stop listening to scales that are no longer used
+      this.#heatmapSubscriptions.forEach(unsubscribe => unsubscribe());
+      this.#heatmapSubscriptions = [];
+
+      // Get or create a color scale for each column
+      this.state.heatmapColumns = validColumnIds;
+      this.heatmapScales = validColumnIds.map(columnId => {
+        const aesthetic = this.state.treeData.getAesthetic(columnId, 'heatmap', {
+          ...this.#HEATMAP_AESTHETIC,
+          title: this.state.treeData.columnDisplayName.get(columnId) || columnId
+        });
+        this.#heatmapSubscriptions.push(aesthetic.subscribe('aestheticChange', () => {
+          this.#updateHeatmapData();
+          this.#updateLegends();
+          this.notify('heatmapChange');
+        }));
+        return aesthetic;
+      });
+
+      this.#updateHeatmapData();
+      this.#updateLegends();
+      this.updateCoordinates();
+      this.notify('heatmapChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Set the categorical column whose proportions among the descendant tips of each clade are drawn
+   * as a small chart on its node, using the same kind of color scale and legend as other aesthetics
+   * @param {string|null} columnId - Categorical column ID, or null to remove the charts
+   * @param {boolean} force - Recreate the scale even if the column has not changed
+   */
+  setCompositionColumn(columnId = null, force = false) {
+    if (columnId && this.state.treeData.columnType.get(columnId) !== 'categorical') {
+      console.warn(`Composition charts need a categorical column: ${columnId}`);
+      return;
+    }
+    if (!force && columnId === this.state.compositionColumn) {
+      return;
+    }
+
+    this.#recordHistory('Change composition chart column', () => {
+      // Stop listening to the scale of the previous column
+      if (this.#compositionSubscription) {
+        this.#compositionSubscription();
+        this.#compositionSubscription = null;
+      }
+
+      this.state.compositionColumn = columnId;
+      this.compositionScale = null;
+      if (columnId) {
+        this.compositionScale = this.state.treeData.getAesthetic(columnId, 'composition', {
+          ...this.#COMPOSITION_AESTHETIC,
+          title: this.state.treeData.columnDisplayName.get(columnId) || columnId
+        });
+        this.#compositionSubscription = this.compositionScale.subscribe('aestheticChange', () => {
+          this.#updateCompositionData();
+          this.#updateLegends();
+          this.notify('compositionChange');
+        });
+      }
+
+      this.#updateCompositionData();
+      this.#updateLegends();
+      this.updateCoordinates();
+      this.notify('compositionChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Set how composition charts are drawn
+   * @param {string} style - 'pie' for pie charts, or 'bar' for stacked bars in rectangular layouts
+   */
+  setCompositionStyle(style) {
+    if (!['pie', 'bar'].includes(style)) {
+      console.warn(`Invalid composition chart style: ${style}`);
+      return;
+    }
+
+    this.#recordHistory('Change composition chart style', () => {
+      this.state.compositionStyle = style;
+      this.notify('compositionChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Set which nodes have composition charts
+   * @param {string} nodes - 'all' for every internal node, or 'collapsed' for only collapsed clades
+   */
+  setCompositionNodes(nodes) {
+    if (!['all', 'collapsed'].includes(nodes)) {
+      console.warn(`Invalid composition chart nodes: ${nodes}`);
+      return;
+    }
+
+    this.#recordHistory('Change composition chart nodes', () => {
+      this.state.compositionNodes = nodes;
+      this.updateCoordinates();
+      this.notify('compositionChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Store the number of descendant tips in each category of the composition column on each
+   * internal node, ordered like the legend, with tips missing a value counted last
+   * @private
+   */
+  #updateCompositionData() {
+    const columnId = this.state.compositionColumn;
+    const scale = this.compositionScale;
+    const categoryOrder = new Map((scale?.scale.categories || []).map((category, i) => [category, i]));
+    const getOrder = category => category === null ? Infinity : categoryOrder.get(category) ?? categoryOrder.size;
+    const isMissing = value => value === undefined || value === null || value === '';
+
+    // Hidden and collapsed subtrees are included so the charts do not change when they are shown again
+    const countTips = (d) => {
+      const children = getAllChildren(d);
+      d.composition = null;
+      if (children.length === 0) {
+        const value = d.metadata ? d.metadata[columnId] : undefined;
+        return new Map([[isMissing(value) ? null : value, 1]]);
+      }
+
+      const counts = new Map();
+      for (const child of children) {
+        for (const [category, count] of countTips(child)) {
+          counts.set(category, (counts.get(category) || 0) + count);
+        }
+      }
+      const total = [...counts.values()].reduce((a, b) => a + b, 0);
+      d.composition = [...counts.entries()]
+        .sort((a, b) => getOrder(a[0]) - getOrder(b[0]))
+        .map(([category, count]) => ({
+          category,
+          count,
+          proportion: count / total,
+          color: scale.getValue(category ?? undefined)
+        }));
+      return counts;
+    };
+
+    if (columnId && scale) {
+      countTips(this.state.treeData.tree);
+    } else {
+      this.state.treeData.tree.each(d => {
+        d.composition = null;
+      });
+    }
+  }
+
+  /**
+   * Look up the column and scale an aesthetic ID refers to
+   * Heatmap columns are referred to as `heatmap:<index>`, composition charts as `composition`, and
+   * clade strips made from a column as `cladeStrips`
+   * @param {string} aestheticId - The aesthetic ID
+   * @returns {{columnId: string|undefined, aesthetic: Aesthetic|undefined}}
+   */
+  getAestheticMapping(aestheticId) {
+    if (aestheticId === 'composition') {
+      return {
+        columnId: this.state.compositionColumn,
+        aesthetic: this.compositionScale ?? undefined
+      };
+    }
+    if (aestheticId === 'cladeStrips') {
+      return {
+        columnId: this.cladeStripScale ? this.state.cladeStrips : undefined,
+        aesthetic: this.cladeStripScale ?? undefined
+      };
+    }
+    const heatmapMatch = /^heatmap:(\d+)$/.exec(aestheticId);
+    if (heatmapMatch) {
+      const index = Number(heatmapMatch[1]);
+      return {
+        columnId: this.state.heatmapColumns[index],
+        aesthetic: this.heatmapScales[index]
+      };
+    }
+    return {
+      columnId: this.state.aesthetics[aestheticId],
+      aesthetic: this.aestheticsScales[aestheticId]
+    };
+  }
+
+  /**
+   * Store the heatmap cell colors on each node
+   * @private
+   */
+  #updateHeatmapData() {
+    this.state.treeData.tree.each(d => {
+      d.heatmapColors = this.heatmapScales.map((scale, i) => {
+        return scale.getValue(d.metadata ? d.metadata[this.state.heatmapColumns[i]] : undefined);
+      });
+    });
+  }
+
+  /**
+   * Width of annotations drawn after the tip labels, in units of label size
+   * @returns {number}
+   */
+  getTipAnnotationWidth() {
+    let width = 0;
+    const nColumns = this.state.heatmapColumns.length;
+    if (nColumns > 0) {
+      width += this.state.heatmapOffset + nColumns * this.state.heatmapCellWidth;
+    }
+    if (this.#cladeStripGroups.length > 0) {
+      const labelWidth = Math.max(...this.#cladeStripGroups.map(group => {
+        return this.textSizeEstimator.getRelativeTextSize(group.label).width;
+      }));
+      width += this.state.cladeStripOffset + this.state.cladeStripWidth + this.state.cladeStripLabelOffset +
+        labelWidth * this.state.cladeStripLabelSizeScale;
+    }
+    return width;
+  }
+
+  /**
+   * Set the groups of tips marked by labeled strips or brackets past the tip labels
+   * @param {string|Array<Object>|null} source - A categorical column ID, with one group per value, or
+   *   an array of groups as `{label, tips, color}`, where `tips` is a list of tip names. Null removes the strips.
+   * @param {boolean} force - Rebuild the groups even if the source has not changed
+   */
+  setCladeStrips(source = null, force = false) {
+    const isColumn = typeof source === 'string';
+    if (isColumn && this.state.treeData.columnType.get(source) !== 'categorical') {
+      console.warn(`Clade strips need a categorical column: ${source}`);
+      return;
+    }
+    if (source !== null && !isColumn && !Array.isArray(source)) {
+      console.warn('Clade strips must be a column ID or an array of groups');
+      return;
+    }
+    if (!force && source === this.state.cladeStrips) {
+      return;
+    }
+
+    this.#recordHistory('Change clade strips', () => {
+      // Stop listening to the scale of the previous column
+      if (this.#cladeStripSubscription) {
+        this.#cladeStripSubscription();
+        this.#cladeStripSubscription = null;
+      }
+
+      this.state.cladeStrips = source;
+      this.cladeStripScale = null;
+      if (isColumn) {
+        this.cladeStripScale = this.state.treeData.getAesthetic(source, 'cladeStrip', {
+          ...this.#CLADE_STRIP_AESTHETIC,
+          title: this.state.treeData.columnDisplayName.get(source) || source
+        });
+        this.#cladeStripSubscription = this.cladeStripScale.subscribe('aestheticChange', () => {
+          this.#updateCladeStripGroups();
+          this.updateCoordinates();
+          this.notify('cladeStripsChange');
+        });
+      }
+
+      this.#updateCladeStripGroups();
+      this.updateCoordinates();
+      this.notify('cladeStripsChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Set how clade strips are drawn
+   * @param {string} style - 'strip' for colored bars, or 'bracket' for lines
+   */
+  setCladeStripStyle(style) {
+    if (!['strip', 'bracket'].includes(style)) {
+      console.warn(`Invalid clade strip style: ${style}`);
+      return;
+    }
+
+    this.#recordHistory('Change clade strip style', () => {
+      this.state.cladeStripStyle = style;
+      this.notify('cladeStripsChange');
+    }, { settingsOnly: true });
+  }
+
+  /**
+   * Make the list of clade strip groups, each with a label, a color, and a test for which tips it contains
+   * @private
+   */
+  #updateCladeStripGroups() {
+    const source = this.state.cladeStrips;
+    if (typeof source === 'string') {
+      const scale = this.cladeStripScale;
+      this.#cladeStripGroups = (scale.scale.categories || []).map(category => ({
+        label: String(category),
+        color: scale.getValue(category),
+        contains: tip => tip.metadata?.[source] === category
+      }));
+    } else if (Array.isArray(source)) {
+      this.#cladeStripGroups = source.map((group, i) => {
+        const tipNames = new Set(group.tips || []);
+        return {
+          label: group.label ?? '',
+          color: group.color ?? this.#HIGHLIGHT_COLORS[i % this.#HIGHLIGHT_COLORS.length],
+          contains: tip => tipNames.has(tip.data.name)
+        };
+      });
+    } else {
+      this.#cladeStripGroups = [];
+    }
+  }
+
+  /**
+   * Calculate where clade strips are drawn, past the tip labels and heatmap. Each strip covers a run
+   * of adjacent displayed tips in the same group, and collapsed clades are in a group if all of their tips are.
+   * @private
+   */
+  #updateCladeStripCoordinates() {
+    if (this.#cladeStripGroups.length === 0) {
+      this.cladeStripLayout = null;
+      return;
+    }
+
+    // Find runs of adjacent displayed tips in each group
+    const leaves = this.displayedRoot.leaves();
+    const leafTips = leaves.map(d => getAllTips(d));
+    const runs = [];
+    this.#cladeStripGroups.forEach(group => {
+      let start = null;
+      leaves.forEach((d, i) => {
+        const inGroup = leafTips[i].length > 0 && leafTips[i].every(group.contains);
+        if (inGroup && start === null) {
+          start = i;
+        }
+        if (start !== null && (!inGroup || i === leaves.length - 1)) {
+          runs.push({ group, start, end: inGroup ? i : i - 1 });
+          start = null;
+        }
+      });
+    });
+    runs.sort((a, b) => a.start - b.start);
+
+    const stripWidthPx = this.state.cladeStripWidth * this.labelSizeToPxFactor;
+    const offsetPx = this.state.cladeStripOffset * this.labelSizeToPxFactor;
+    const labelOffsetPx = this.state.cladeStripLabelOffset * this.labelSizeToPxFactor;
+    const labelSizePx = this.state.cladeStripLabelSizeScale * this.labelSizeToPxFactor;
+    const labelWidthPx = Math.max(...this.#cladeStripGroups.map(group => {
+      return this.textSizeEstimator.getRelativeTextSize(group.label).width * labelSizePx;
+    }));
+    const heatmapLayout = this.heatmapLayout;
+
+    if (this.state.layout === 'circular') {
+      let startRadius = Math.max(...leaves.map(d => d.bounds.maxRadius));
+      if (heatmapLayout) {
+        startRadius = heatmapLayout.startRadius + this.state.heatmapColumns.length * heatmapLayout.cellWidthPx;
+      }
+      startRadius += offsetPx;
+      const cellAngle = Math.PI * 2 / leaves.length;
+      const gapAngle = cellAngle * 0.1;
+      const endRadius = startRadius + stripWidthPx + labelOffsetPx + labelWidthPx;
+      this.cladeStripLayout = {
+        stripWidthPx,
+        labelSizePx,
+        segments: runs.map(({ group, start, end }) => {
+          const startAngle = leaves[start].angle - cellAngle / 2 + gapAngle;
+          const endAngle = leaves[end].angle + cellAngle / 2 - gapAngle;
+          return {
+            label: group.label,
+            color: group.color,
+            innerRadius: startRadius,
+            outerRadius: startRadius + stripWidthPx,
+            startAngle,
+            endAngle,
+            labelRadius: startRadius + stripWidthPx + labelOffsetPx,
+            labelAngle: (startAngle + endAngle) / 2
+          };
+        }),
+        bounds: { minX: -endRadius, maxX: endRadius, minY: -endRadius, maxY: endRadius }
+      };
+    } else {
+      let startX = Math.max(...leaves.map(d => d.bounds.maxX));
+      if (heatmapLayout) {
+        startX = heatmapLayout.bounds.maxX;
+      }
+      startX += offsetPx;
+      const cellHeightPx = this.labelSizeToPxFactor * (1 + this.state.labelSpacing) * this.state.treeHeightScale;
+      const gapPx = cellHeightPx * 0.1;
+      this.cladeStripLayout = {
+        stripWidthPx,
+        labelSizePx,
+        segments: runs.map(({ group, start, end }) => {
+          const y1 = leaves[start].yPx - cellHeightPx / 2 + gapPx;
+          const y2 = leaves[end].yPx + cellHeightPx / 2 - gapPx;
+          return {
+            label: group.label,
+            color: group.color,
+            x: startX,
+            y1,
+            y2,
+            labelX: startX + stripWidthPx + labelOffsetPx,
+            labelY: (y1 + y2) / 2
+          };
+        }),
+        bounds: {
+          minX: startX,
+          maxX: startX + stripWidthPx + labelOffsetPx + labelWidthPx,
+          minY: Math.min(...leaves.map(d => d.yPx)) - cellHeightPx / 2,
+          maxY: Math.max(...leaves.map(d => d.yPx)) + cellHeightPx / 2
+        }
+      };
+    }
+  }
+
+  /**
+   * Calculate where the heatmap is drawn, aligned just past the longest tip label
+   * @private
+   */
+  #updateHeatmapCoordinates() {
+    const nColumns = this.state.heatmapColumns.length;
+    if (nColumns === 0) {
+      this.heatmapLayout = null;
+      return;
+    }
+
+    const leaves = this.displayedRoot.leaves();
+    const cellWidthPx = this.state.heatmapCellWidth * this.labelSizeToPxFactor;
+    const offsetPx = this.state.heatmapOffset * this.labelSizeToPxFactor;
+
+    if (this.state.layout === 'circular') {
+      const startRadius = Math.max(...leaves.map(d => d.bounds.maxRadius)) + offsetPx;
+      const endRadius = startRadius + nColumns * cellWidthPx;
+      this.heatmapLayout = {
+        leaves,
+        cellWidthPx,
+        cellAngle: Math.PI * 2 / leaves.length,
+        startRadius,
+        headers: [],
+        bounds: { minX: -endRadius, maxX: endRadius, minY: -endRadius, maxY: endRadius }
+      };
+    } else {
+      const startX = Math.max(...leaves.map(d => d.bounds.maxX)) + offsetPx;
+      const cellHeightPx = this.labelSizeToPxFactor * (1 + this.state.labelSpacing) * this.state.treeHeightScale;
+      const minY = Math.min(...leaves.map(d => d.yPx)) - cellHeightPx / 2;
+      const maxY = Math.max(...leaves.map(d => d.yPx)) + cellHeightPx / 2;
+
+      // Column names are drawn vertically above each column
+      const headerSizePx = this.labelSizeToPxFactor * this.state.heatmapHeaderSizeScale;
+      const headers = this.state.heatmapColumns.map((columnId, i) => {
+        const text = this.state.treeData.columnDisplayName.get(columnId) || columnId;
+        return {
+          columnId,
+          text,
+          x: startX + (i + 0.5) * cellWidthPx,
+          y: minY - headerSizePx * 0.3,
+          sizePx: headerSizePx,
+          widthPx: this.textSizeEstimator.getRelativeTextSize(text).width * headerSizePx
+        };
+      });
+      const headerHeightPx = Math.max(...headers.map(h => h.widthPx)) + headerSizePx * 0.3;
+
+      this.heatmapLayout = {
+        leaves,
+        cellWidthPx,
+        cellHeightPx,
+        startX,
+        headers,
+        bounds: { minX: startX, maxX: startX + nColumns * cellWidthPx, minY: minY - headerHeightPx, maxY }
+      };
+    }
+  }
+
+  #updateLegends() {
+    // Clear existing legends
+    this.legends = [];
+
+    // Create legends for each aesthetic that has one and is not using the default
+    for (const [aestheticId, columnId] of Object.entries(this.state.aesthetics)) {
+      const aesData = this.#AESTHETICS[aestheticId];
+
+      // Skip if no legend for this aesthetic or using default (undefined/null)
+      if (!aesData.hasLegend || !columnId) {
+        continue;
+      }
+
+      // Get the aesthetic scale
+      const aesthetic = this.aestheticsScales[aestheticId];
+      if (!aesthetic) {
+        continue;
+      }
+
+      this.legends.push({
+        aestheticId,
+        aesthetic,
+        type: aesData.legendType || aesData.scaleType
+      });
+    }
+
+    // Each heatmap column has its own color legend
+    this.heatmapScales.forEach((aesthetic, i) => {
+      this.legends.push({
+        aestheticId: `heatmap:${i}`,
+        aesthetic,
+        type: 'color'
+      });
+    });
+
+    // Composition charts share a color legend
+    if (this.compositionScale) {
+      this.legends.push({
+        aestheticId: 'composition',
+        aesthetic: this.compositionScale,
+        type: 'color'
+      });
+    }
+
+    // Notify that legends have changed
+    this.notify('legendsChange');
+  }
+
+  setTargetTreeDimensions(width, height) {
+    this.state.viewWidth = width;
+    this.state.viewHeight = height;
+    this.updateCoordinates();
+  }
+
+  collapseSubtree(node) {
+    if (!node) {
+      console.warn('Tried to collapse non-existant node');
+      return;
+    }
+    if (!node.children) {
+      console.warn('Tried to collapse node with no children');
+      return;
+    }
+
+    this.#recordHistory('Collapse clade', () => {
+      node.collapsedChildren = node.children;
+      delete node.children;
+
+      this.update();
+    });
+  }
+
+  expandSubtree(node) {
+    if (!node || !node.collapsedChildren) return;
+
+    this.#recordHistory('Expand clade', () => {
+      node.children = node.collapsedChildren;
+      delete node.collapsedChildren;
+
+      this.update();
+    });
+  }
+
+  /**
+   * Order the children of every node in the tree, moving the tips with a transition
+   * @param {string} order - How to order children:
+   *   - 'ladderizeDown': smaller clades above larger ones (the default)
+   *   - 'ladderizeUp': larger clades above smaller ones
+   *   - 'name': by tip name
+   *   - 'column': by the values of a metadata column
+   *   - 'input': as written in the tree file
+   * @param {Object} [options] - Ordering options
+   * @param {string} [options.columnId] - Column to order by when order is 'column'
+   * @param {boolean} [options.descending=false] - Reverse the order of names or column values
+   */
+  setChildOrder(order, options = {}) {
+    const validOrders = ['ladderizeDown', 'ladderizeUp', 'name', 'column', 'input'];
+    if (!validOrders.includes(order)) {
+      console.warn(`Invalid child order: ${order}`);
+      return;
+    }
+    const { columnId = null, descending = false } = options;
+    if (order === 'column' && !this.state.treeData.columnType.has(columnId)) {
+      console.warn(`Column ${columnId} not found`);
+      return;
+    }
+
+    this.#recordHistory('Change order of branches', () => {
+      this.state.childOrder = order;
+      this.state.childOrderColumn = order === 'column' ? columnId : null;
+      this.state.childOrderDescending = descending;
+      this.#sortChildren();
+      this.update();
+      this.notify('childOrderChange', { order, columnId: this.state.childOrderColumn, descending });
+    });
+  }
+
+  /**
+   * Sort the children of every node, including collapsed and hidden ones, in the order set with
+   * setChildOrder. Clades are ordered by names or column values by the value of their first tip, so
+   * tips are as close to sorted as the tree allows. Each node is given its position among its
+   * siblings as `orderIndex`, so nodes that are shown again can be put back in place.
+   * @private
+   * @param {Array<string>} [tipOrder] - Names of tips in the order to put them in instead, such as
+   *   one saved by getState. Clades without any of the tips go last.
+   */
+  #sortChildren(tipOrder = null) {
+    const { childOrder, childOrderColumn, childOrderDescending } = this.state;
+    const isContinuous = this.state.treeData.columnType.get(childOrderColumn) === 'continuous';
+    const isMissing = value => value === undefined || value === null || value === '' || Number.isNaN(value);
+    const compareValues = (a, b) => {
+      if (isMissing(a) || isMissing(b)) {
+        return isMissing(a) - isMissing(b); // Missing values last
+      }
+      const result = typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b), undefined, { numeric: true });
+      return childOrderDescending ? -result : result;
+    };
+
+    const tipPositions = tipOrder && new Map(tipOrder.map((name, index) => [name, index]));
+    const sortValues = new Map();
+    let compare;
+    if (tipPositions) {
+      compare = (a, b) => (sortValues.get(a) ?? Infinity) - (sortValues.get(b) ?? Infinity);
+    } else if (childOrder === 'ladderizeUp') {
+      compare = (a, b) => b.leafCount - a.leafCount;
+    } else if (childOrder === 'ladderizeDown') {
+      compare = (a, b) => a.leafCount - b.leafCount;
+    } else if (childOrder === 'input') {
+      compare = (a, b) => a.inputIndex - b.inputIndex;
+    } else {
+      compare = (a, b) => compareValues(sortValues.get(a), sortValues.get(b));
+    }
+    const tipValue = d => {
+      if (tipPositions) return tipPositions.get(d.data.name);
+      if (childOrder === 'name') return d.data.name;
+      const value = d.metadata?.[childOrderColumn];
+      return isContinuous && !isMissing(value) ? Number(value) : value;
+    };
+
+    // Sort children before their parents, so clades can be ordered by their first tip
+    for (const d of this.#getAllNodes().reverse()) {
+      const children = getAllChildren(d);
+      if (children.length === 0) {
+        sortValues.set(d, tipValue(d));
+        continue;
+      }
+      children.sort((a, b) => compare(a, b) || a.id - b.id);
+      children.forEach((child, index) => {
+        child.orderIndex = index;
+      });
+      for (const key of ['children', 'collapsedChildren', 'hiddenChildren']) {
+        d[key]?.sort((a, b) => a.orderIndex - b.orderIndex);
+      }
+      sortValues.set(d, sortValues.get(children[0]));
+    }
+  }
+
+  rotateSubtree(node) {
+    if (!node) {
+      console.warn('Tried to rotate non-existent node');
+      return;
+    }
+    if (!node.children || node.children.length < 2) {
+      console.warn('Tried to rotate node with fewer than 2 children');
+      return;
+    }
+
+    this.#recordHistory('Rotate clade', () => {
+      // Rotate children array by moving first element to end
+      const firstChild = node.children.shift();
+      node.children.push(firstChild);
+
+      // Hidden children are put back after the rotated ones when shown again
+      [...node.children, ...(node.hiddenChildren || [])].forEach((child, index) => {
+        child.orderIndex = index;
+      });
+
+      this.update();
+    });
+  }
+
+  hideSubtree(node) {
+    if (!node) {
+      console.warn('Tried to hide non-existent node');
+      return;
+    }
+    if (!node.parent) {
+      console.warn('Cannot hide the root node');
+      return;
+    }
+
+    this.#recordHistory('Hide clade', () => {
+      this.#hideNode(node);
+      this.update();
+    });
+  }
+
+  showSubtree(node) {
+    if (!node || !node.hidden) return;
+    this.#recordHistory('Show clade', () => {
+      if (this.#showNode(node)) {
+        this.update();
+      }
+    });
+  }
+
+  showAllHidden() {
+    this.#recordHistory('Show hidden', () => {
+      // Collect all hidden nodes
+      const hiddenNodes = [];
+      for (const d of this.#getAllNodes()) {
+        if (d.hiddenChildren) {
+          hiddenNodes.push(...d.hiddenChildren);
+        }
+      }
+
+      // Show each hidden node
+      for (const node of hiddenNodes) {
+        this.#showNode(node);
+      }
+
+      // Nothing is filtered out anymore
+      const hadFilter = this.state.filter !== null;
+      this.#filteredNodes = [];
+      this.state.filter = null;
+      this.filteredTipCount = 0;
+
+      this.update();
+      if (hadFilter) {
+        this.notify('filterChange', { filter: null, filteredTipCount: 0 });
+      }
+    });
+  }
+
+  /**
+   * Move a node into the hidden children of its parent, hiding the parent too if it has no
+   * children left. Works for children of collapsed nodes as well. Does not update the layout.
+   * @private
+   * @param {Object} node - Node to hide
+   * @returns {Array<Object>} The nodes hidden, starting with the node itself
+   */
+  #hideNode(node) {
+    const parent = node.parent;
+    if (!parent || node.hidden) return [];
+    const from = parent.children?.includes(node) ? 'children' : 'collapsedChildren';
+    if (!parent[from]?.includes(node)) return [];
+
+    // Mark the node as hidden, remembering where to put it back
+    node.hidden = true;
+    node.hiddenFrom = from;
+
+    // Remove from parent's children array
+    parent.hiddenChildren = parent.hiddenChildren || [];
+    parent.hiddenChildren.push(node);
+    parent[from] = parent[from].filter(child => child !== node);
+
+    // If parent has no more visible children, delete the children property and hide the parent
+    const hidden = [node];
+    if (parent[from].length === 0) {
+      delete parent[from];
+      hidden.push(...this.#hideNode(parent));
+    }
+    return hidden;
+  }
+
+  /**
+   * Move a hidden node back into the children of its parent, in its original order. The node goes
+   * into the collapsed children if the parent has been collapsed since. Does not update the layout.
+   * @private
+   * @param {Object} node - Node to show
+   * @returns {boolean} Whether the node was hidden and has been shown
+   */
+  #showNode(node) {
+    const parent = node.parent;
+    if (!node.hidden || !parent || !parent.hiddenChildren?.includes(node)) return false;
+
+    // Remove from hiddenChildren array
+    parent.hiddenChildren = parent.hiddenChildren.filter(child => child !== node);
+    if (parent.hiddenChildren.length === 0) {
+      delete parent.hiddenChildren;
+    }
+
+    // Add back to children array
+    const to = parent.children ? 'children' : parent.collapsedChildren ? 'collapsedChildren' : node.hiddenFrom || 'children';
+    parent[to] = parent[to] || [];
+    parent[to].push(node);
+
+    // Sort children to maintain their order
+    parent[to].sort((a, b) => a.orderIndex - b.orderIndex);
+
+    // Unmark as hidden
+    delete node.hidden;
+    delete node.hiddenFrom;
+    return true;
+  }
+
+  /**
+   * Hide tips whose metadata does not pass a filter expression, such as
+   * `source == "farm" and abundance > 100` (see parseFilterExpression), along with clades left
+   * without tips. Columns are referred to by their name in the metadata table or their display
+   * name, and `name` refers to tip names unless a column has that name. Tips hidden by the
+   * previous filter are shown again first.
+   * @param {string|null} expression - Filter expression, or null or '' to remove the filter
+   * @returns {number} The number of tips filtered out
+   * @throws {Error} If the expression is invalid or uses an unknown column, leaving the current filter in place
+   */
+  setFilter(expression) {
+    // Check the new filter before changing anything
+    let passes = null;
+    if (expression && expression.trim() !== '') {
+      const { columns, test } = parseFilterExpression(expression);
+      const getters = new Map(columns.map(name => [name, this.#getFilterColumnGetter(name)]));
+      passes = d => test(name => getters.get(name)(d));
+    } else {
+      expression = null;
+    }
+
+    return this.#recordHistory('Change filter', () => {
+      // Show what the previous filter hid
+      for (const node of [...this.#filteredNodes].reverse()) {
+        this.#showNode(node);
+      }
+      this.#filteredNodes = [];
+      this.filteredTipCount = 0;
+
+      if (passes) {
+        const tips = getAllTips(this.state.treeData.tree);
+        for (const tip of tips) {
+          if (!passes(tip)) {
+            this.filteredTipCount++;
+            this.#filteredNodes.push(...this.#hideNode(tip));
+          }
+        }
+      }
+
+      this.state.filter = expression;
+      this.update();
+      this.notify('filterChange', { filter: expression, filteredTipCount: this.filteredTipCount });
+      return this.filteredTipCount;
+    });
+  }
+
+  /**
+   * Show the tips hidden by setFilter
+   */
+  clearFilter() {
+    this.setFilter(null);
+  }
+
+  /**
+   * Get a function returning the value of a column used in a filter for a node
+   * @private
+   * @param {string} name - Column name, display name or ID
+   * @returns {function(Object): *}
+   * @throws {Error} If no column has the name
+   */
+  #getFilterColumnGetter(name) {
+    const treeData = this.state.treeData;
+    const findId = map => Array.from(map.entries()).find(([columnId, value]) => value === name && treeData.columnDisplayName.has(columnId))?.[0];
+    const columnId = findId(treeData.columnName) ?? (treeData.columnDisplayName.has(name) ? name : findId(treeData.columnDisplayName));
+    if (columnId !== undefined) {
+      return d => d.metadata?.[columnId];
+    }
+    if (name === 'name') {
+      return d => d.data.name;
+    }
+    throw new Error(`Unknown column in filter: ${name}`);
+  }
+
+  collapseRoot(node) {
+    if (!node || node === this.displayedRoot) return;
+
+    this.#recordHistory('Collapse root', () => {
+      this.displayedRoot = node;
+      this.displayedRoot.collapsedParent = this.displayedRoot.parent;
+      delete this.displayedRoot.parent;
+
+      this.update();
+    });
   }
 
-  setAesthetics(values, force = false) {
-    const downstreams = new Set();
-    let legendsChanged = false;
-
-    for (const [aestheticId, columnId] of Object.entries(values)) {
-      const aesData = this.#AESTHETICS[aestheticId];
-      if (!aesData) {
-        console.warn(`Unknown aesthetic: ${aestheticId}`);
-        continue;
-      }
+  expandRoot() {
+    if (!this.displayedRoot || !this.displayedRoot.collapsedParent) return;
 
-      if (force || columnId !== this.state.aesthetics[aestheticId]) {
-        // Record the name of the defined aesthetic
-        this.state.aesthetics[aestheticId] = columnId;
+    this.#recordHistory('Expand root', () => {
+      this.displayedRoot.parent = this.displayedRoot.collapsedParent;
+      delete this.displayedRoot.collapsedParent;
 
-        // Update the aesthetic for the column
-        if (!columnId) {
-          this.aestheticsScales[aestheticId] = new NullScale({ default: aesData.default });
-        } else {
-          // Get or create the aesthetic with default state from #AESTHETICS
-          this.aestheticsScales[aestheticId] = this.state.treeData.getAesthetic(columnId, aestheticId, aesData);
-
-          // Subscribe to palette changes to update tree data
-          this.aestheticsScales[aestheticId].subscribe('aestheticChange', () => {
-            this.#updateTreeDataForAesthetic(aestheticId, columnId);
-            this.#updateLegends();
-            this.notify(`${aestheticId}Change`);
-          });
-        }
+      // Find the new root (the topmost ancestor without a collapsed parent)
+      let newRoot = this.displayedRoot;
+      while (newRoot.parent && !newRoot.collapsedParent) {
+        newRoot = newRoot.parent;
+      }
 
-        // Update the tree data directly modified by the aesthetic
-        this.#updateTreeDataForAesthetic(aestheticId, columnId);
+      this.displayedRoot = newRoot;
 
-        // Record any functions to call later in a unique list
-        for (const methodName of aesData.downstream) {
-          downstreams.add(methodName);
-        }
+      this.update();
+    });
+  }
 
-        // Check if this aesthetic has a legend
-        if (aesData.hasLegend) {
-          legendsChanged = true;
-        }
+  /**
+   * Get the changes made to how the tree is shown, so they can be saved and given to setState later,
+   * even for another copy of the same tree. Clades are identified by the names of their tips, since
+   * node IDs are not kept when a tree is read again.
+   * @returns {Object} JSON-safe state with:
+   *   - settings: layout, aesthetics, scales, heatmap columns, highlights, filter and other settings
+   *   - displayedRoot: tips of the clade shown as the root, or null if the whole tree is shown
+   *   - collapsed: tips of each collapsed clade
+   *   - hidden: tips of each hidden clade, other than those hidden by the filter
+   *   - tipOrder: names of all tips in the order they are drawn, including rotations
+   *   - aesthetics: palettes and other edits of the aesthetics of each column
+   */
+  getState() {
+    const getTipNames = node => getAllTips(node).map(d => d.data.name).filter(name => name !== undefined);
+    const allNodes = this.#getAllNodes();
+    const filteredNodes = new Set(this.#filteredNodes);
+
+    const settings = Object.fromEntries(this.#HISTORY_STATE_KEYS.map(key => [key, this.state[key]]));
+    settings.highlights = settings.highlights.map(({ nodeId, ...highlight }) => highlight);
+
+    // Tips in the order they are drawn, with hidden ones where they would be shown again
+    const tipOrder = [];
+    const stack = [this.state.treeData.tree];
+    while (stack.length > 0) {
+      const d = stack.pop();
+      const children = getAllChildren(d);
+      if (children.length === 0 && d.data.name !== undefined) {
+        tipOrder.push(d.data.name);
       }
-
-      // notify subscribers of change to aesthetic
-      this.notify(`${aestheticId}Change`);
+      stack.push(...children.sort((a, b) => b.orderIndex - a.orderIndex));
     }
 
-    // Update legends if any aesthetic with a legend changed
-    if (legendsChanged) {
-      this.#updateLegends();
+    const aesthetics = {};
+    for (const [columnId, aestheticMap] of this.state.treeData.columnAesthetic) {
+      aesthetics[columnId] = {};
+      for (const [aestheticId, aesthetic] of aestheticMap) {
+        aesthetics[columnId][aestheticId] = aesthetic.getEditableState();
+      }
     }
 
-    // Call all unique functions needed to update downstream data from all the aesthetics applied
-    for (const methodName of downstreams) {
-      this[methodName]();
+    return JSON.parse(JSON.stringify({
+      settings,
+      displayedRoot: this.displayedRoot === this.state.treeData.tree ? null : getTipNames(this.displayedRoot),
+      collapsed: allNodes.filter(d => d.collapsedChildren).map(getTipNames),
+      hidden: allNodes.filter(d => d.hidden && !filteredNodes.has(d)).map(getTipNames),
+      tipOrder,
+      aesthetics
+    }));
+  }
+
+  /**
+   * Check that a state has the parts returned by getState with the right types, so that it can be
+   * loaded without failing part of the way through
+   * @param {*} state - State returned by getState
+   * @throws {Error} If the state is not an object or has parts of the wrong type, naming the parts
+   */
+  static checkState(state) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isOptional = (value, check) => value === undefined || check(value);
+    const isTipNames = value => Array.isArray(value) && value.every(name => typeof name === 'string');
+    const isCladeList = value => Array.isArray(value) && value.every(isTipNames);
+    if (!isObject(state)) {
+      throw new Error('Invalid tree state');
     }
 
+    const settings = isObject(state.settings) ? state.settings : {};
+    const checks = {
+      settings: isOptional(state.settings, isObject),
+      'settings.aesthetics': isOptional(settings.aesthetics, isObject),
+      'settings.aestheticAggregations': isOptional(settings.aestheticAggregations, isObject),
+      'settings.heatmapColumns': isOptional(settings.heatmapColumns, Array.isArray),
+      'settings.highlights': isOptional(settings.highlights, value => Array.isArray(value) && value.every(isObject)),
+      displayedRoot: state.displayedRoot === null || isOptional(state.displayedRoot, isTipNames),
+      collapsed: isOptional(state.collapsed, isCladeList),
+      hidden: isOptional(state.hidden, isCladeList),
+      aesthetics: isOptional(state.aesthetics, value => isObject(value) &&
+        Object.values(value).every(states => isObject(states) && Object.values(states).every(isObject)))
+    };
+    const invalidParts = Object.keys(checks).filter(part => !checks[part]);
+    if (invalidParts.length > 0) {
+      throw new Error(`Invalid tree state: ${invalidParts.join(', ')}`);
+    }
   }
 
   /**
-   * Update tree data for a specific aesthetic
-   * @private
+   * Show the tree as saved by getState, replacing all changes made so far. Clades are found by their
+   * tips, so the state can come from another copy of the same tree. Clades and columns that are not
+   * in this tree are skipped with a warning. Can be undone.
+   * @param {Object} state - State returned by getState
+   * @throws {Error} If the state is not valid, as checked by TreeState.checkState
    */
-  #updateTreeDataForAesthetic(aestheticId, columnId) {
-    const aesData = this.#AESTHETICS[aestheticId];
-
-    this.state.treeData.tree.each(d => {
-      if (columnId && columnId !== null && columnId !== undefined) {
-        if (d.metadata) {
-          d[aestheticId] = this.aestheticsScales[aestheticId].getValue(d.metadata[columnId]);
-        } else {
-          d[aestheticId] = aesData.default;
+  setState(state) {
+    TreeState.checkState(state);
+    const treeData = this.state.treeData;
+
+    this.#recordHistory('Load state', () => {
+      // Start from the whole tree with every clade shown and expanded
+      for (const d of this.#getAllNodes()) {
+        if (d.collapsedParent) {
+          d.parent = d.collapsedParent;
+          delete d.collapsedParent;
         }
-      } else {
-        d[aestheticId] = this.aestheticsScales[aestheticId].getValue();
       }
+      for (const d of this.#getAllNodes()) {
+        const children = getAllChildren(d);
+        for (const child of children) {
+          delete child.hidden;
+          delete child.hiddenFrom;
+        }
+        delete d.collapsedChildren;
+        delete d.hiddenChildren;
+        if (children.length > 0) {
+          d.children = children;
+        }
+      }
+      this.displayedRoot = treeData.tree;
+      this.#filteredNodes = [];
+      this.filteredTipCount = 0;
+      this.updateLayout();
+
+      // Find clades by their tips, which must be all the tips in the clade
+      const tipsByName = new Map(this.#getAllNodes().filter(d => !d.children).map(d => [d.data.name, d]));
+      let missingCount = 0;
+      const findClade = tipNames => {
+        const tips = tipNames.map(name => tipsByName.get(name)).filter(d => d !== undefined);
+        const node = tips.length === tipNames.length ? this.findCommonAncestor(tips) : undefined;
+        if (!node || getAllTips(node).length !== tipNames.length) {
+          missingCount++;
+          return undefined;
+        }
+        return node;
+      };
+      for (const tipNames of state.hidden || []) {
+        const node = findClade(tipNames);
+        if (node && node.parent) {
+          this.#hideNode(node);
+        }
+      }
+      for (const tipNames of state.collapsed || []) {
+        const node = findClade(tipNames);
+        if (node?.children) {
+          node.collapsedChildren = node.children;
+          delete node.children;
+        }
+      }
+      const displayedRoot = state.displayedRoot && findClade(state.displayedRoot);
+      if (displayedRoot && displayedRoot.parent && !displayedRoot.hidden) {
+        this.displayedRoot = displayedRoot;
+        displayedRoot.collapsedParent = displayedRoot.parent;
+        delete displayedRoot.parent;
+      }
+      if (missingCount > 0) {
+        console.warn(`${missingCount} saved clade(s) not found in the tree`);
+      }
+      this.updateLayout();
+
+      // Settings not in the state are left as they are. They are applied once clades are hidden and
+      // collapsed, since new aesthetics are made from the values of the tips shown.
+      const settings = {
+        ...Object.fromEntries(this.#HISTORY_STATE_KEYS.map(key => [key, this.state[key]])),
+        ...state.settings
+      };
+      try {
+        this.setFilter(settings.filter);
+      } catch (error) {
+        console.warn(`Ignoring invalid filter: ${error.message}`);
+        this.setFilter(null);
+      }
+      if (settings.childOrder === 'column' && !treeData.columnType.has(settings.childOrderColumn)) {
+        settings.childOrder = 'ladderizeDown';
+        settings.childOrderColumn = null;
+      }
+      settings.highlights = (settings.highlights || [])
+        .map(highlight => highlight.tips ? { ...highlight, nodeId: this.findMrca(highlight.tips)?.id } : highlight)
+        .filter(highlight => highlight.nodeId !== undefined);
+      this.#applySettings(settings);
+      this.#sortChildren(Array.isArray(state.tipOrder) ? state.tipOrder : null);
+
+      // Palettes and other edits of the aesthetics now in use
+      for (const [columnId, aestheticStates] of Object.entries(state.aesthetics || {})) {
+        for (const [aestheticId, aestheticState] of Object.entries(aestheticStates)) {
+          const aesthetic = treeData.columnAesthetic.get(columnId)?.get(aestheticId);
+          if (aesthetic) {
+            const editableKeys = Object.keys(aesthetic.getEditableState());
+            aesthetic.updateState(Object.fromEntries(Object.entries(aestheticState).filter(([key]) => editableKeys.includes(key))));
+          }
+        }
+      }
+
+      this.update();
     });
   }
 
-  #updateLegends() {
-    // Clear existing legends
-    this.legends = [];
+  /**
+   * Make several changes that are undone and redone together as one step, such as expanding every clade
+   * @param {string} label - Short description of the changes, given in historyChange events
+   * @param {function(): *} changes - Function making the changes with the methods of this TreeState
+   * @returns {*} The value returned by the function
+   */
+  recordChanges(label, changes) {
+    return this.#recordHistory(label, changes);
+  }
 
-    // Create legends for each aesthetic that has one and is not using the default
-    for (const [aestheticId, columnId] of Object.entries(this.state.aesthetics)) {
-      const aesData = this.#AESTHETICS[aestheticId];
+  /**
+   * Undo the last change made with the methods of this TreeState, such as collapsing a clade or
+   * mapping a column to an aesthetic. Changes to the tree itself, such as rerooting, clear the history.
+   * @returns {boolean} Whether there was a change to undo
+   */
+  undo() {
+    return this.#moveInHistory(this.#undoStack, this.#redoStack, 'undo');
+  }
 
-      // Skip if no legend for this aesthetic or using default (undefined/null)
-      if (!aesData.hasLegend || !columnId) {
-        continue;
-      }
+  /**
+   * Redo the last change undone with undo
+   * @returns {boolean} Whether there was a change to redo
+   */
+  redo() {
+    return this.#moveInHistory(this.#redoStack, this.#undoStack, 'redo');
+  }
 
-      // Get the aesthetic scale
-      const aesthetic = this.aestheticsScales[aestheticId];
-      if (!aesthetic) {
-        continue;
-      }
+  canUndo() {
+    return this.#undoStack.length > 0;
+  }
 
-      this.legends.push({
-        aestheticId,
-        aesthetic,
-        type: aesData.scaleType
-      });
-    }
+  canRedo() {
+    return this.#redoStack.length > 0;
+  }
 
-    // Notify that legends have changed
-    this.notify('legendsChange');
+  /**
+   * Get the labels of the changes that can be undone and redone
+   * @returns {{undo: Array<string>, redo: Array<string>}} Labels with the next change to undo or redo last
+   */
+  getHistory() {
+    return {
+      undo: this.#undoStack.map(entry => entry.label),
+      redo: this.#redoStack.map(entry => entry.label)
+    };
   }
 
-  setTargetTreeDimensions(width, height) {
-    this.state.viewWidth = width;
-    this.state.viewHeight = height;
-    this.updateCoordinates();
+  /**
+   * Forget the changes that can be undone and redone
+   */
+  clearHistory() {
+    if (this.#undoStack.length === 0 && this.#redoStack.length === 0) return;
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.notify('historyChange', { action: 'clear', label: null });
   }
 
-  collapseSubtree(node) {
-    if (!node) {
-      console.warn('Tried to collapse non-existant node');
-      return;
+  /**
+   * Make a change that can be undone. Changes made by other methods while making it are part of it.
+   * @private
+   * @param {string} label - Short description of the change
+   * @param {function(): *} change - Function making the change
+   * @param {Object} [options] - How the change is recorded
+   * @param {boolean} [options.merge=false] - Combine with the last change if it has the same label and was
+   *   made less than #HISTORY_MERGE_MS ago, so dragging a slider is undone in one step
+   * @param {boolean} [options.settingsOnly=false] - The change only sets values of #HISTORY_STATE_KEYS,
+   *   so the nodes do not have to be saved, which is slow for large trees
+   * @returns {*} The value returned by the change
+   */
+  #recordHistory(label, change, { merge = false, settingsOnly = false } = {}) {
+    if (this.#historyDepth > 0) {
+      return change();
     }
-    if (!node.children) {
-      console.warn('Tried to collapse node with no children');
-      return;
+
+    const before = this.#getHistorySnapshot(!settingsOnly);
+    const result = this.#withoutHistory(change);
+
+    // Only changes that did something are recorded
+    const after = this.#getHistorySnapshot(!settingsOnly);
+    if (before.settings === after.settings && before.tree === after.tree) {
+      return result;
+    }
+    const time = Date.now();
+    const last = this.#undoStack.at(-1);
+    if (merge && last?.label === label && time - last.time < this.#HISTORY_MERGE_MS) {
+      last.time = time;
+    } else {
+      // Keep one copy of the saved nodes while they do not change, since they can be large
+      if (last?.snapshot.tree === before.tree) {
+        before.tree = last.snapshot.tree;
+      }
+      this.#undoStack.push({ label, snapshot: before, time });
+      if (this.#undoStack.length > this.#HISTORY_LIMIT) {
+        this.#undoStack.shift();
+      }
     }
+    this.#redoStack = [];
+    this.notify('historyChange', { action: 'record', label });
+    return result;
+  }
 
-    node.collapsedChildren = node.children;
-    delete node.children;
+  /**
+   * Make changes that are not recorded in the history
+   * @private
+   * @param {function(): *} change - Function making the changes
+   * @returns {*} The value returned by the function
+   */
+  #withoutHistory(change) {
+    this.#historyDepth++;
+    try {
+      return change();
+    } finally {
+      this.#historyDepth--;
+    }
+  }
 
-    this.update();
+  /**
+   * Go back to the snapshot of the last entry of one history stack, saving the current state in the other
+   * @private
+   * @param {Array<Object>} from - Stack to take the entry from
+   * @param {Array<Object>} to - Stack to save the current state in
+   * @param {string} action - 'undo' or 'redo', given in the historyChange event
+   * @returns {boolean} Whether there was an entry
+   */
+  #moveInHistory(from, to, action) {
+    const entry = from.pop();
+    if (!entry) return false;
+
+    // Entries made by undoing or redoing are never merged with later changes
+    to.push({ label: entry.label, snapshot: this.#getHistorySnapshot(entry.snapshot.tree !== null), time: 0 });
+    this.#withoutHistory(() => this.#restoreHistorySnapshot(entry.snapshot));
+    this.notify('historyChange', { action, label: entry.label });
+    return true;
   }
 
-  expandSubtree(node) {
-    if (!node || !node.collapsedChildren) return;
+  /**
+   * Save the settings that changes can be undone for, and the children of each node, which records
+   * which clades are collapsed, hidden or rotated. Both are saved as JSON so they can be compared.
+   * @private
+   * @param {boolean} [includeTree=true] - Whether to save the nodes, which undoing changes of only
+   *   the settings does not need
+   * @returns {{settings: string, tree: string|null}}
+   */
+  #getHistorySnapshot(includeTree = true) {
+    const settings = JSON.stringify(Object.fromEntries(this.#HISTORY_STATE_KEYS.map(key => [key, this.state[key]])));
+    if (!includeTree) {
+      return { settings, tree: null };
+    }
 
-    node.children = node.collapsedChildren;
-    delete node.collapsedChildren;
+    const getIds = nodes => nodes.map(d => d.id);
+    const allNodes = this.#getAllNodes();
+    const nodes = allNodes.filter(d => d.children || d.collapsedChildren || d.hiddenChildren).map(d => {
+      const children = getAllChildren(d);
+      return {
+        id: d.id,
+        order: getIds(children.sort((a, b) => a.orderIndex - b.orderIndex)),
+        collapsed: Boolean(d.collapsedChildren),
+        hidden: Object.fromEntries((d.hiddenChildren || []).map(child => [child.id, child.hiddenFrom]))
+      };
+    });
 
-    this.update();
+    return {
+      settings,
+      tree: JSON.stringify({
+        nodes,
+        displayedRoot: this.displayedRoot.id,
+        collapsedParents: getIds(allNodes.filter(d => d.collapsedParent)),
+        filteredNodes: getIds(this.#filteredNodes),
+        filteredTipCount: this.filteredTipCount
+      })
+    };
   }
 
-  rotateSubtree(node) {
-    if (!node) {
-      console.warn('Tried to rotate non-existent node');
-      return;
-    }
-    if (!node.children || node.children.length < 2) {
-      console.warn('Tried to rotate node with fewer than 2 children');
-      return;
+  /**
+   * Put back the settings and nodes saved by #getHistorySnapshot. The nodes are left as they are if
+   * they were not saved.
+   * @private
+   * @param {{settings: string, tree: string|null}} snapshot
+   */
+  #restoreHistorySnapshot(snapshot) {
+    const settings = JSON.parse(snapshot.settings);
+    if (snapshot.tree !== null) {
+      const tree = JSON.parse(snapshot.tree);
+      const allNodes = this.#getAllNodes();
+      const nodesById = new Map(allNodes.map(d => [d.id, d]));
+
+      // Reconnect the tree above the displayed root, then put the children of each node back in order
+      for (const d of allNodes) {
+        if (d.collapsedParent) {
+          d.parent = d.collapsedParent;
+          delete d.collapsedParent;
+        }
+      }
+      for (const { id, order, collapsed, hidden } of tree.nodes) {
+        const d = nodesById.get(id);
+        delete d.children;
+        delete d.collapsedChildren;
+        delete d.hiddenChildren;
+        order.forEach((childId, index) => {
+          const child = nodesById.get(childId);
+          child.orderIndex = index;
+          delete child.hidden;
+          delete child.hiddenFrom;
+          let key = collapsed ? 'collapsedChildren' : 'children';
+          if (hidden[childId]) {
+            child.hidden = true;
+            child.hiddenFrom = hidden[childId];
+            key = 'hiddenChildren';
+          }
+          d[key] = d[key] || [];
+          d[key].push(child);
+        });
+      }
+      for (const id of tree.collapsedParents) {
+        const d = nodesById.get(id);
+        d.collapsedParent = d.parent;
+        delete d.parent;
+      }
+      this.displayedRoot = nodesById.get(tree.displayedRoot);
+      this.#filteredNodes = tree.filteredNodes.map(id => nodesById.get(id));
+      this.filteredTipCount = tree.filteredTipCount;
+      this.updateLayout();
     }
 
-    // Rotate children array by moving first element to end
-    const firstChild = node.children.shift();
-    node.children.push(firstChild);
-
-    this.update();
+    this.#applySettings(settings);
+    if (settings.filter !== this.state.filter) {
+      this.state.filter = settings.filter;
+      this.notify('filterChange', { filter: this.state.filter, filteredTipCount: this.filteredTipCount });
+    }
+    this.updateCoordinates();
   }
 
-  hideSubtree(node) {
-    if (!node) {
-      console.warn('Tried to hide non-existent node');
-      return;
+  /**
+   * Apply the settings saved in history snapshots or by getState, other than the filter, with their
+   * set methods, so scales are remade and subscribers are notified as if they were changed by hand.
+   * Columns that no longer exist are not used. The children of nodes are not reordered.
+   * @private
+   * @param {Object} settings - Values of #HISTORY_STATE_KEYS
+   */
+  #applySettings(settings) {
+    // Columns may have been removed from the metadata since the settings were saved
+    const hasColumn = columnId => this.state.treeData.columnType.has(columnId);
+    const changed = key => JSON.stringify(settings[key]) !== JSON.stringify(this.state[key]);
+    const changedAesthetics = {};
+    for (const aestheticId of Object.keys(this.#AESTHETICS)) {
+      let columnId = settings.aesthetics[aestheticId];
+      if (columnId && !hasColumn(columnId)) {
+        columnId = undefined;
+      }
+      const method = settings.aestheticAggregations[aestheticId];
+      if (columnId !== this.state.aesthetics[aestheticId] || method !== this.state.aestheticAggregations[aestheticId]) {
+        changedAesthetics[aestheticId] = columnId;
+      }
     }
-    if (!node.parent) {
-      console.warn('Cannot hide the root node');
-      return;
+    this.state.aestheticAggregations = settings.aestheticAggregations;
+    this.setAesthetics(changedAesthetics, true);
+    if (changed('propagateBranchColor')) {
+      this.setPropagateBranchColor(settings.propagateBranchColor);
     }
+    this.setLayout(settings.layout);
+    if (changed('branchLengthScale')) {
+      this.setBranchLengthScale(settings.branchLengthScale);
+    }
+    if (changed('treeHeightScale')) {
+      this.setTreeHeightScale(settings.treeHeightScale);
+    }
+    this.setHeatmapColumns(settings.heatmapColumns.filter(hasColumn));
+    this.setCompositionColumn(hasColumn(settings.compositionColumn) ? settings.compositionColumn : null);
+    if (changed('compositionStyle')) {
+      this.setCompositionStyle(settings.compositionStyle);
+    }
+    if (changed('compositionNodes')) {
+      this.setCompositionNodes(settings.compositionNodes);
+    }
+    if (changed('cladeStrips')) {
+      const isMissingColumn = typeof settings.cladeStrips === 'string' && !hasColumn(settings.cladeStrips);
+      this.setCladeStrips(isMissingColumn ? null : settings.cladeStrips);
+    }
+    if (changed('cladeStripStyle')) {
+      this.setCladeStripStyle(settings.cladeStripStyle);
+    }
+    if (changed('highlights')) {
+      this.state.highlights = settings.highlights;
+      this.notify('highlightsChange');
+    }
+    if (changed('childOrder') || changed('childOrderColumn') || changed('childOrderDescending')) {
+      this.state.childOrder = settings.childOrder;
+      this.state.childOrderColumn = settings.childOrderColumn;
+      this.state.childOrderDescending = settings.childOrderDescending;
+      const { childOrder: order, childOrderColumn: columnId, childOrderDescending: descending } = this.state;
+      this.notify('childOrderChange', { order, columnId, descending });
+    }
+  }
 
-    // Mark the node as hidden
-    node.hidden = true;
+  /**
+   * Get every node in the tree, including those in collapsed and hidden subtrees
+   * @private
+   * @returns {Array<Object>}
+   */
+  #getAllNodes() {
+    return getAllNodes(this.state.treeData.tree);
+  }
 
-    // Remove from parent's children array
-    const parent = node.parent;
-    if (parent.children) {
-      parent.hiddenChildren = parent.hiddenChildren || [];
-      parent.hiddenChildren.push(node);
-      parent.children = parent.children.filter(child => child !== node);
+  /**
+   * Find the most recent common ancestor of tips
+   * @param {Array<string>} tipNames - Names of the tips
+   * @returns {Object|undefined} The ancestor node, or undefined if none of the tips are found
+   */
+  findMrca(tipNames) {
+    const nameSet = new Set(tipNames);
+    const tips = getAllTips(this.state.treeData.tree).filter(d => nameSet.has(d.data.name));
+    const missing = tipNames.filter(name => !tips.some(d => d.data.name === name));
+    if (missing.length > 0) {
+      console.warn(`Tips not found: ${missing.join(', ')}`);
+    }
+    return this.findCommonAncestor(tips);
+  }
 
-      // If parent has no more visible children, delete the children property
-      if (parent.children.length === 0) {
-        delete parent.children;
+  /**
+   * Find the most recent common ancestor of nodes
+   * @param {Array<Object>} nodes - Tree nodes
+   * @returns {Object|undefined} The ancestor node, or undefined if no nodes are given
+   */
+  findCommonAncestor(nodes) {
+    if (nodes.length === 0) {
+      return undefined;
+    }
 
-        // Recursively hide the parent if it now has no children
-        this.hideSubtree(parent);
+    // The displayed root has no parent while the tree above it is collapsed
+    const getAncestors = (node) => {
+      const ancestors = [];
+      for (let d = node; d; d = getParent(d)) {
+        ancestors.push(d);
       }
+      return ancestors;
+    };
+    let shared = getAncestors(nodes[0]);
+    for (const node of nodes.slice(1)) {
+      const ancestors = new Set(getAncestors(node));
+      shared = shared.filter(d => ancestors.has(d));
     }
-
-    this.update();
+    return shared[0];
   }
 
-  showSubtree(node) {
-    if (!node || !node.hidden) return;
-
-    const parent = node.parent;
-    if (!parent || !parent.hiddenChildren) return;
+  /**
+   * Get the node that represents a node in the displayed tree, which is the node itself or the
+   * collapsed clade it is in
+   * @param {Object} node - Tree node
+   * @returns {Object|undefined} The displayed node, or undefined if the node is hidden or outside the displayed root
+   */
+  getDisplayedNode(node) {
+    const displayedNodes = new Set(this.displayedRoot.descendants());
+    for (let d = node; d; d = getParent(d)) {
+      if (d.hidden) {
+        return undefined;
+      }
+      if (displayedNodes.has(d)) {
+        return d;
+      }
+    }
+    return undefined;
+  }
 
-    // Remove from hiddenChildren array
-    parent.hiddenChildren = parent.hiddenChildren.filter(child => child !== node);
-    if (parent.hiddenChildren.length === 0) {
-      delete parent.hiddenChildren;
+  /**
+   * Find tips by name or metadata value, including tips in collapsed and hidden clades. Matching
+   * tips are marked with `searchMatch` so they can be highlighted. An invalid regular expression
+   * matches nothing and its error message is kept in `search.error`, since the query is often
+   * incomplete while it is being typed.
+   * @param {string} query - Text to search for. An empty query clears the search.
+   * @param {Object} [options] - Search options
+   * @param {string} [options.field='name'] - 'name' to search tip names, 'metadata' to search all
+   *   metadata columns, or the ID of a column to search
+   * @param {boolean} [options.regex=false] - Treat the query as a regular expression instead of a
+   *   case-insensitive substring
+   * @returns {Array<Object>} The matching tips
+   */
+  searchTips(query, options = {}) {
+    const { field = 'name', regex = false } = options;
+
+    let isMatch;
+    let patternError = null;
+    if (regex) {
+      let pattern = null;
+      try {
+        pattern = new RegExp(query, 'i');
+      } catch (error) {
+        patternError = error.message;
+      }
+      isMatch = value => pattern !== null && pattern.test(value);
+    } else {
+      const lowerQuery = query.toLowerCase();
+      isMatch = value => value.toLowerCase().includes(lowerQuery);
     }
 
-    // Add back to children array
-    if (!parent.children) {
-      parent.children = [];
+    let getValues;
+    if (field === 'name') {
+      getValues = d => [d.data.name];
+    } else if (field === 'metadata') {
+      const columnIds = Array.from(this.state.treeData.columnDisplayName.keys());
+      getValues = d => columnIds.map(columnId => d.metadata?.[columnId]);
+    } else {
+      getValues = d => [d.metadata?.[field]];
     }
-    parent.children.push(node);
 
-    // Sort children to maintain original order (by data index if available)
-    parent.children.sort((a, b) => {
-      const aIndex = parent.data.children ? parent.data.children.indexOf(a.data) : 0;
-      const bIndex = parent.data.children ? parent.data.children.indexOf(b.data) : 0;
-      return aIndex - bIndex;
+    const allNodes = this.#getAllNodes();
+    allNodes.forEach(d => {
+      delete d.searchMatch;
     });
-
-    // Unmark as hidden
-    delete node.hidden;
-
-    this.update();
-  }
-
-  showAllHidden() {
-    // Collect all hidden nodes
-    const hiddenNodes = [];
-    this.state.treeData.tree.each(d => {
-      if (d.hiddenChildren) {
-        hiddenNodes.push(...d.hiddenChildren);
+    this.searchMatches = query === '' ? [] : allNodes.filter(d => {
+      if (d.children || d.collapsedChildren || d.hiddenChildren) {
+        return false;
       }
+      return getValues(d).some(value => value !== undefined && value !== null && isMatch(String(value)));
     });
+    this.searchMatches.forEach(d => {
+      d.searchMatch = true;
+    });
+    this.search = { query, field, regex, error: patternError };
 
-    // Show each hidden node
-    for (const node of hiddenNodes) {
-      this.showSubtree(node);
-    }
+    this.notify('searchChange', { matches: this.searchMatches });
+    return this.searchMatches;
   }
 
-  collapseRoot(node) {
-    if (!node || node === this.displayedRoot) return;
-
-    this.displayedRoot = node;
-    this.displayedRoot.collapsedParent = this.displayedRoot.parent;
-    delete this.displayedRoot.parent;
-
-    this.update();
+  /**
+   * Clear the tips found by searchTips
+   */
+  clearSearch() {
+    this.searchTips('');
   }
 
-  expandRoot() {
-    if (!this.displayedRoot || !this.displayedRoot.collapsedParent) return;
+  /**
+   * Highlight a clade with a shaded region behind it, replacing any highlight already on the node
+   * @param {Object} node - Root node of the clade
+   * @param {Object} [options] - Highlight options
+   * @param {string} [options.label] - Text drawn in the corner of the region. Defaults to the node name.
+   * @param {string} [options.color] - Fill color. Defaults to the next color of a built-in palette.
+   * @returns {Object|undefined} The highlight
+   */
+  addHighlight(node, options = {}) {
+    if (!node || node.id === undefined) {
+      console.warn('Tried to highlight non-existent node');
+      return;
+    }
+
+    return this.#recordHistory('Highlight clade', () => {
+      const highlights = this.state.highlights;
+      const index = highlights.findIndex(highlight => highlight.nodeId === node.id);
+      const highlight = {
+        nodeId: node.id,
+        label: options.label ?? node.data.name ?? '',
+        color: options.color ?? (index >= 0 ? highlights[index].color : this.#HIGHLIGHT_COLORS[highlights.length % this.#HIGHLIGHT_COLORS.length]),
+        tips: getAllTips(node).map(d => d.data.name).filter(name => name !== undefined)
+      };
+      if (index >= 0) {
+        highlights[index] = highlight;
+      } else {
+        highlights.push(highlight);
+      }
 
-    this.displayedRoot.parent = this.displayedRoot.collapsedParent;
-    delete this.displayedRoot.collapsedParent;
+      this.notify('highlightsChange');
+      return highlight;
+    }, { settingsOnly: true });
+  }
 
-    // Find the new root (the topmost ancestor without a collapsed parent)
-    let newRoot = this.displayedRoot;
-    while (newRoot.parent && !newRoot.collapsedParent) {
-      newRoot = newRoot.parent;
+  /**
+   * Highlight the clade of the most recent common ancestor of tips
+   * @param {Array<string>} tipNames - Names of tips in the clade
+   * @param {Object} [options] - Highlight options, as for addHighlight
+   * @returns {Object|undefined} The highlight
+   */
+  addHighlightByTips(tipNames, options = {}) {
+    const node = this.findMrca(tipNames);
+    if (!node) {
+      console.warn('No tips found to highlight');
+      return;
     }
+    return this.addHighlight(node, options);
+  }
 
-    this.displayedRoot = newRoot;
+  /**
+   * Remove the highlight from a clade
+   * @param {Object} node - Root node of the clade
+   */
+  removeHighlight(node) {
+    if (!node) return;
+
+    this.#recordHistory('Remove highlight', () => {
+      const highlights = this.state.highlights.filter(highlight => highlight.nodeId !== node.id);
+      if (highlights.length !== this.state.highlights.length) {
+        this.state.highlights = highlights;
+        this.notify('highlightsChange');
+      }
+    }, { settingsOnly: true });
+  }
 
-    this.update();
+  /**
+   * Check if a clade is highlighted
+   * @param {Object} node - Root node of the clade
+   * @returns {boolean}
+   */
+  isHighlighted(node) {
+    return Boolean(node) && this.state.highlights.some(highlight => highlight.nodeId === node.id);
   }
 
   updateTipLabelText() {
@@ -475,6 +2193,9 @@ export class TreeState extends Subscribable {
       } else if (!d.tipLabelText) {
         // For leaf nodes with no label set
         d.tipLabelText = d.data.name || '';
+      } else if (typeof d.tipLabelText !== 'string') {
+        // Values from metadata given as JavaScript data may be numbers or booleans
+        d.tipLabelText = String(d.tipLabelText);
       }
     })
   }
@@ -489,6 +2210,22 @@ export class TreeState extends Subscribable {
     })
   }
 
+  /**
+   * Mark which nodes get a shape: those with a value in any column mapped to a node shape aesthetic
+   */
+  updateNodeShapeVisibility() {
+    const columnIds = ['nodeShape', 'nodeShapeColor', 'nodeShapeSize']
+      .filter(aestheticId => this.state.aesthetics[aestheticId])
+      .map(aestheticId => this.#getAestheticDataColumn(aestheticId, this.state.aesthetics[aestheticId]));
+
+    this.state.treeData.tree.each(d => {
+      d.nodeShapeVisible = columnIds.some(columnId => {
+        const value = d.metadata ? d.metadata[columnId] : undefined;
+        return value !== undefined && value !== null && value !== '';
+      });
+    });
+  }
+
   update() {
     this.updateLayout();
     this.updateCoordinates();
@@ -528,6 +2265,14 @@ export class TreeState extends Subscribable {
     });
   }
 
+  /**
+   * Widest branch leading to a child of a node, so bounds can include the full stroke
+   * @private
+   */
+  #getMaxChildBranchWidth(d) {
+    return Math.max(0, ...d.children.map(k => k.branchWidthPx || 0));
+  }
+
   getCollapsedTriangleHeight(d) {
     return d.tipLabelSizePx + 1.1;
   }
@@ -551,10 +2296,11 @@ export class TreeState extends Subscribable {
 
     // Calculate scaling factors
     let scalingFactors;
+    const scalingOptions = { ...this.state, tipAnnotationWidth: this.getTipAnnotationWidth() };
     if (this.state.layout === 'circular') {
-      scalingFactors = calculateCircularScalingFactors(this.displayedRoot, this.state);
+      scalingFactors = calculateCircularScalingFactors(this.displayedRoot, scalingOptions);
     } else {
-      scalingFactors = calculateScalingFactors(this.displayedRoot, this.state);
+      scalingFactors = calculateScalingFactors(this.displayedRoot, scalingOptions);
     }
 
     this.branchLenToPxFactor = scalingFactors.branchLenToPxFactor_max * this.state.branchLengthScale;
@@ -565,9 +2311,17 @@ export class TreeState extends Subscribable {
       d.branchLenPx = d.branchLen * this.branchLenToPxFactor;
       d.tipLabelSizePx = d.tipLabelSize * this.labelSizeToPxFactor;
       d.nodeLabelSizePx = d.nodeLabelSize * this.labelSizeToPxFactor * this.state.nodeLabelSizeScale;
+      d.branchWidthPx = d.branchWidth * this.labelSizeToPxFactor * this.state.branchThicknessProp;
+      d.nodeShapeSizePx = d.nodeShapeSize * this.labelSizeToPxFactor * this.state.nodeShapeSizeScale;
+
+      // Composition charts are drawn on collapsed clades and optionally on other internal nodes
+      const showComposition = d.composition && (d.collapsedChildren || (d.children && this.state.compositionNodes === 'all'));
+      d.compositionSizePx = showComposition ? this.labelSizeToPxFactor * this.state.compositionSizeScale : 0;
+      const symbolRadiusPx = d.nodeShapeVisible && !d.collapsedChildren ? d.nodeShapeSizePx / 2 : 0;
+      d.nodeShapeRadiusPx = Math.max(symbolRadiusPx, d.compositionSizePx / 2);
 
       // Calculate tip label offset, incorporating collapsed triangle if present
-      let tipLabelXOffset = d.tipLabelSizePx * this.state.nodeLabelOffset;
+      let tipLabelXOffset = d.tipLabelSizePx * this.state.nodeLabelOffset + d.nodeShapeRadiusPx;
       if (d.collapsedChildren) {
         tipLabelXOffset += this.getCollapsedTriangleOffset(d) * 1.3;
       }
@@ -597,7 +2351,7 @@ export class TreeState extends Subscribable {
       this.state.treeData.tree.eachAfter(d => {
         if (d.children) {
           d.bounds = {
-            minRadius: d.radiusPx,
+            minRadius: d.radiusPx - Math.max(this.#getMaxChildBranchWidth(d) / 2, d.nodeShapeRadiusPx),
             maxRadius: Math.max(...d.children.map(k => k.bounds.maxRadius)),
             minAngle: Math.min(...d.children.map(k => k.bounds.minAngle)),
             maxAngle: Math.max(...d.children.map(k => k.bounds.maxAngle)),
@@ -607,9 +2361,10 @@ export class TreeState extends Subscribable {
             maxY: Math.max(...d.children.map(k => k.bounds.maxY))
           };
         } else {
-          const minRadius = d.radiusPx;
-          const maxRadius = minRadius + d.tipLabelXOffsetPx + d.tipLabelBounds.widthPx;
-          const angleLabelOffset = Math.atan(d.tipLabelYOffsetPx / d.radiusPx);
+          const minRadius = d.radiusPx - d.nodeShapeRadiusPx;
+          const maxRadius = d.radiusPx + d.tipLabelXOffsetPx + d.tipLabelBounds.widthPx;
+          const halfHeight = Math.max(d.tipLabelYOffsetPx, d.branchWidthPx / 2, d.nodeShapeRadiusPx);
+          const angleLabelOffset = Math.atan(halfHeight / d.radiusPx);
           const minAngle = d.angle - angleLabelOffset;
           const maxAngle = d.angle + angleLabelOffset;
           const xValues = [
@@ -640,22 +2395,26 @@ export class TreeState extends Subscribable {
       this.state.treeData.tree.eachAfter(d => {
         if (d.children) {
           d.bounds = {
-            minX: d.xPx,
+            minX: d.xPx - Math.max(this.#getMaxChildBranchWidth(d) / 2, d.nodeShapeRadiusPx),
             maxX: Math.max(...d.children.map(k => k.bounds.maxX)),
             minY: Math.min(...d.children.map(k => k.bounds.minY)),
             maxY: Math.max(...d.children.map(k => k.bounds.maxY))
           };
         } else {
+          const halfHeight = Math.max(d.tipLabelYOffsetPx, d.branchWidthPx / 2, d.nodeShapeRadiusPx);
           d.bounds = {
-            minX: d.xPx,
+            minX: d.xPx - d.nodeShapeRadiusPx,
             maxX: d.xPx + d.tipLabelXOffsetPx + d.tipLabelBounds.widthPx,
-            minY: d.yPx - d.tipLabelYOffsetPx,
-            maxY: d.yPx + d.tipLabelYOffsetPx
+            minY: d.yPx - halfHeight,
+            maxY: d.yPx + halfHeight
           };
         }
       });
     }
 
+    this.#updateHeatmapCoordinates();
+    this.#updateCladeStripCoordinates();
+
     this.notify('coordinateChange');
   }
 
@@ -35,6 +35,16 @@ G\t40\tgreen`;
     }, textSizeEstimator);
   });
 
+  // Build a tree state for complexNewick with the given metadata tables
+  const createTreeState = (tables = [metadataTable]) => new TreeState({
+    treeData: new TreeData(parseNewick(complexNewick), tables),
+    viewWidth: 800,
+    viewHeight: 600
+  }, textSizeEstimator);
+  const findNode = (name, state = treeState) => state.state.treeData.tree.descendants().find(d => d.data.name === name);
+  const displayedTips = (state = treeState) => state.displayedRoot.leaves().map(d => d.data.name);
+  const columnIdByName = (name, data = treeData) => Array.from(data.columnName.entries()).find(([id, columnName]) => columnName === name)[0];
+
   describe('Initialization', () => {
     it('should initialize with default state', () => {
       expect(treeState.state.layout).toBe('rectangular');
@@ -125,6 +135,17 @@ G\t40\tgreen`;
       expect(typeof treeState.aestheticsScales.tipLabelColor.getValue).toBe('function');
     });
 
+    it('should ignore internal node values for tip aesthetics', () => {
+      const rankTreeData = new TreeData(parseNewick('((A[&rank=species],B[&rank=species])[&rank=genus],C[&rank=genus]);'));
+      const rankState = new TreeState({ treeData: rankTreeData, viewWidth: 800, viewHeight: 600 }, textSizeEstimator);
+      const rankColumnId = `${rankTreeData.annotationTableId}_rank`;
+
+      expect(() => rankState.setAesthetics({ tipLabelColor: rankColumnId })).not.toThrow();
+      const nodeA = rankTreeData.tree.leaves().find(d => d.data.name === 'A');
+      const nodeC = rankTreeData.tree.leaves().find(d => d.data.name === 'C');
+      expect(nodeA.tipLabelColor).not.toBe(nodeC.tipLabelColor);
+    });
+
     it('should create size scale for continuous data', () => {
       treeState.setAesthetics({ tipLabelSize: 'value1' });
       expect(treeState.aestheticsScales.tipLabelSize).toBeDefined();
@@ -155,6 +176,875 @@ G\t40\tgreen`;
     });
   });
 
+  describe('Branch Color', () => {
+    let hostColumnId;
+
+    beforeEach(() => {
+      const hostTable = `node_id\thost
+A\tcow
+B\tcow
+D\tpig
+E\tgoat`;
+      treeState = createTreeState([hostTable]);
+      treeData = treeState.state.treeData;
+      hostColumnId = columnIdByName('host');
+    });
+
+    it('should color branches by a categorical column', () => {
+      treeState.setAesthetics({ branchColor: hostColumnId });
+      const scale = treeState.aestheticsScales.branchColor;
+      expect(findNode('A').branchColor).toBe(scale.getValue('cow'));
+      expect(findNode('D').branchColor).toBe(scale.getValue('pig'));
+    });
+
+    it('should propagate a shared color to internal nodes', () => {
+      treeState.setAesthetics({ branchColor: hostColumnId });
+      const scale = treeState.aestheticsScales.branchColor;
+      expect(findNode('C').branchColor).toBe(scale.getValue('cow'));
+      expect(findNode('F').branchColor).toBe('#000000');
+    });
+
+    it('should not propagate colors when propagation is disabled', () => {
+      treeState.setAesthetics({ branchColor: hostColumnId });
+      treeState.setPropagateBranchColor(false);
+      expect(findNode('C').branchColor).toBe('#000000');
+    });
+
+    it('should add a branch color legend', () => {
+      treeState.setAesthetics({ branchColor: hostColumnId });
+      const legend = treeState.legends.find(legend => legend.aestheticId === 'branchColor');
+      expect(legend).toBeDefined();
+      expect(legend.type).toBe('branchColor');
+    });
+  });
+
+  describe('Branch Width', () => {
+    let valueColumnId;
+
+    beforeEach(() => {
+      valueColumnId = columnIdByName('value1');
+    });
+
+    it('should use the default branch width without an aesthetic', () => {
+      const defaultWidthPx = treeState.labelSizeToPxFactor * treeState.state.branchThicknessProp;
+      treeData.tree.each(node => {
+        expect(node.branchWidthPx).toBeCloseTo(defaultWidthPx);
+      });
+    });
+
+    it('should scale branch widths by a continuous column', () => {
+      treeState.setAesthetics({ branchWidth: valueColumnId });
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      const nodeD = treeData.tree.leaves().find(d => d.data.name === 'D');
+      expect(nodeA.branchWidth).toBeLessThan(nodeD.branchWidth);
+      expect(nodeA.branchWidthPx).toBeLessThan(nodeD.branchWidthPx);
+    });
+
+    it('should include wide branches in node bounds', () => {
+      treeState.setAesthetics({ branchWidth: valueColumnId });
+      treeState.aestheticsScales.branchWidth.updateState({ outputRange: [50, 100] });
+      treeState.updateCoordinates();
+      treeData.tree.leaves().forEach(node => {
+        expect(node.bounds.maxY - node.bounds.minY).toBeGreaterThanOrEqual(node.branchWidthPx - 1e-6);
+      });
+      const root = treeData.tree;
+      const maxChildWidth = Math.max(...root.children.map(d => d.branchWidthPx));
+      expect(root.bounds.minX).toBeCloseTo(root.xPx - maxChildWidth / 2);
+    });
+
+    it('should add a branch width legend', () => {
+      treeState.setAesthetics({ branchWidth: valueColumnId });
+      const legend = treeState.legends.find(legend => legend.aestheticId === 'branchWidth');
+      expect(legend).toBeDefined();
+      expect(legend.type).toBe('branchWidth');
+    });
+  });
+
+  describe('Heatmap', () => {
+    let valueColumnId;
+    let categoryColumnId;
+
+    beforeEach(() => {
+      valueColumnId = columnIdByName('value1');
+      categoryColumnId = columnIdByName('category1');
+    });
+
+    it('should start without heatmap columns', () => {
+      expect(treeState.state.heatmapColumns).toEqual([]);
+      expect(treeState.heatmapLayout).toBeNull();
+    });
+
+    it('should assign a color to each tip for each column', () => {
+      treeState.setHeatmapColumns([valueColumnId, categoryColumnId]);
+
+      expect(treeState.heatmapScales).toHaveLength(2);
+      treeData.tree.leaves().forEach(node => {
+        expect(node.heatmapColors).toHaveLength(2);
+        node.heatmapColors.forEach(color => expect(color).toMatch(/^#|^rgb/));
+      });
+    });
+
+    it('should ignore unknown columns', () => {
+      const consoleSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+      treeState.setHeatmapColumns(['not_a_column', categoryColumnId]);
+      expect(treeState.state.heatmapColumns).toEqual([categoryColumnId]);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    it('should add a color legend per column', () => {
+      treeState.setHeatmapColumns([valueColumnId, categoryColumnId]);
+      const heatmapLegends = treeState.legends.filter(legend => legend.aestheticId.startsWith('heatmap:'));
+      expect(heatmapLegends).toHaveLength(2);
+      expect(heatmapLegends.every(legend => legend.type === 'color')).toBe(true);
+    });
+
+    it('should place the heatmap past the tip labels', () => {
+      treeState.setHeatmapColumns([categoryColumnId]);
+      const maxLabelX = Math.max(...treeData.tree.leaves().map(d => d.bounds.maxX));
+      expect(treeState.heatmapLayout.startX).toBeGreaterThan(maxLabelX);
+
+      treeState.setLayout('circular');
+      const maxLabelRadius = Math.max(...treeData.tree.leaves().map(d => d.bounds.maxRadius));
+      expect(treeState.heatmapLayout.startRadius).toBeGreaterThan(maxLabelRadius);
+    });
+
+    it('should notify subscribers when heatmap columns change', () => {
+      const callback = vi.fn();
+      treeState.subscribe('heatmapChange', callback);
+      treeState.setHeatmapColumns([categoryColumnId]);
+      expect(callback).toHaveBeenCalled();
+    });
+
+    it('should map heatmap aesthetic IDs to their column and scale', () => {
+      treeState.setHeatmapColumns([valueColumnId, categoryColumnId]);
+      const mapping = treeState.getAestheticMapping('heatmap:1');
+      expect(mapping.columnId).toBe(categoryColumnId);
+      expect(mapping.aesthetic).toBe(treeState.heatmapScales[1]);
+    });
+
+    it('should give each column its own header when columns share a name', () => {
+      treeData.addTable(`node_id\tvalue1\nA\t1\nB\t2\nD\t3`);
+      const otherValueColumnId = Array.from(treeData.columnName.entries())
+        .filter(([id, name]) => name === 'value1')
+        .map(([id]) => id)
+        .find(id => id !== valueColumnId);
+      treeState.setHeatmapColumns([valueColumnId, otherValueColumnId]);
+
+      const headers = treeState.heatmapLayout.headers;
+      expect(headers.map(header => header.columnId)).toEqual([valueColumnId, otherValueColumnId]);
+      expect(headers[0].text).toBe(headers[1].text);
+    });
+  });
+
+  describe('Node Shapes', () => {
+    let valueColumnId;
+    let categoryColumnId;
+
+    beforeEach(() => {
+      valueColumnId = columnIdByName('value1');
+      categoryColumnId = columnIdByName('category1');
+    });
+
+    it('should not show node shapes without an aesthetic', () => {
+      treeData.tree.each(node => {
+        expect(node.nodeShapeVisible).toBe(false);
+        expect(node.nodeShapeRadiusPx).toBe(0);
+      });
+    });
+
+    it('should map categories to shapes', () => {
+      treeState.setAesthetics({ nodeShape: categoryColumnId });
+      const validShapes = ['circle', 'square', 'triangle', 'diamond', 'star'];
+      treeData.tree.each(node => {
+        expect(node.nodeShapeVisible).toBe(true);
+        expect(validShapes).toContain(node.nodeShape);
+      });
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      const nodeB = treeData.tree.leaves().find(d => d.data.name === 'B');
+      expect(nodeA.nodeShape).not.toBe(nodeB.nodeShape);
+    });
+
+    it('should only show shapes on nodes with a value', () => {
+      const partialTable = `node_id\tsampled\nA\tyes\nD\tno`;
+      treeData.addTable(partialTable);
+      const sampledColumnId = columnIdByName('sampled');
+      treeState.setAesthetics({ nodeShape: sampledColumnId });
+      const visibleNames = [];
+      treeData.tree.each(node => {
+        if (node.nodeShapeVisible) visibleNames.push(node.data.name);
+      });
+      expect(visibleNames.sort()).toEqual(['A', 'D']);
+    });
+
+    it('should scale shape sizes by a continuous column', () => {
+      treeState.setAesthetics({ nodeShapeSize: valueColumnId });
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      const nodeD = treeData.tree.leaves().find(d => d.data.name === 'D');
+      expect(nodeA.nodeShapeSizePx).toBeLessThan(nodeD.nodeShapeSizePx);
+    });
+
+    it('should move tip labels past the node shapes', () => {
+      const nodeA = treeData.tree.leaves().find(d => d.data.name === 'A');
+      const offsetBefore = nodeA.tipLabelXOffsetPx;
+      treeState.setAesthetics({ nodeShapeColor: categoryColumnId });
+      expect(nodeA.tipLabelXOffsetPx).toBeCloseTo(offsetBefore + nodeA.nodeShapeRadiusPx);
+      expect(nodeA.nodeShapeRadiusPx).toBeGreaterThan(0);
+    });
+
+    it('should add a legend for each node shape aesthetic', () => {
+      treeState.setAesthetics({
+        nodeShape: categoryColumnId,
+        nodeShapeColor: categoryColumnId,
+        nodeShapeSize: valueColumnId
+      });
+      for (const aestheticId of ['nodeShape', 'nodeShapeColor', 'nodeShapeSize']) {
+        const legend = treeState.legends.find(legend => legend.aestheticId === aestheticId);
+        expect(legend).toBeDefined();
+        expect(legend.type).toBe(aestheticId);
+      }
+    });
+  });
+
+  describe('Clade Summaries', () => {
+    let columnIds;
+
+    beforeEach(() => {
+      const table = `node_id\tabundance\thost
+A\t1\tcow
+B\t3\tcow
+D\t10\tpig
+E\t20\tgoat`;
+      treeState = createTreeState([table]);
+      treeData = treeState.state.treeData;
+      columnIds = { abundance: columnIdByName('abundance'), host: columnIdByName('host') };
+    });
+
+    it('should size internal nodes by the mean of their tips', () => {
+      treeState.setAesthetics({ nodeShapeSize: columnIds.abundance });
+      treeState.setAestheticAggregation('nodeShapeSize', 'mean');
+      const scale = treeState.aestheticsScales.nodeShapeSize;
+
+      expect(findNode('C').nodeShapeSize).toBe(scale.getValue(2));
+      expect(findNode('F').nodeShapeSize).toBe(scale.getValue(15));
+      expect(scale.state.inputUnits).toBe('Abundance (mean)');
+      expect(findNode('C').nodeShapeVisible).toBe(true);
+    });
+
+    it('should color collapsed clades by the most common value of their tips', () => {
+      treeState.setAesthetics({ branchColor: columnIds.host });
+      treeState.setAestheticAggregation('branchColor', 'majority');
+      const nodeC = findNode('C');
+      treeState.collapseSubtree(nodeC);
+      const scale = treeState.aestheticsScales.branchColor;
+
+      expect(nodeC.branchColor).toBe(scale.getValue('cow'));
+    });
+
+    it('should ignore methods that do not fit the column type', () => {
+      treeState.setAestheticAggregation('branchColor', 'mean');
+      treeState.setAesthetics({ branchColor: columnIds.host });
+
+      expect(treeState.aestheticsScales.branchColor.state.inputUnits).toBe('Host');
+    });
+
+    it('should go back to node values when the aggregation is removed', () => {
+      treeState.setAesthetics({ nodeShapeSize: columnIds.abundance });
+      treeState.setAestheticAggregation('nodeShapeSize', 'sum');
+      treeState.setAestheticAggregation('nodeShapeSize', null);
+
+      expect(findNode('C').nodeShapeSize).toBe(1);
+    });
+  });
+
+  describe('Composition Charts', () => {
+    let hostColumn;
+
+    beforeEach(() => {
+      const table = `node_id\tabundance\thost
+A\t1\tcow
+B\t3\tcow
+D\t10\tpig
+E\t20\t`;
+      treeState = createTreeState([table]);
+      treeData = treeState.state.treeData;
+      hostColumn = columnIdByName('host');
+    });
+
+    it('should count the categories of the tips in each clade', () => {
+      treeState.setCompositionColumn(hostColumn);
+      const scale = treeState.compositionScale;
+      const root = findNode('G');
+
+      expect(root.composition.map(part => [part.category, part.count])).toEqual([['cow', 2], ['pig', 1], [null, 1]]);
+      expect(root.composition[0].proportion).toBe(0.5);
+      expect(root.composition[0].color).toBe(scale.getValue('cow'));
+      expect(root.composition[2].color).toBe(scale.state.nullValue);
+      expect(findNode('A').composition).toBeNull();
+      expect(treeState.legends.some(legend => legend.aestheticId === 'composition')).toBe(true);
+    });
+
+    it('should keep counting the tips of collapsed clades', () => {
+      treeState.setCompositionColumn(hostColumn);
+      const nodeF = findNode('F');
+      treeState.collapseSubtree(nodeF);
+
+      expect(nodeF.composition.map(part => part.count)).toEqual([1, 1]);
+      expect(nodeF.compositionSizePx).toBeGreaterThan(0);
+    });
+
+    it('should only draw charts on collapsed clades when requested', () => {
+      treeState.setCompositionColumn(hostColumn);
+      treeState.setCompositionNodes('collapsed');
+      const nodeF = findNode('F');
+
+      expect(findNode('C').compositionSizePx).toBe(0);
+      treeState.collapseSubtree(nodeF);
+      expect(nodeF.compositionSizePx).toBeGreaterThan(0);
+    });
+
+    it('should reject continuous columns', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const abundanceColumn = columnIdByName('abundance');
+      treeState.setCompositionColumn(abundanceColumn);
+
+      expect(warnSpy).toHaveBeenCalled();
+      expect(treeState.state.compositionColumn).toBeNull();
+      warnSpy.mockRestore();
+    });
+
+    it('should remove the charts when the column is removed', () => {
+      treeState.setCompositionColumn(hostColumn);
+      treeState.setCompositionColumn(null);
+
+      expect(findNode('G').composition).toBeNull();
+      expect(treeState.legends.some(legend => legend.aestheticId === 'composition')).toBe(false);
+    });
+  });
+
+  describe('Clade Highlights', () => {
+    it('should highlight the most recent common ancestor of tips', () => {
+      const callback = vi.fn();
+      treeState.subscribe('highlightsChange', callback);
+      const highlight = treeState.addHighlightByTips(['A', 'B'], { label: 'Clade A' });
+
+      expect(highlight.nodeId).toBe(findNode('C').id);
+      expect(highlight.label).toBe('Clade A');
+      expect(highlight.color).toBeTruthy();
+      expect(treeState.isHighlighted(findNode('C'))).toBe(true);
+      expect(callback).toHaveBeenCalled();
+    });
+
+    it('should find ancestors of tips in collapsed clades', () => {
+      treeState.collapseSubtree(findNode('C'));
+
+      expect(treeState.findMrca(['A', 'D'])).toBe(findNode('E'));
+      expect(treeState.findMrca(['A']).data.name).toBe('A');
+    });
+
+    it('should replace the highlight of a node and keep its color', () => {
+      const first = treeState.addHighlight(findNode('C'));
+      const second = treeState.addHighlight(findNode('C'), { label: 'Renamed' });
+
+      expect(treeState.state.highlights).toHaveLength(1);
+      expect(first.label).toBe('C');
+      expect(second.color).toBe(first.color);
+    });
+
+    it('should remove highlights', () => {
+      treeState.addHighlight(findNode('C'));
+      treeState.addHighlight(findNode('D'));
+      treeState.removeHighlight(findNode('C'));
+
+      expect(treeState.state.highlights.map(highlight => highlight.nodeId)).toEqual([findNode('D').id]);
+    });
+
+    it('should warn when no tips are found', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(treeState.addHighlightByTips(['missing'])).toBeUndefined();
+      expect(warnSpy).toHaveBeenCalled();
+      expect(treeState.state.highlights).toHaveLength(0);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Clade Strips', () => {
+    let groupColumn;
+
+    beforeEach(() => {
+      const table = `node_id\tgroup
+A\tbacilli
+B\tbacilli
+D\tcocci
+E\tcocci`;
+      treeState = createTreeState([table]);
+      treeData = treeState.state.treeData;
+      groupColumn = columnIdByName('group');
+    });
+
+    it('should make one strip per run of tips with the same value', () => {
+      treeState.setCladeStrips(groupColumn);
+      const layout = treeState.cladeStripLayout;
+
+      expect(layout.segments.map(segment => segment.label).sort()).toEqual(['bacilli', 'cocci']);
+      const maxTipX = Math.max(...treeState.displayedRoot.leaves().map(d => d.bounds.maxX));
+      expect(Math.min(...layout.segments.map(segment => segment.x))).toBeGreaterThan(maxTipX);
+      expect(layout.segments[0].color).toBe(treeState.cladeStripScale.getValue(layout.segments[0].label));
+    });
+
+    it('should reserve room for the strips', () => {
+      const widthBefore = treeState.getTipAnnotationWidth();
+      treeState.setCladeStrips(groupColumn);
+
+      expect(treeState.getTipAnnotationWidth()).toBeGreaterThan(widthBefore);
+      expect(treeState.cladeStripLayout.bounds.maxX).toBeLessThanOrEqual(treeState.state.viewWidth + 1);
+    });
+
+    it('should make strips from lists of tips', () => {
+      treeState.setCladeStrips([{ label: 'Outgroup', tips: ['D', 'E'], color: '#FF0000' }]);
+      const [segment] = treeState.cladeStripLayout.segments;
+
+      expect(treeState.cladeStripLayout.segments).toHaveLength(1);
+      expect(segment.label).toBe('Outgroup');
+      expect(segment.color).toBe('#FF0000');
+      expect(segment.y1).toBeLessThan(findNode('D').yPx);
+      expect(segment.y2).toBeGreaterThan(findNode('E').yPx);
+    });
+
+    it('should include collapsed clades whose tips are all in a group', () => {
+      treeState.setCladeStrips([{ label: 'Partial', tips: ['A'] }, { label: 'Full', tips: ['A', 'B'] }]);
+      treeState.collapseSubtree(findNode('C'));
+
+      expect(treeState.cladeStripLayout.segments.map(segment => segment.label)).toEqual(['Full']);
+    });
+
+    it('should draw strips in the circular layout', () => {
+      treeState.setCladeStrips(groupColumn);
+      treeState.setLayout('circular');
+      const layout = treeState.cladeStripLayout;
+      const maxTipRadius = Math.max(...treeState.displayedRoot.leaves().map(d => d.bounds.maxRadius));
+
+      expect(layout.segments).toHaveLength(2);
+      layout.segments.forEach(segment => {
+        expect(segment.innerRadius).toBeGreaterThan(maxTipRadius);
+        expect(segment.endAngle).toBeGreaterThan(segment.startAngle);
+      });
+    });
+
+    it('should remove the strips', () => {
+      treeState.setCladeStrips(groupColumn);
+      treeState.setCladeStrips(null);
+
+      expect(treeState.cladeStripLayout).toBeNull();
+      expect(treeState.getTipAnnotationWidth()).toBe(0);
+    });
+  });
+
+  describe('Search', () => {
+    it('should find tips by part of their name, ignoring case', () => {
+      const callback = vi.fn();
+      treeState.subscribe('searchChange', callback);
+      const matches = treeState.searchTips('a');
+
+      expect(matches.map(d => d.data.name)).toEqual(['A']);
+      expect(findNode('A').searchMatch).toBe(true);
+      expect(callback).toHaveBeenCalledWith({ matches });
+    });
+
+    it('should find tips with a regular expression', () => {
+      expect(treeState.searchTips('^[AB]$', { regex: true }).map(d => d.data.name).sort()).toEqual(['A', 'B']);
+    });
+
+    it('should report invalid regular expressions without warning', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(treeState.searchTips('[', { regex: true })).toEqual([]);
+      expect(treeState.search.error).toEqual(expect.any(String));
+      expect(warnSpy).not.toHaveBeenCalled();
+      warnSpy.mockRestore();
+
+      treeState.searchTips('[A]', { regex: true });
+      expect(treeState.search.error).toBeNull();
+    });
+
+    it('should find tips by metadata value', () => {
+      const categoryColumn = columnIdByName('category1');
+
+      expect(treeState.searchTips('blue', { field: 'metadata' }).map(d => d.data.name)).toEqual(['B']);
+      expect(treeState.searchTips('green', { field: categoryColumn }).map(d => d.data.name)).toEqual(['D']);
+    });
+
+    it('should find tips in collapsed clades and map them to the displayed clade', () => {
+      treeState.collapseSubtree(findNode('C'));
+      const [match] = treeState.searchTips('B');
+
+      expect(match.data.name).toBe('B');
+      expect(treeState.getDisplayedNode(match)).toBe(findNode('C'));
+      expect(treeState.findCommonAncestor(treeState.searchTips('^[AD]$', { regex: true }))).toBe(findNode('E'));
+    });
+
+    it('should clear the search', () => {
+      treeState.searchTips('A');
+      treeState.clearSearch();
+
+      expect(treeState.searchMatches).toEqual([]);
+      expect(findNode('A').searchMatch).toBeUndefined();
+    });
+  });
+
+  describe('Filtering', () => {
+    it('should hide tips that do not pass the filter', () => {
+      const callback = vi.fn();
+      treeState.subscribe('filterChange', callback);
+
+      expect(treeState.setFilter('value1 > 15')).toBe(1);
+      expect(displayedTips()).toEqual(['D', 'B']);
+      expect(treeState.state.filter).toBe('value1 > 15');
+      expect(callback).toHaveBeenCalledWith({ filter: 'value1 > 15', filteredTipCount: 1 });
+    });
+
+    it('should hide clades left without tips and restore them on reset', () => {
+      treeState.setFilter('category1 == "green" or Value1 >= 30');
+      expect(displayedTips()).toEqual(['D']);
+      expect(findNode('E').hiddenChildren.map(d => d.data.name)).toEqual(['C']);
+      expect(treeState.filteredTipCount).toBe(2);
+
+      treeState.clearFilter();
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+      expect(treeState.state.filter).toBeNull();
+      expect(treeState.filteredTipCount).toBe(0);
+    });
+
+    it('should replace the previous filter', () => {
+      treeState.setFilter('category1 == "blue"');
+      treeState.setFilter('category1 != "blue"');
+      expect(displayedTips()).toEqual(['D', 'A']);
+    });
+
+    it('should keep the current filter when the new one is invalid', () => {
+      treeState.setFilter('value1 > 15');
+      expect(() => treeState.setFilter('missing == 1')).toThrow('Unknown column in filter: missing');
+      expect(() => treeState.setFilter('value1 >')).toThrow('Expected a value');
+      expect(displayedTips()).toEqual(['D', 'B']);
+    });
+
+    it('should filter tips in collapsed clades', () => {
+      treeState.collapseSubtree(findNode('C'));
+      treeState.setFilter('name != "A"');
+      expect(findNode('C').collapsedChildren.map(d => d.data.name)).toEqual(['B']);
+
+      treeState.clearFilter();
+      expect(findNode('C').collapsedChildren.map(d => d.data.name)).toEqual(['A', 'B']);
+    });
+
+    it('should clear the filter when showing all hidden nodes', () => {
+      treeState.setFilter('value1 > 15');
+      treeState.showAllHidden();
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+      expect(treeState.state.filter).toBeNull();
+    });
+  });
+
+  describe('Child Order', () => {
+    it('should ladderize in both directions', () => {
+      const callback = vi.fn();
+      treeState.subscribe('childOrderChange', callback);
+
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+      treeState.setChildOrder('ladderizeUp');
+      expect(displayedTips()).toEqual(['A', 'B', 'D']);
+      treeState.setChildOrder('ladderizeDown');
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+      expect(callback).toHaveBeenCalledWith({ order: 'ladderizeDown', columnId: null, descending: false });
+    });
+
+    it('should sort clades by the names or values of their first tips', () => {
+      treeState.setChildOrder('name', { descending: true });
+      expect(displayedTips()).toEqual(['D', 'B', 'A']);
+      treeState.setChildOrder('column', { columnId: columnIdByName('value1'), descending: true });
+      expect(displayedTips()).toEqual(['D', 'B', 'A']);
+      treeState.setChildOrder('column', { columnId: columnIdByName('category1') });
+      expect(displayedTips()).toEqual(['B', 'A', 'D']);
+    });
+
+    it('should restore the input order', () => {
+      treeState.setChildOrder('name', { descending: true });
+      treeState.setChildOrder('input');
+      expect(displayedTips()).toEqual(['A', 'B', 'D']);
+    });
+
+    it('should show hidden nodes again in the current order', () => {
+      const tipA = findNode('A');
+      treeState.setChildOrder('ladderizeUp');
+      treeState.hideSubtree(tipA);
+      treeState.showSubtree(tipA);
+      expect(displayedTips()).toEqual(['A', 'B', 'D']);
+    });
+
+    it('should warn about invalid orders', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      treeState.setChildOrder('random');
+      treeState.setChildOrder('column', { columnId: 'missing' });
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      expect(treeState.state.childOrder).toBe('ladderizeDown');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Rerooting', () => {
+    it('should start again from the rerooted tree, keeping highlights and filters', () => {
+      treeState.addHighlightByTips(['A', 'B'], { label: 'Clade A' });
+      treeState.setFilter('value1 > 15');
+      const oldRoot = treeData.tree;
+
+      treeData.rerootOnBranch(findNode('D'));
+
+      expect(treeData.tree).not.toBe(oldRoot);
+      expect(treeState.displayedRoot).toBe(treeData.tree);
+      expect(treeState.state.highlights.map(highlight => highlight.nodeId)).toEqual([findNode('C').id]);
+      expect(treeState.displayedRoot.leaves().map(d => d.data.name)).toEqual(['D', 'B']);
+    });
+  });
+
+  describe('History', () => {
+    it('should undo and redo collapsing a clade', () => {
+      const callback = vi.fn();
+      treeState.subscribe('historyChange', callback);
+      const clade = findNode('C');
+
+      treeState.collapseSubtree(clade);
+      expect(treeState.canUndo()).toBe(true);
+      expect(callback).toHaveBeenLastCalledWith({ action: 'record', label: 'Collapse clade' });
+
+      expect(treeState.undo()).toBe(true);
+      expect(clade.children.map(d => d.data.name)).toEqual(['A', 'B']);
+      expect(clade.collapsedChildren).toBeUndefined();
+      expect(treeState.canUndo()).toBe(false);
+      expect(treeState.canRedo()).toBe(true);
+      expect(callback).toHaveBeenLastCalledWith({ action: 'undo', label: 'Collapse clade' });
+
+      expect(treeState.redo()).toBe(true);
+      expect(clade.collapsedChildren.map(d => d.data.name)).toEqual(['A', 'B']);
+      expect(displayedTips()).toEqual(['D', 'C']);
+      expect(treeState.redo()).toBe(false);
+    });
+
+    it('should undo hiding, rotating and filtering one step at a time', () => {
+      treeState.rotateSubtree(findNode('E'));
+      treeState.hideSubtree(findNode('A'));
+      treeState.setFilter('value1 < 22');
+      expect(displayedTips()).toEqual(['B']);
+
+      treeState.undo();
+      expect(displayedTips()).toEqual(['B', 'D']);
+      expect(treeState.state.filter).toBeNull();
+      treeState.undo();
+      expect(displayedTips()).toEqual(['A', 'B', 'D']);
+      treeState.undo();
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+
+      treeState.redo();
+      treeState.redo();
+      treeState.redo();
+      expect(displayedTips()).toEqual(['B']);
+      expect(treeState.state.filter).toBe('value1 < 22');
+      expect(treeState.filteredTipCount).toBe(1);
+
+      // Tips hidden by the filter are still known after redoing it
+      treeState.clearFilter();
+      expect(displayedTips()).toEqual(['B', 'D']);
+    });
+
+    it('should undo collapsing the root', () => {
+      const clade = findNode('C');
+      treeState.collapseRoot(clade);
+      treeState.undo();
+      expect(treeState.displayedRoot).toBe(treeData.tree);
+      expect(clade.parent).toBe(treeData.tree);
+      expect(clade.collapsedParent).toBeUndefined();
+
+      treeState.redo();
+      expect(treeState.displayedRoot).toBe(clade);
+      expect(clade.collapsedParent).toBe(treeData.tree);
+    });
+
+    it('should undo changes to settings and aesthetics', () => {
+      treeState.setLayout('circular');
+      treeState.setAesthetics({ tipLabelColor: columnIdByName('category1') });
+      treeState.addHighlightByTips(['A', 'B'], { label: 'Clade A' });
+      expect(treeState.getHistory()).toEqual({
+        undo: ['Change layout', 'Change aesthetics', 'Highlight clade'],
+        redo: []
+      });
+
+      treeState.undo();
+      expect(treeState.state.highlights).toEqual([]);
+      treeState.undo();
+      expect(treeState.state.aesthetics.tipLabelColor).toBeUndefined();
+      expect(findNode('A').tipLabelColor).toBe('#000000');
+      treeState.undo();
+      expect(treeState.state.layout).toBe('rectangular');
+
+      treeState.redo();
+      treeState.redo();
+      expect(treeState.state.aesthetics.tipLabelColor).toBe(columnIdByName('category1'));
+      expect(findNode('A').tipLabelColor).not.toBe('#000000');
+    });
+
+    it('should not record changes that do nothing', () => {
+      treeState.setLayout('rectangular');
+      treeState.removeHighlight(findNode('C'));
+      expect(treeState.canUndo()).toBe(false);
+    });
+
+    it('should forget undone changes when a new change is made', () => {
+      treeState.collapseSubtree(findNode('C'));
+      treeState.undo();
+      treeState.setLayout('circular');
+      expect(treeState.canRedo()).toBe(false);
+      expect(treeState.getHistory().undo).toEqual(['Change layout']);
+    });
+
+    it('should undo dragging a slider in one step', () => {
+      treeState.setBranchLengthScale(2);
+      treeState.setBranchLengthScale(3);
+      expect(treeState.getHistory().undo).toEqual(['Change branch length scale']);
+
+      treeState.undo();
+      expect(treeState.state.branchLengthScale).toBe(1);
+    });
+
+    it('should undo changes to settings without changing clades collapsed since', () => {
+      treeState.collapseSubtree(findNode('C'));
+      treeState.setBranchLengthScale(2);
+      treeState.setLayout('circular');
+
+      treeState.undo();
+      treeState.undo();
+      expect(treeState.state.layout).toBe('rectangular');
+      expect(treeState.state.branchLengthScale).toBe(1);
+      expect(displayedTips()).toEqual(['D', 'C']);
+
+      treeState.undo();
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+      treeState.redo();
+      treeState.redo();
+      expect(displayedTips()).toEqual(['D', 'C']);
+      expect(treeState.state.branchLengthScale).toBe(2);
+    });
+
+    it('should undo changes grouped with recordChanges in one step', () => {
+      treeState.recordChanges('Collapse everything', () => {
+        treeState.collapseSubtree(findNode('C'));
+        treeState.hideSubtree(findNode('D'));
+      });
+      expect(treeState.getHistory().undo).toEqual(['Collapse everything']);
+
+      treeState.undo();
+      expect(displayedTips()).toEqual(['D', 'A', 'B']);
+    });
+
+    it('should clear the history when the tree is rerooted', () => {
+      treeState.collapseSubtree(findNode('C'));
+      treeData.rerootOnBranch(findNode('D'));
+      expect(treeState.canUndo()).toBe(false);
+      expect(treeState.undo()).toBe(false);
+    });
+  });
+
+  describe('Saving State', () => {
+    beforeEach(() => {
+      treeState = createTreeState();
+      treeData = treeState.state.treeData;
+    });
+
+    it('should show a saved state on another copy of the tree', () => {
+      treeState.rotateSubtree(findNode('C'));
+      treeState.collapseSubtree(findNode('F'));
+      treeState.setFilter('value1 > 10');
+      treeState.setLayout('circular');
+      treeState.setAesthetics({ tipLabelColor: columnIdByName('category1') });
+      treeState.addHighlightByTips(['A', 'B'], { label: 'Clade C' });
+      expect(displayedTips()).toEqual(['B', 'F']);
+
+      const saved = JSON.parse(JSON.stringify(treeState.getState()));
+      expect(saved.collapsed).toEqual([['E', 'D']]);
+      expect(saved.hidden).toEqual([]);
+      expect(saved.tipOrder).toEqual(['B', 'A', 'D', 'E']);
+
+      const other = createTreeState();
+      other.setState(saved);
+      expect(displayedTips(other)).toEqual(['B', 'F']);
+      expect(other.state.layout).toBe('circular');
+      expect(other.state.filter).toBe('value1 > 10');
+      expect(other.filteredTipCount).toBe(1);
+      expect(other.state.highlights).toEqual([
+        { nodeId: findNode('C', other).id, label: 'Clade C', color: expect.any(String), tips: ['A', 'B'] }
+      ]);
+      expect(findNode('B', other).tipLabelColor).toBe(findNode('B').tipLabelColor);
+      expect(other.getState()).toEqual(saved);
+
+      // Tips hidden by the filter are put back in their saved order
+      other.clearFilter();
+      other.expandSubtree(findNode('F', other));
+      expect(displayedTips(other)).toEqual(['B', 'A', 'D', 'E']);
+    });
+
+    it('should save hidden clades and the displayed root', () => {
+      treeState.hideSubtree(findNode('A'));
+      treeState.collapseRoot(findNode('F'));
+      const saved = treeState.getState();
+      expect(saved.displayedRoot).toEqual(['E', 'D']);
+
+      const other = createTreeState();
+      other.setState(saved);
+      expect(other.displayedRoot).toBe(findNode('F', other));
+      other.expandRoot();
+      expect(displayedTips(other)).toEqual(['B', 'D', 'E']);
+    });
+
+    it('should save palette edits', () => {
+      treeState.setAesthetics({ tipLabelColor: columnIdByName('value1') });
+      treeState.aestheticsScales.tipLabelColor.updateState({ colorPalette: ['#000000', '#ffffff'], colorPositions: [0, 1], title: 'Value' });
+
+      const other = createTreeState();
+      other.setState(treeState.getState());
+      expect(other.aestheticsScales.tipLabelColor.state.colorPalette).toEqual(['#000000', '#ffffff']);
+      expect(other.aestheticsScales.tipLabelColor.state.title).toBe('Value');
+      expect(findNode('A', other).tipLabelColor).toBe(findNode('A').tipLabelColor);
+    });
+
+    it('should skip clades not in the tree and be undone in one step', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      treeState.setState({ collapsed: [['A', 'B'], ['A', 'X']], settings: { layout: 'circular' } });
+      expect(warn).toHaveBeenCalledWith('1 saved clade(s) not found in the tree');
+      warn.mockRestore();
+      expect(findNode('C').collapsedChildren).toBeDefined();
+      expect(treeState.getHistory().undo).toEqual(['Load state']);
+
+      treeState.undo();
+      expect(findNode('C').collapsedChildren).toBeUndefined();
+      expect(treeState.state.layout).toBe('rectangular');
+    });
+
+    it('should throw an error for a state that is not an object', () => {
+      expect(() => treeState.setState(null)).toThrow('Invalid tree state');
+      expect(() => treeState.setState('state')).toThrow('Invalid tree state');
+    });
+
+    it('should throw an error naming the invalid parts of a state without changing anything', () => {
+      const state = { collapsed: [['A', 'B']], hidden: 'A', settings: { layout: 'circular', highlights: {} } };
+      expect(() => treeState.setState(state)).toThrow('Invalid tree state: settings.highlights, hidden');
+      expect(findNode('C').collapsedChildren).toBeUndefined();
+      expect(treeState.state.layout).toBe('rectangular');
+      expect(treeState.canUndo()).toBe(false);
+
+      expect(() => TreeState.checkState(treeState.getState())).not.toThrow();
+    });
+  });
+
   describe('Tree Dimensions', () => {
     beforeEach(() => {
       // Use complex tree for dimension tests to avoid Infinity scaling factors
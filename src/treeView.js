@@ -1,7 +1,7 @@
-import { select, symbol, symbolTriangle, zoom, zoomIdentity } from 'd3';
-import { triangleAreaFromSide, calculateTreeBounds, createDashArray } from './utils.js';
+import { select, symbol, symbolTriangle, zoom, zoomIdentity, arc, pie } from 'd3';
+import { triangleAreaFromSide, calculateTreeBounds, createDashArray, nodeShapePath, getParent } from './utils.js';
 import { appendIcon } from './icons.js';
-import { TextSizeLegend, TextColorLegend, BranchLengthLegend } from './legends.js';
+import { TextSizeLegend, TextColorLegend, BranchColorLegend, BranchWidthLegend, BranchLengthLegend, NodeShapeLegend, NodeShapeColorLegend, NodeShapeSizeLegend } from './legends.js';
 
 export class TreeView {
   constructor(treeState, svgContainer, options = {}) {
@@ -98,6 +98,59 @@ export class TreeView {
           }
         }
       },
+      {
+        id: 'highlight',
+        icon: 'highlight',
+        isVisible: (node) => {
+          return Boolean(node);
+        },
+        onClick: (node) => {
+          if (this.treeState.isHighlighted(node)) {
+            this.treeState.removeHighlight(node);
+          } else {
+            this.treeState.addHighlight(node);
+          }
+        }
+      },
+      {
+        id: 'reroot',
+        icon: 'reroot',
+        isVisible: (node) => {
+          return node && getParent(node);
+        },
+        onClick: (node) => {
+          if (node && getParent(node)) {
+            this.#clearSelection();
+            this.treeState.state.treeData.rerootOnBranch(node);
+          }
+        }
+      },
+      {
+        id: 'prune',
+        icon: 'scissors',
+        isVisible: (node) => {
+          return Boolean(this.options.addEditedTree) && node && getParent(node);
+        },
+        onClick: (node) => {
+          if (node && getParent(node)) {
+            this.#clearSelection();
+            this.options.addEditedTree(this.treeState.state.treeData.prune([node]), 'pruned');
+          }
+        }
+      },
+      {
+        id: 'extract-subtree',
+        icon: 'extract',
+        isVisible: (node) => {
+          return Boolean(this.options.addEditedTree) && node && (node.children || node.collapsedChildren);
+        },
+        onClick: (node) => {
+          if (node && (node.children || node.collapsedChildren)) {
+            this.#clearSelection();
+            this.options.addEditedTree(this.treeState.state.treeData.extractSubtree(node), 'subtree');
+          }
+        }
+      },
       {
         id: 'rotate-subtree',
         icon: 'rotate',
@@ -161,6 +214,9 @@ export class TreeView {
     // Re-render without transition
     this.#updateBranches(false);
     this.#updateNodes(false);
+    this.#updateHeatmap(false);
+    this.#updateCladeStrips();
+    this.#updateHighlights(false);
     this.#updateHitAreas(false);
     this.#updateLegends(false);
     this.fitToView({ transition: false, forcePanToTop: true });
@@ -172,8 +228,15 @@ export class TreeView {
   #initializeLayers() {
     const treeGroup = this.svg.append('g')
       .attr('class', 'tree-elements');
+    this.layers.highlightLayer = treeGroup.append('g')
+      .attr('class', 'highlight-layer')
+      .attr('pointer-events', 'none');
     this.layers.branchLayer = treeGroup.append('g')
       .attr('class', 'branch-layer');
+    this.layers.heatmapLayer = treeGroup.append('g')
+      .attr('class', 'heatmap-layer');
+    this.layers.cladeStripLayer = treeGroup.append('g')
+      .attr('class', 'clade-strip-layer');
     this.layers.nodeLayer = treeGroup.append('g')
       .attr('class', 'node-layer');
     this.layers.hitLayer = treeGroup.append('g')
@@ -292,6 +355,46 @@ export class TreeView {
     this.treeState.subscribe('nodeLabelTextChange', () => {
       this.#updateNodeLabelText();
     });
+
+    this.treeState.subscribe('branchColorChange', () => {
+      this.#updateBranchColor();
+    });
+
+    this.treeState.subscribe('branchWidthChange', () => {
+      this.#updateBranchWidth();
+    });
+
+    this.treeState.subscribe('heatmapChange', () => {
+      this.#updateHeatmap(true);
+    });
+
+    for (const aestheticId of ['nodeShape', 'nodeShapeColor', 'nodeShapeSize']) {
+      this.treeState.subscribe(`${aestheticId}Change`, () => {
+        if (this.selections.nodes) {
+          this.#updateNodeSymbols(this.selections.nodes, false);
+        }
+      });
+    }
+
+    this.treeState.subscribe('searchChange', () => {
+      if (this.selections.nodes) {
+        this.#updateSearchMatches(this.selections.nodes);
+      }
+    });
+
+    this.treeState.subscribe('cladeStripsChange', () => {
+      this.#updateCladeStrips();
+    });
+
+    this.treeState.subscribe('highlightsChange', () => {
+      this.#updateHighlights(false);
+    });
+
+    this.treeState.subscribe('compositionChange', () => {
+      if (this.selections.nodes) {
+        this.#updateCompositionCharts(this.selections.nodes);
+      }
+    });
   }
 
   /**
@@ -300,6 +403,9 @@ export class TreeView {
   #initialRender() {
     this.#updateBranches(false);
     this.#updateNodes(false);
+    this.#updateHeatmap(false);
+    this.#updateCladeStrips();
+    this.#updateHighlights(false);
     this.#updateHitAreas(false);
     this.#updateLegends(false);
     this.fitToView({ transition: false, forcePanToTop: true });
@@ -313,6 +419,9 @@ export class TreeView {
     // Update branches, nodes, and hit areas with transition
     const branchGroupsEnter = this.#updateBranches(true);
     const nodeGroupsEnter = this.#updateNodes(true);
+    this.#updateHeatmap(true);
+    this.#updateCladeStrips();
+    this.#updateHighlights(true);
     this.#updateHitAreas(true);
     this.#updateLegends(true);
 
@@ -422,6 +531,30 @@ export class TreeView {
       .text(d => d.nodeLabelText || '');
   }
 
+  /**
+   * Update branch color attribute
+   */
+  #updateBranchColor() {
+    if (this.selections.branches) {
+      this.selections.branches.selectAll('path')
+        .attr('stroke', d => d.target.branchColor || '#000');
+    }
+    if (this.selections.nodes) {
+      this.selections.nodes.selectAll('.node-shape')
+        .attr('fill', d => d.branchColor || '#000');
+    }
+  }
+
+  /**
+   * Update branch width attribute
+   */
+  #updateBranchWidth() {
+    if (!this.selections.branches) return;
+
+    this.selections.branches.selectAll('path')
+      .attr('stroke-width', d => d.target.branchWidthPx);
+  }
+
   /**
    * Update legends based on current TreeState
    * @param {boolean} transition - Whether to animate the update
@@ -483,6 +616,56 @@ export class TreeView {
           maxX: treeBounds.maxX,
           maxY: Infinity
         });
+      } else if (legendData.type === 'branchWidth') {
+        legend = new BranchWidthLegend({
+          treeState: this.treeState,
+          aesthetic: legendData.aesthetic,
+          x: currentX,
+          y: currentY,
+          origin: 'top left',
+          maxX: treeBounds.maxX,
+          maxY: Infinity
+        });
+      } else if (legendData.type === 'branchColor') {
+        legend = new BranchColorLegend({
+          treeState: this.treeState,
+          aesthetic: legendData.aesthetic,
+          x: currentX,
+          y: currentY,
+          origin: 'top left',
+          maxX: treeBounds.maxX,
+          maxY: Infinity
+        });
+      } else if (legendData.type === 'nodeShape') {
+        legend = new NodeShapeLegend({
+          treeState: this.treeState,
+          aesthetic: legendData.aesthetic,
+          x: currentX,
+          y: currentY,
+          origin: 'top left',
+          maxX: treeBounds.maxX,
+          maxY: Infinity
+        });
+      } else if (legendData.type === 'nodeShapeColor') {
+        legend = new NodeShapeColorLegend({
+          treeState: this.treeState,
+          aesthetic: legendData.aesthetic,
+          x: currentX,
+          y: currentY,
+          origin: 'top left',
+          maxX: treeBounds.maxX,
+          maxY: Infinity
+        });
+      } else if (legendData.type === 'nodeShapeSize') {
+        legend = new NodeShapeSizeLegend({
+          treeState: this.treeState,
+          aesthetic: legendData.aesthetic,
+          x: currentX,
+          y: currentY,
+          origin: 'top left',
+          maxX: treeBounds.maxX,
+          maxY: Infinity
+        });
       }
 
       if (currentX + legend.coordinates.width + this.options.legendSpacing > treeBounds.maxX) {
@@ -504,15 +687,20 @@ export class TreeView {
 
   /**
    * Fit the tree to the view with optional transition
-   * @param {boolean} transition - Whether to animate the fit
+   * @param {Object} input - Fit options
+   * @param {boolean} input.transition - Whether to animate the fit
+   * @param {Object} [input.node] - Displayed node to zoom and pan to instead of the whole tree. The
+   *   zoom is limited so tip labels are no larger than the `maxFontPx` option.
    */
   fitToView(input) {
+    const zoomToNode = Boolean(input?.node);
     input = {
       transition: true,
       padding: 5,
-      autoZoom: this.options.autoZoom,
-      autoPan: this.options.autoPan,
+      autoZoom: zoomToNode ? 'Both' : this.options.autoZoom,
+      autoPan: zoomToNode ? 'Both' : this.options.autoPan,
       forcePanToTop: false,
+      node: null,
       ...input
     }
 
@@ -522,8 +710,8 @@ export class TreeView {
 
     const { width: viewW, height: viewH } = this.svg.node().getBoundingClientRect();
 
-    // Calculate bounds of all tree elements (including legends)
-    const bounds = this.getCurrentBoundsWithLegends();
+    // Calculate bounds of all tree elements (including legends), or of the node
+    const bounds = zoomToNode ? this.#getNodeBounds(input.node) : this.getCurrentBoundsWithLegends();
     if (!bounds) return;
 
     // Apply padding
@@ -568,6 +756,9 @@ export class TreeView {
         console.error(`Value of ${input.autoZoom} is invalid for input.autoZoom.`);
       }
     }
+    if (zoomToNode) {
+      scale = Math.min(scale, Math.max(1, this.treeState.state.maxFontPx / this.treeState.labelSizeToPxFactor));
+    }
 
     // Apply auto-pan if enabled
     if (input.autoPan == 'Default') {
@@ -628,18 +819,63 @@ export class TreeView {
     }
   }
 
+  /**
+   * Get the current zoom and pan
+   * @returns {{x: number, y: number, k: number}} Translation and scale
+   */
+  getTransform() {
+    const { x, y, k } = this.currentTransform;
+    return { x, y, k };
+  }
+
+  /**
+   * Zoom and pan to a transform, such as one from getTransform, stopping any zoom transition in progress
+   * @param {{x: number, y: number, k: number}} transform - Translation and scale
+   */
+  setTransform({ x, y, k }) {
+    if (![x, y, k].every(Number.isFinite) || k <= 0) {
+      console.warn('Invalid zoom transform');
+      return;
+    }
+    this.svg.interrupt('zoom');
+    this.svg.call(this.treeZoom.transform, zoomIdentity.translate(x, y).scale(k));
+  }
+
   /**
    * Get current tree bounds
    * @returns {Object} Bounds object with minX, maxX, minY, maxY
    */
   #getCurrentBounds() {
     const root = this.treeState.displayedRoot;
-    return {
+    const bounds = {
       minX: root.bounds.minX,
       maxX: root.bounds.maxX,
       minY: root.bounds.minY,
       maxY: root.bounds.maxY
     };
+
+    // Include the heatmap and clade strips drawn past the tip labels
+    for (const layout of [this.treeState.heatmapLayout, this.treeState.cladeStripLayout]) {
+      if (layout) {
+        bounds.minX = Math.min(bounds.minX, layout.bounds.minX);
+        bounds.maxX = Math.max(bounds.maxX, layout.bounds.maxX);
+        bounds.minY = Math.min(bounds.minY, layout.bounds.minY);
+        bounds.maxY = Math.max(bounds.maxY, layout.bounds.maxY);
+      }
+    }
+
+    return bounds;
+  }
+
+  /**
+   * Get the bounds of a displayed node and its descendants, including their labels
+   * @param {Object} node - Tree node
+   * @returns {Object|null} Bounds object with minX, maxX, minY, maxY
+   */
+  #getNodeBounds(node) {
+    if (!node.bounds) return null;
+    const { minX, maxX, minY, maxY } = node.bounds;
+    return { minX, maxX, minY, maxY };
   }
 
   /**
@@ -710,6 +946,94 @@ export class TreeView {
     }
   }
 
+  /**
+   * Draw the shaded regions and labels of highlighted clades
+   * @param {boolean} transition - Whether to animate the update
+   */
+  #updateHighlights(transition = true) {
+    const root = this.treeState.displayedRoot;
+    if (!root) return;
+
+    // Only clades that are currently displayed are highlighted
+    const displayedNodes = new Map(root.descendants().filter(d => !d.hidden).map(d => [d.id, d]));
+    const highlights = this.treeState.state.highlights
+      .filter(highlight => displayedNodes.has(highlight.nodeId))
+      .map(highlight => ({ ...highlight, node: displayedNodes.get(highlight.nodeId) }));
+    const fontSize = this.treeState.labelSizeToPxFactor * this.treeState.state.highlightLabelSizeScale;
+
+    const highlightGroups = this.layers.highlightLayer
+      .selectAll('.highlight')
+      .data(highlights, d => d.nodeId)
+      .join(enter => {
+        const group = enter.append('g')
+          .attr('class', 'highlight');
+        group.append('path')
+          .attr('class', 'highlight-region')
+          .attr('d', d => this.#generateSelectionPath(d.node));
+        group.append('text')
+          .attr('class', 'highlight-label');
+        return group;
+      });
+
+    const regions = highlightGroups.select('.highlight-region')
+      .attr('fill', d => d.color)
+      .attr('fill-opacity', this.treeState.state.highlightOpacity);
+    if (transition) {
+      regions
+        .transition('update highlights')
+        .duration(this.options.transitionDuration)
+        .attr('d', d => this.#generateSelectionPath(d.node));
+    } else {
+      regions.attr('d', d => this.#generateSelectionPath(d.node));
+    }
+
+    highlightGroups.select('.highlight-label')
+      .each((d, i, elements) => {
+        const label = select(elements[i]);
+        const { transform, x, y, anchor } = this.#getHighlightLabelPosition(d.node, fontSize);
+        label
+          .attr('transform', transform)
+          .attr('x', x)
+          .attr('y', y)
+          .style('text-anchor', anchor)
+          .style('font-size', `${fontSize}px`)
+          .style('fill', '#000')
+          .text(d.label || '');
+      });
+  }
+
+  /**
+   * Get where the label of a highlighted clade is drawn, inside the corner of the region nearest the
+   * clade root. In circular layouts the label runs outward along the edge of the wedge.
+   * @param {Object} node - Root node of the highlighted clade
+   * @param {number} fontSize - Label font size in pixels
+   * @returns {{transform: string, x: number, y: number, anchor: string}}
+   */
+  #getHighlightLabelPosition(node, fontSize) {
+    const padding = fontSize * 0.3;
+    if (this.treeState.state.layout !== 'circular') {
+      return {
+        transform: `translate(${node.bounds.minX}, ${node.bounds.minY})`,
+        x: padding,
+        y: padding + fontSize * 0.8,
+        anchor: 'start'
+      };
+    }
+
+    // Labels on the left side are turned over so they are not upside down
+    const angle = node.bounds.minAngle;
+    const flip = Math.cos(angle) < 0;
+    const x = node.bounds.minRadius * Math.cos(angle);
+    const y = node.bounds.minRadius * Math.sin(angle);
+    const rotation = angle * (180 / Math.PI) + (flip ? 180 : 0);
+    return {
+      transform: `translate(${x}, ${y}) rotate(${rotation})`,
+      x: flip ? -padding : padding,
+      y: flip ? -padding : padding + fontSize * 0.8,
+      anchor: flip ? 'end' : 'start'
+    };
+  }
+
   /**
    * Generate selection rectangle path for a node (subtree or tip)
    * @param {Object} node - Tree node
@@ -896,7 +1220,6 @@ export class TreeView {
     if (!root) return;
 
     const isCircular = this.treeState.state.layout === 'circular';
-    const branchWidth = this.treeState.labelSizeToPxFactor * this.treeState.state.branchThicknessProp;
     const collapsedRootLineLength = this.#getCollapsedRootLineLength();
 
     // Update hit areas for subtree selection (internal nodes with children and more than one visible child)
@@ -1001,9 +1324,9 @@ export class TreeView {
         return `translate(${d.xPx}, ${d.yPx}) rotate(${rotationAngle})`;
       })
       .attr('x', -collapsedRootLineLength)
-      .attr('y', -branchWidth * 5)
+      .attr('y', d => -d.branchWidthPx * 5)
       .attr('width', collapsedRootLineLength)
-      .attr('height', branchWidth * 10);
+      .attr('height', d => d.branchWidthPx * 10);
   }
 
   /**
@@ -1017,9 +1340,6 @@ export class TreeView {
     // Get all links (parent-child connections) from the tree
     const links = root.links();
 
-    // Calculate branch thickness
-    const branchWidth = this.treeState.labelSizeToPxFactor * this.treeState.state.branchThicknessProp;
-
     // DATA JOIN: bind links to branch groups using stable target node ID
     const branchGroups = this.layers.branchLayer
       .selectAll('.branch-group')
@@ -1051,7 +1371,7 @@ export class TreeView {
     const branchGroupsUpdate = branchGroupsEnter.merge(branchGroups);
 
     // Update branch paths based on current layout
-    this.#updateBranchPaths(branchGroupsUpdate, transition, branchWidth);
+    this.#updateBranchPaths(branchGroupsUpdate, transition);
 
     // Store the selection for future updates
     this.selections.branches = branchGroupsUpdate;
@@ -1085,9 +1405,8 @@ export class TreeView {
    * Update branch paths based on layout
    * @param {Selection} selection - D3 selection of branch groups
    * @param {boolean} transition - Whether to animate the update
-   * @param {number} branchWidth - Width of branch strokes
    */
-  #updateBranchPaths(selection, transition, branchWidth) {
+  #updateBranchPaths(selection, transition) {
     const isCircular = this.treeState.state.layout === 'circular';
 
     // Select offset and extension paths
@@ -1099,22 +1418,26 @@ export class TreeView {
       offsetPaths
         .transition()
         .duration(this.options.transitionDuration)
-        .attr('stroke-width', branchWidth)
+        .attr('stroke', d => d.target.branchColor || '#000')
+        .attr('stroke-width', d => d.target.branchWidthPx)
         .attr('d', d => this.#getBranchPath(d, 'offset'));
 
       extensionPaths
         .transition()
         .duration(this.options.transitionDuration)
-        .attr('stroke-width', branchWidth)
+        .attr('stroke', d => d.target.branchColor || '#000')
+        .attr('stroke-width', d => d.target.branchWidthPx)
         .attr('d', d => this.#getBranchPath(d, 'extension'));
     } else {
       // Update immediately without animation
       offsetPaths
-        .attr('stroke-width', branchWidth)
+        .attr('stroke', d => d.target.branchColor || '#000')
+        .attr('stroke-width', d => d.target.branchWidthPx)
         .attr('d', d => this.#getBranchPath(d, 'offset'));
 
       extensionPaths
-        .attr('stroke-width', branchWidth)
+        .attr('stroke', d => d.target.branchColor || '#000')
+        .attr('stroke-width', d => d.target.branchWidthPx)
         .attr('d', d => this.#getBranchPath(d, 'extension'));
     }
   }
@@ -1245,6 +1568,173 @@ export class TreeView {
     }
   }
 
+  /**
+   * Update heatmap cells and column headers drawn next to the tips
+   * @param {boolean} transition - Whether to animate the update
+   */
+  #updateHeatmap(transition = true) {
+    const layout = this.treeState.heatmapLayout;
+    const columnIds = this.treeState.state.heatmapColumns;
+    const isCircular = this.treeState.state.layout === 'circular';
+
+    // One cell per displayed tip and heatmap column
+    const cellData = layout ? layout.leaves.flatMap(node => {
+      return columnIds.map((columnId, index) => ({ key: `${node.id}-${columnId}`, node, index }));
+    }) : [];
+
+    const cells = this.layers.heatmapLayer
+      .selectAll('.heatmap-cell')
+      .data(cellData, d => d.key);
+
+    cells.exit().remove();
+
+    const cellsEnter = cells.enter()
+      .append('path')
+      .attr('class', 'heatmap-cell')
+      .attr('d', d => this.#getHeatmapCellPath(d, layout))
+      .attr('fill', d => d.node.heatmapColors[d.index]);
+
+    if (this.isExpanding && transition) {
+      cellsEnter.attr('opacity', 0)
+        .transition('heatmap cell fade in')
+        .delay(this.options.transitionDuration)
+        .duration(150)
+        .attr('opacity', 1);
+    }
+
+    const cellsUpdate = cellsEnter.merge(cells);
+    if (transition) {
+      cellsUpdate
+        .transition('update heatmap cells')
+        .duration(this.options.transitionDuration)
+        .attr('d', d => this.#getHeatmapCellPath(d, layout))
+        .attr('fill', d => d.node.heatmapColors[d.index]);
+    } else {
+      cellsUpdate
+        .attr('d', d => this.#getHeatmapCellPath(d, layout))
+        .attr('fill', d => d.node.heatmapColors[d.index]);
+    }
+
+    // Column headers are only shown in the rectangular layout
+    // Keyed by column ID, since columns from different tables can have the same name
+    const headers = this.layers.heatmapLayer
+      .selectAll('.heatmap-header')
+      .data(layout && !isCircular ? layout.headers : [], d => d.columnId);
+
+    headers.exit().remove();
+
+    headers.enter()
+      .append('text')
+      .attr('class', 'heatmap-header')
+      .style('text-anchor', 'start')
+      .attr('dy', '0.35em')
+      .merge(headers)
+      .attr('transform', d => `translate(${d.x}, ${d.y}) rotate(-90)`)
+      .style('font-size', d => `${d.sizePx}px`)
+      .text(d => d.text);
+  }
+
+  /**
+   * Generate the SVG path for a single heatmap cell
+   * @param {Object} cell - Cell data with the tip node and column index
+   * @param {Object} layout - Heatmap layout from TreeState
+   * @returns {string} SVG path string
+   */
+  #getHeatmapCellPath(cell, layout) {
+    if (this.treeState.state.layout === 'circular') {
+      const innerRadius = layout.startRadius + cell.index * layout.cellWidthPx;
+      // d3.arc measures angles clockwise from 12 o'clock
+      const angle = cell.node.angle + Math.PI / 2;
+      return arc()({
+        innerRadius,
+        outerRadius: innerRadius + layout.cellWidthPx,
+        startAngle: angle - layout.cellAngle / 2,
+        endAngle: angle + layout.cellAngle / 2
+      });
+    } else {
+      const x = layout.startX + cell.index * layout.cellWidthPx;
+      const y = cell.node.yPx - layout.cellHeightPx / 2;
+      return `M${x},${y} H${x + layout.cellWidthPx} V${y + layout.cellHeightPx} H${x} Z`;
+    }
+  }
+
+  /**
+   * Draw the strips or brackets marking groups of tips, with their labels
+   */
+  #updateCladeStrips() {
+    const layout = this.treeState.cladeStripLayout;
+    const isCircular = this.treeState.state.layout === 'circular';
+    const isBracket = this.treeState.state.cladeStripStyle === 'bracket';
+
+    const strips = this.layers.cladeStripLayer
+      .selectAll('.clade-strip')
+      .data(layout ? layout.segments : [])
+      .join(enter => {
+        const group = enter.append('g')
+          .attr('class', 'clade-strip');
+        group.append('path')
+          .attr('class', 'clade-strip-shape');
+        group.append('text')
+          .attr('class', 'clade-strip-label')
+          .attr('dy', '0.35em');
+        return group;
+      });
+
+    strips.select('.clade-strip-shape')
+      .attr('d', d => this.#getCladeStripPath(d, layout, isBracket))
+      .attr('fill', isBracket ? 'none' : d => d.color)
+      .attr('stroke', isBracket ? d => d.color : 'none')
+      .attr('stroke-width', layout ? layout.stripWidthPx / 3 : 0);
+
+    strips.select('.clade-strip-label')
+      .attr('transform', d => {
+        if (!isCircular) {
+          return `translate(${d.labelX}, ${d.labelY})`;
+        }
+        // Labels on the left side are turned over so they are not upside down
+        const x = d.labelRadius * Math.cos(d.labelAngle);
+        const y = d.labelRadius * Math.sin(d.labelAngle);
+        const flip = Math.cos(d.labelAngle) < 0;
+        return `translate(${x}, ${y}) rotate(${d.labelAngle * (180 / Math.PI) + (flip ? 180 : 0)})`;
+      })
+      .style('text-anchor', d => isCircular && Math.cos(d.labelAngle) < 0 ? 'end' : 'start')
+      .style('font-size', `${layout ? layout.labelSizePx : 0}px`)
+      .style('fill', '#000')
+      .text(d => d.label);
+  }
+
+  /**
+   * Generate the SVG path for a clade strip, as a filled bar or a bracket open toward the tips
+   * @param {Object} segment - Strip segment from the TreeState clade strip layout
+   * @param {Object} layout - Clade strip layout from TreeState
+   * @param {boolean} isBracket - Whether to draw a bracket instead of a bar
+   * @returns {string} SVG path string
+   */
+  #getCladeStripPath(segment, layout, isBracket) {
+    if (this.treeState.state.layout === 'circular') {
+      if (!isBracket) {
+        // d3.arc measures angles clockwise from 12 o'clock
+        return arc()({
+          innerRadius: segment.innerRadius,
+          outerRadius: segment.outerRadius,
+          startAngle: segment.startAngle + Math.PI / 2,
+          endAngle: segment.endAngle + Math.PI / 2
+        });
+      }
+      const radius = (segment.innerRadius + segment.outerRadius) / 2;
+      const point = (r, angle) => `${r * Math.cos(angle)},${r * Math.sin(angle)}`;
+      const largeArc = segment.endAngle - segment.startAngle > Math.PI ? 1 : 0;
+      return `M${point(segment.innerRadius, segment.startAngle)} L${point(radius, segment.startAngle)} ` +
+        `A${radius},${radius} 0 ${largeArc} 1 ${point(radius, segment.endAngle)} L${point(segment.innerRadius, segment.endAngle)}`;
+    }
+
+    if (!isBracket) {
+      return `M${segment.x},${segment.y1} H${segment.x + layout.stripWidthPx} V${segment.y2} H${segment.x} Z`;
+    }
+    const x = segment.x + layout.stripWidthPx / 2;
+    return `M${segment.x},${segment.y1} H${x} V${segment.y2} H${segment.x}`;
+  }
+
   #getCollapsedTrianglePath(d) {
     const triangleArea = triangleAreaFromSide(this.treeState.getCollapsedTriangleHeight(d));
     return symbol().type(symbolTriangle).size(triangleArea)();
@@ -1264,9 +1754,6 @@ export class TreeView {
     // Get all nodes from the tree, excluding hidden nodes
     const nodes = root.descendants().filter(d => !d.hidden);
 
-    // Calculate branch width for collapsed root lines
-    const branchWidth = this.treeState.labelSizeToPxFactor * this.treeState.state.branchThicknessProp;
-
     // Calculate collapsed root line length
     const collapsedRootLineLength = this.#getCollapsedRootLineLength();
 
@@ -1291,7 +1778,7 @@ export class TreeView {
       .attr('transform', d => `translate(${d.xPx}, ${d.yPx})`);
 
     // Create node groups with shapes and labels
-    this.#createNodeGroup(nodeGroupsEnter, branchWidth);
+    this.#createNodeGroup(nodeGroupsEnter);
 
     // If expanding, hide new elements initially for delayed fade-in
     if (this.isExpanding && transition) {
@@ -1311,7 +1798,10 @@ export class TreeView {
     this.#updateNodeShapes(nodeGroupsUpdate, transition);
 
     // Update collapsed indicators (root lines and labels)
-    this.#updateCollapsedIndicators(nodeGroupsUpdate, transition, branchWidth, collapsedRootLineLength);
+    this.#updateCollapsedIndicators(nodeGroupsUpdate, transition, collapsedRootLineLength);
+
+    // Mark tips found by a search
+    this.#updateSearchMatches(nodeGroupsUpdate);
 
     // Store the selection for future updates
     this.selections.nodes = nodeGroupsUpdate;
@@ -1323,21 +1813,31 @@ export class TreeView {
    * Create initial node group with shape and labels
    * @param {Selection} selection - D3 selection of entering node groups
    * @param {string} trianglePath - SVG path for triangle symbol
-   * @param {number} branchWidth - Width of branch strokes
    */
-  #createNodeGroup(selection, branchWidth) {
+  #createNodeGroup(selection) {
     // Append a path for collapsed subtree triangle
     selection.append('path')
       .attr('class', 'node-shape')
       .attr('d', d => d.collapsedChildren ? this.#getCollapsedTrianglePath(d) : null)
-      .attr('fill', '#000')
+      .attr('fill', d => d.branchColor || '#000')
       .style('display', d => d.collapsedChildren ? null : 'none');
 
+    // Append a group for the chart of tip categories in the clade
+    selection.append('g')
+      .attr('class', 'node-composition');
+
+    // Append a path for the node shape aesthetics
+    selection.append('path')
+      .attr('class', 'node-symbol')
+      .attr('d', d => nodeShapePath(d.nodeShape, d.nodeShapeSizePx))
+      .attr('fill', d => d.nodeShapeColor || '#000')
+      .style('display', d => this.#isNodeSymbolVisible(d) ? null : 'none');
+
     // Append line for collapsed root
     selection.append('line')
       .attr('class', 'collapsed-root-line')
       .attr('stroke', '#000')
-      .attr('stroke-width', branchWidth)
+      .attr('stroke-width', d => d.branchWidthPx)
       .style('display', d => d.collapsedParent ? null : 'none');
 
     // Append text label for tips
@@ -1449,6 +1949,18 @@ export class TreeView {
     }
   }
 
+  /**
+   * Mark the labels of tips found by a search with a highlighter-like outline drawn behind the text
+   * @param {Selection} selection - D3 selection of node groups
+   */
+  #updateSearchMatches(selection) {
+    selection.selectAll('.tip-label')
+      .style('stroke', d => d.searchMatch ? '#FFE066' : null)
+      .style('stroke-width', d => d.searchMatch ? `${d.tipLabelSizePx * 0.3}px` : null)
+      .style('stroke-linejoin', d => d.searchMatch ? 'round' : null)
+      .style('paint-order', d => d.searchMatch ? 'stroke' : null);
+  }
+
   /**
    * Update node shapes (triangles for collapsed nodes)
    * @param {Selection} selection - D3 selection of node groups
@@ -1459,6 +1971,7 @@ export class TreeView {
     const nodeShapes = selection.selectAll('.node-shape');
     nodeShapes
       .attr('transform', d => `rotate(-90) translate(0, ${this.treeState.getCollapsedTriangleOffset(d)})`)
+      .attr('fill', d => d.branchColor || '#000')
       .style('display', d => d.collapsedChildren ? null : 'none');
     if (transition) {
       nodeShapes
@@ -1468,16 +1981,97 @@ export class TreeView {
     } else {
       nodeShapes.attr('d', d => d.collapsedChildren ? this.#getCollapsedTrianglePath(d) : null);
     }
+
+    this.#updateCompositionCharts(selection);
+    this.#updateNodeSymbols(selection, transition);
+  }
+
+  /**
+   * Update the charts showing the proportion of tips in each category of the composition column
+   * @param {Selection} selection - D3 selection of node groups
+   */
+  #updateCompositionCharts(selection) {
+    const useBars = this.treeState.state.compositionStyle === 'bar' && this.treeState.state.layout !== 'circular';
+    selection.selectAll('.node-composition')
+      // Counter the node group rotation so charts stay upright in circular layouts
+      .attr('transform', d => `rotate(${-this.#getNodeRotation(d)})`)
+      .style('display', d => d.compositionSizePx > 0 ? null : 'none')
+      .selectAll('.composition-slice')
+      .data(d => d.compositionSizePx > 0 ? this.#getCompositionSlices(d, useBars) : [])
+      .join('path')
+      .attr('class', 'composition-slice')
+      .attr('d', slice => slice.path)
+      .attr('fill', slice => slice.color)
+      .attr('stroke', '#FFFFFF')
+      .attr('stroke-width', slice => slice.strokeWidth);
+  }
+
+  /**
+   * Get the paths of the slices of a composition chart, as a pie chart or a stacked bar centered on the node
+   * @param {Object} node - Tree node with composition data
+   * @param {boolean} useBars - Whether to draw a stacked bar instead of a pie chart
+   * @returns {Array<{path: string, color: string, strokeWidth: number}>}
+   */
+  #getCompositionSlices(node, useBars) {
+    const size = node.compositionSizePx;
+    const strokeWidth = size * 0.03;
+    if (useBars) {
+      const height = size / 2;
+      let x = -size / 2;
+      return node.composition.map(part => {
+        const width = part.proportion * size;
+        const path = `M${x},${-height / 2}h${width}v${height}h${-width}Z`;
+        x += width;
+        return { path, color: part.color, strokeWidth };
+      });
+    }
+
+    const sliceArc = arc().innerRadius(0).outerRadius(size / 2);
+    return pie().sort(null).value(part => part.count)(node.composition).map(slice => ({
+      path: sliceArc(slice),
+      color: slice.data.color,
+      strokeWidth
+    }));
+  }
+
+  /**
+   * Update the shapes drawn on nodes by the node shape aesthetics
+   * @param {Selection} selection - D3 selection of node groups
+   * @param {boolean} transition - Whether to animate the update
+   */
+  #updateNodeSymbols(selection, transition) {
+    const nodeSymbols = selection.selectAll('.node-symbol');
+    nodeSymbols
+      // Counter the node group rotation so shapes stay upright in circular layouts
+      .attr('transform', d => `rotate(${-this.#getNodeRotation(d)})`)
+      .attr('fill', d => d.nodeShapeColor || '#000')
+      .style('display', d => this.#isNodeSymbolVisible(d) ? null : 'none');
+    if (transition) {
+      nodeSymbols
+        .transition('update node symbols')
+        .duration(this.options.transitionDuration)
+        .attr('d', d => nodeShapePath(d.nodeShape, d.nodeShapeSizePx));
+    } else {
+      nodeSymbols.attr('d', d => nodeShapePath(d.nodeShape, d.nodeShapeSizePx));
+    }
+  }
+
+  /**
+   * Check if a node should show a shape from the node shape aesthetics
+   * @param {Object} node - Tree node
+   * @returns {boolean} True if the shape should be displayed
+   */
+  #isNodeSymbolVisible(node) {
+    return Boolean(node.nodeShapeVisible && !node.collapsedChildren);
   }
 
   /**
    * Update collapsed indicators (root lines and labels)
    * @param {Selection} selection - D3 selection of node groups
    * @param {boolean} transition - Whether to animate the update
-   * @param {number} branchWidth - Width of branch strokes
    * @param {number} collapsedRootLineLength - Length of collapsed root line
    */
-  #updateCollapsedIndicators(selection, transition, branchWidth, collapsedRootLineLength) {
+  #updateCollapsedIndicators(selection, transition, collapsedRootLineLength) {
     // Update collapsed root lines
     const collapsedRootLines = selection.selectAll('.collapsed-root-line');
 
@@ -1487,14 +2081,14 @@ export class TreeView {
         .duration(this.options.transitionDuration)
         .attr('x2', -collapsedRootLineLength)
         .attr('y2', 0)
-        .attr('stroke-width', branchWidth)
-        .attr('stroke-dasharray', d => d.collapsedParent ? createDashArray(collapsedRootLineLength, branchWidth, 4) : null);
+        .attr('stroke-width', d => d.branchWidthPx)
+        .attr('stroke-dasharray', d => d.collapsedParent ? createDashArray(collapsedRootLineLength, d.branchWidthPx, 4) : null);
     } else {
       collapsedRootLines
         .attr('x2', -collapsedRootLineLength)
         .attr('y2', 0)
-        .attr('stroke-width', branchWidth)
-        .attr('stroke-dasharray', d => d.collapsedParent ? createDashArray(collapsedRootLineLength, branchWidth, 4) : null);
+        .attr('stroke-width', d => d.branchWidthPx)
+        .attr('stroke-dasharray', d => d.collapsedParent ? createDashArray(collapsedRootLineLength, d.branchWidthPx, 4) : null);
     }
 
     collapsedRootLines
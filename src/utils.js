@@ -1,4 +1,4 @@
-import { interpolateViridis } from "d3";
+import { interpolateViridis, symbol, symbolCircle, symbolSquare, symbolTriangle, symbolDiamond, symbolStar } from "d3";
 import styles from './styles.css?inline';
 import pickerStyles from 'vanilla-picker/dist/vanilla-picker.csp.css?inline';
 
@@ -44,14 +44,34 @@ export function triangleAreaFromSide(side) {
   return 0.4330127 * side * side; // 0.4330127 == sqrt(3) / 4
 }
 
-export function calculateTreeBounds(displayedRoot, isCircularLayout, getLabelWidth, getLabelXOffset, fontSizeForNode, collapsedRootLineLength = 0) {
+const NODE_SHAPE_SYMBOLS = {
+  circle: symbolCircle,
+  square: symbolSquare,
+  triangle: symbolTriangle,
+  diamond: symbolDiamond,
+  star: symbolStar
+};
+
+/**
+ * Generate the SVG path for a node shape centered on the origin
+ * @param {string} shape - One of 'circle', 'square', 'triangle', 'diamond', or 'star'
+ * @param {number} sizePx - Approximate width of the shape in pixels
+ * @returns {string} SVG path string
+ */
+export function nodeShapePath(shape, sizePx) {
+  const symbolType = NODE_SHAPE_SYMBOLS[shape] || symbolCircle;
+  return symbol().type(symbolType).size(sizePx * sizePx)();
+}
+
+export function calculateTreeBounds(displayedRoot, isCircularLayout, getLabelWidth, getLabelXOffset, fontSizeForNode, collapsedRootLineLength = 0, tipAnnotationWidth = 0) {
   let minX = Infinity;
   let maxX = -Infinity;
   let minY = Infinity;
   let maxY = -Infinity;
 
   displayedRoot.each(d => {
-    const labelWidth = getLabelWidth(d);
+    // Annotations such as heatmaps and clade strips are drawn past the tip labels
+    const labelWidth = getLabelWidth(d) + (d.children ? 0 : tipAnnotationWidth);
     const labelOffset = getLabelXOffset(d);
     const fontSize = fontSizeForNode(d);
 
@@ -213,6 +233,50 @@ export function interpolateViridisSubset(t, start = 0.1, end = 0.9) {
   return interpolateViridis(start + t * (end - start));
 }
 
+/**
+ * Get the children of a tree node, including those in collapsed and hidden subtrees
+ * @param {Object} d - Tree node
+ * @returns {Array<Object>}
+ */
+export function getAllChildren(d) {
+  return [...(d.children || []), ...(d.collapsedChildren || []), ...(d.hiddenChildren || [])];
+}
+
+/**
+ * Get the parent of a tree node, including the parent of a root collapsed with TreeState.collapseRoot
+ * @param {Object} d - Tree node
+ * @returns {Object|undefined}
+ */
+export function getParent(d) {
+  return d.parent || d.collapsedParent;
+}
+
+/**
+ * Get a node and all of its descendants, including those in collapsed and hidden subtrees.
+ * Parents come before their descendants.
+ * @param {Object} root - Tree node
+ * @returns {Array<Object>}
+ */
+export function getAllNodes(root) {
+  const nodes = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const d = stack.pop();
+    nodes.push(d);
+    stack.push(...getAllChildren(d));
+  }
+  return nodes;
+}
+
+/**
+ * Get the tips descended from a node, including those in collapsed and hidden subtrees
+ * @param {Object} root - Tree node
+ * @returns {Array<Object>}
+ */
+export function getAllTips(root) {
+  return getAllNodes(root).filter(d => getAllChildren(d).length === 0);
+}
+
 /**
  * Base class for objects that support pub/sub pattern
  */